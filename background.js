@@ -1,177 +1,379 @@
+// Shared helpers first, then feature modules (they call into the utilities defined below at runtime)
+importScripts(
+    'settings.js',   // DEFAULT_SETTINGS, loadSettings()
+    'urls.js',       // parseYouTubeUrl(), videoWatchUrl()
+    'scheduler.js',  // scheduledFetch(), YouTube quota accounting
+    'jobs.js',       // runJob(), reportProgress(), stopJob()
+    'llm.js',        // getLLMProvider()
+    'cache.js',      // getCachedAnalysis(), saveCachedAnalysis()
+    'metadata.js',   // fetchVideoMetadata(), formatMetadataForPrompt()
+    'evidence.js',   // gatherEvidence(), verifyCitations()
+    'transcript.js', // parseTimedText(), formatTimestamp(), chunkSegments()
+    'library.js',    // addToTranscriptLibrary(), searchTranscripts()
+    'lexicon.js',    // scoreSentiment(), classifyCommentsWithLexicon()
+    'comments.js',   // fetchCommentThreads(), fetchAndAnalyzeComments()
+    'summary.js',    // summarizeVideo()
+    'claims.js',     // factCheckVideo()
+    'chat.js',       // answerVideoQuestion()
+    'playlist.js',   // analyzePlaylist(), analyzeVideoForReport()
+    'comparison.js', // compareVideos()
+    'livechat.js'    // analyzeLiveChat(), createLiveChatAnalyzer()
+);
+
 // --- Globals ---
-let YOUTUBE_API_KEY = null;
-let GEMINI_API_KEY = null;
+const TRANSLATION_CHUNK_CHARS = 4000; // Characters of transcript text per model translation request
+
+// Reply schemas for llm.generateStructured()
+const TRANSLATION_SCHEMA = {
+    type: 'array',
+    items: { type: 'object', properties: { i: { type: 'integer' }, text: { type: 'string' } }, required: ['i', 'text'] }
+};
+const FACT_CHECK_VERDICTS = ["True", "False", "Partially True", "Misleading", "Unverifiable", "Opinion"];
+const FACT_CHECK_SCHEMA = {
+    type: 'object',
+    properties: {
+        verdict: { type: 'string', enum: FACT_CHECK_VERDICTS },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        explanation: { type: 'string' },
+        citations: {
+            type: 'array',
+            items: { type: 'object', properties: { passage: { type: 'string' }, quote: { type: 'string' } }, required: ['passage', 'quote'] }
+        }
+    },
+    required: ['verdict', 'confidence', 'explanation', 'citations']
+};
 
 // --- Utility Functions ---
 
-// Load API keys from storage
+// Load the YouTube API key from storage; model keys are read by the provider layer (llm.js)
 async function loadAPIKeys() {
     try {
-        const keys = await chrome.storage.local.get(['youtubeApiKey', 'geminiApiKey']);
-        YOUTUBE_API_KEY = keys.youtubeApiKey || null;
-        GEMINI_API_KEY = keys.geminiApiKey || null;
-        console.log("API keys loaded",
-            YOUTUBE_API_KEY ? "YouTube: ✓" : "YouTube: ✗",
-            GEMINI_API_KEY ? "Gemini: ✓" : "Gemini: ✗");
-        return { youtubeKey: YOUTUBE_API_KEY, geminiKey: GEMINI_API_KEY };
+        const { youtubeApiKey } = await loadSettings();
+        return { youtubeKey: youtubeApiKey || null };
     } catch (err) {
         console.error("Error loading API keys:", err);
-        return { youtubeKey: null, geminiKey: null };
+        return { youtubeKey: null };
     }
 }
 
-// Send status updates to popup
-function updatePopupStatus(message, isError = false, isProcessing = undefined) {
-    const statusMessage = { action: "updateStatus", message: message, isError: isError };
-    if (isProcessing !== undefined) {
-        statusMessage.isProcessing = isProcessing;
-    }
-    chrome.runtime.sendMessage(statusMessage).catch(err => {/* Popup likely closed */ });
+// Send status updates to popup (analyses report through their job instead, see reportProgress)
+function updatePopupStatus(message, isError = false) {
+    chrome.runtime.sendMessage({ action: "updateStatus", message: message, isError: isError }).catch(err => {/* Popup likely closed */ });
 }
 
-// Send data results to popup
-function sendDataToPopup(action, data, error = null) {
+// Send data results to popup; results of a job carry its IDs so the popup can tell which tab and video they belong to,
+// and also go to the in-page sidebar of the job's tab (runtime.sendMessage never reaches content scripts)
+function sendDataToPopup(action, data, error = null, job = null) {
     const message = { action: action };
     if (data) message.data = data;
     if (error) message.error = error;
+    if (job) {
+        message.jobId = job.id;
+        message.videoId = job.videoId;
+        message.tabId = job.tabId;
+        if (job.tabId) chrome.tabs.sendMessage(job.tabId, message).catch(err => {/* Tab closed or not a YouTube page */ });
+    }
     chrome.runtime.sendMessage(message).catch(err => {/* Popup likely closed */ });
 }
 
+// Video and playlist IDs of the page open in a tab, whichever URL form it uses (see urls.js)
+async function getYouTubeIdsFromTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const ids = parseYouTubeUrl(tab.url || '');
+    if (!ids) {
+        throw new Error("The tab is not showing a YouTube page.");
+    }
+    return ids;
+}
+
 // Helper to extract video ID from tab
 async function getVideoIdFromTab(tabId) {
     try {
-        const response = await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            function: () => {
-                const params = new URLSearchParams(window.location.search);
-                return params.get('v');
-            }
-        });
-        const videoId = response[0]?.result;
+        const { videoId } = await getYouTubeIdsFromTab(tabId);
         if (!videoId) {
             throw new Error("Could not extract video ID from URL.");
         }
         return videoId;
     } catch (error) {
-        console.error("Error injecting script or extracting video ID:", error);
+        console.error("Error extracting video ID:", error);
         throw new Error(`Failed to get video ID: ${error.message}`);
     }
 }
 
-// --- Core Logic Functions ---
+// Seek the YouTube player in a tab to the given time (seconds)
+async function seekVideoInTab(tabId, seconds) {
+    const response = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        args: [seconds],
+        function: (time) => {
+            const video = document.querySelector('video');
+            if (!video) return false;
+            video.currentTime = time;
+            if (video.paused) video.play().catch(() => {/* Autoplay may be blocked */ });
+            return true;
+        }
+    });
+    if (!response[0]?.result) {
+        throw new Error("No video player found in tab.");
+    }
+}
 
-// Attempt to fetch transcript text by parsing page data (avoids OAuth)
-async function fetchTranscriptFromPage(videoId, langPrefs = ['ta', 'en']) {
-    updatePopupStatus("Attempting to fetch transcript data from page...", false, true);
-    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+// Current playback position (seconds) of the YouTube player in a tab, or null without one
+async function getPlayerTimeInTab(tabId) {
+    const response = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        function: () => document.querySelector('video')?.currentTime ?? null
+    });
+    return response[0]?.result ?? null;
+}
 
-    try {
-        // Fetch the watch page HTML
-        const response = await fetch(watchUrl, {
-            headers: {
-                // Try to mimic browser headers somewhat
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.0.0 Safari/537.36',
-                'Accept-Language': 'en-US,en;q=0.9'
-            }
+// Make sure content.js (and the helpers it uses) is running in the tab, then send it a message.
+// It is registered as a content script, so this only injects into tabs opened before the extension loaded.
+async function sendToContentScript(tabId, message) {
+    const check = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        function: () => !!window.ytContextAnalyzerLoaded
+    });
+    // Top-level consts can't be redeclared, so only inject the files once per page
+    if (!check[0]?.result) {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['urls.js', 'dom.js', 'transcript.js', 'charts.js', 'content.js']
         });
-        if (!response.ok) {
-            throw new Error(`Failed to fetch watch page: ${response.statusText}`);
-        }
-        const html = await response.text();
+    }
+    return chrome.tabs.sendMessage(tabId, message);
+}
 
-        // Find the player response data (often in a script tag)
-        // This regex is fragile and might need updating if YouTube changes structure
-        const playerResponseMatch = html.match(/ytInitialPlayerResponse\s*=\s*({.+?})\s*;/);
-        if (!playerResponseMatch || !playerResponseMatch[1]) {
-            console.log("Could not find ytInitialPlayerResponse in page HTML.");
-            // Fallback to API list method
-            return fetchAvailableTranscriptLangsAPI(videoId);
-        }
+// --- Core Logic Functions ---
 
-        const playerResponse = JSON.parse(playerResponseMatch[1]);
+// Fetch the watch page and pull out ytInitialPlayerResponse (null if it can't be found)
+async function fetchPlayerResponse(videoId, signal = null) {
+    const watchUrl = videoWatchUrl(videoId);
 
-        if (!playerResponse?.captions?.playerCaptionsTracklistRenderer) {
-            console.log("No captions renderer found in player response.");
-            return fetchAvailableTranscriptLangsAPI(videoId); // Fallback
+    // Fetch the watch page HTML
+    const response = await scheduledFetch(watchUrl, {
+        headers: {
+            // Try to mimic browser headers somewhat
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.0.0 Safari/537.36',
+            'Accept-Language': 'en-US,en;q=0.9'
         }
+    }, { pool: 'web', signal: signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch watch page: ${response.statusText}`);
+    }
+    const html = await response.text();
+
+    // Find the player response data (often in a script tag)
+    // This regex is fragile and might need updating if YouTube changes structure
+    const playerResponseMatch = html.match(/ytInitialPlayerResponse\s*=\s*({.+?})\s*;/);
+    if (!playerResponseMatch || !playerResponseMatch[1]) {
+        console.log("Could not find ytInitialPlayerResponse in page HTML.");
+        return null;
+    }
+    return JSON.parse(playerResponseMatch[1]);
+}
+
+// Normalize the caption tracks and YouTube's translation targets from a player response
+function getCaptionTrackInfo(playerResponse) {
+    const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+    const tracks = (renderer?.captionTracks || []).map(t => ({
+        id: t.vssId || `${t.kind === 'asr' ? 'a' : ''}.${t.languageCode}`,
+        languageCode: t.languageCode,
+        name: t.name?.simpleText || t.name?.runs?.map(r => r.text).join('') || t.languageCode,
+        isAuto: t.kind === 'asr',
+        isTranslatable: !!t.isTranslatable,
+        baseUrl: t.baseUrl
+    }));
+    const translationLanguages = (renderer?.translationLanguages || []).map(l => ({
+        languageCode: l.languageCode,
+        name: l.languageName?.simpleText || l.languageName?.runs?.map(r => r.text).join('') || l.languageCode
+    }));
+    return { tracks: tracks, translationLanguages: translationLanguages };
+}
+
+// Pick a track by explicit id, else walk langPrefs (manual before ASR), else the first track
+function pickCaptionTrack(tracks, langPrefs, trackId = null) {
+    if (trackId) {
+        const requested = tracks.find(t => t.id === trackId);
+        if (requested) return requested;
+        console.warn(`Requested caption track ${trackId} not found, falling back to preferences.`);
+    }
 
-        const tracks = playerResponse.captions.playerCaptionsTracklistRenderer.captionTracks;
-        if (!tracks || tracks.length === 0) {
-            console.log("No caption tracks found in player response.");
-            return fetchAvailableTranscriptLangsAPI(videoId); // Fallback
+    let bestTrack = null;
+    for (const lang of langPrefs) {
+        const track = tracks.find(t => t.languageCode === lang && !t.isAuto); // Prioritize non-ASR first if available
+        if (track) {
+            bestTrack = track;
+            break;
+        }
+        // Check ASR (auto-generated) if non-ASR not found for preferred lang
+        const asrTrack = tracks.find(t => t.languageCode === lang && t.isAuto);
+        if (!bestTrack && asrTrack) {
+            bestTrack = asrTrack;
         }
+    }
 
-        console.log("Available tracks found in page data:", tracks.map(t => ({ lang: t.languageCode, kind: t.kind })));
+    // If no preferred language found, take the first available track
+    return bestTrack || tracks[0] || null;
+}
 
-        let bestTrackUrl = null;
-        let foundLang = null;
+async function fetchTimedTextSegments(url, signal = null) {
+    const response = await scheduledFetch(url, {}, { pool: 'web', signal: signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch transcript content: ${response.statusText}`);
+    }
+    // XML by default; json3/srv3 are handled too
+    return parseTimedText(await response.text());
+}
 
-        // Find the best matching track based on preferences
-        for (const lang of langPrefs) {
-            const track = tracks.find(t => t.languageCode === lang && !t.kind); // Prioritize non-ASR first if available
-            if (track) {
-                bestTrackUrl = track.baseUrl;
-                foundLang = lang;
-                break;
-            }
-            // Check ASR (auto-generated) if non-ASR not found for preferred lang
-            const asrTrack = tracks.find(t => t.languageCode === lang && t.kind === 'asr');
-            if (!bestTrackUrl && asrTrack) {
-                bestTrackUrl = asrTrack.baseUrl;
-                foundLang = lang + " (auto)";
-            }
-        }
+// List every caption track (manual and ASR) plus translation targets for the picker in the popup
+async function listCaptionTracks(videoId) {
+    const playerResponse = await fetchPlayerResponse(videoId);
+    const { tracks, translationLanguages } = getCaptionTrackInfo(playerResponse);
+    const result = {
+        videoId: videoId,
+        tracks: tracks.map(({ baseUrl, ...track }) => track), // baseUrl is signed and only useful here
+        translationLanguages: translationLanguages
+    };
+    sendDataToPopup("displayCaptionTracks", result);
+    return result;
+}
 
-        // If no preferred language found, take the first available track
-        if (!bestTrackUrl && tracks.length > 0) {
-            bestTrackUrl = tracks[0].baseUrl;
-            foundLang = tracks[0].languageCode + (tracks[0].kind === 'asr' ? " (auto)" : "");
-        }
+// Load a structured transcript from page data (avoids OAuth) without posting it anywhere.
+// Returns null when the page exposes no caption tracks; throws on fetch/parse errors.
+// options.trackId selects a specific track; options.translateTo translates it (YouTube tlang, else the LLM);
+// options.job reports progress and cancels the fetches.
+async function loadTranscriptFromPage(videoId, langPrefs = DEFAULT_SETTINGS.langPrefs, options = {}) {
+    const job = options.job || null;
+    const signal = job?.signal || null;
+    const playerResponse = await fetchPlayerResponse(videoId, signal);
+    if (!playerResponse) {
+        return null;
+    }
 
+    if (!playerResponse?.captions?.playerCaptionsTracklistRenderer) {
+        console.log("No captions renderer found in player response.");
+        return null;
+    }
 
-        if (!bestTrackUrl) {
-            throw new Error("Could not find a suitable caption track URL in page data.");
-        }
+    const { tracks, translationLanguages } = getCaptionTrackInfo(playerResponse);
+    if (tracks.length === 0) {
+        console.log("No caption tracks found in player response.");
+        return null;
+    }
 
-        updatePopupStatus(`Fetching transcript content for language: ${foundLang}...`);
+    console.log("Available tracks found in page data:", tracks.map(t => ({ id: t.id, lang: t.languageCode, auto: t.isAuto })));
 
-        // Fetch the actual transcript XML/timed text
-        const transcriptResponse = await fetch(bestTrackUrl);
-        if (!transcriptResponse.ok) {
-            throw new Error(`Failed to fetch transcript content: ${transcriptResponse.statusText}`);
-        }
-        const transcriptXML = await transcriptResponse.text();
-
-        // Simple XML parsing to extract text (could be improved with DOMParser)
-        const lines = [];
-        const textMatches = transcriptXML.match(/<text.*?>(.*?)<\/text>/gs);
-        if (textMatches) {
-            textMatches.forEach(match => {
-                let text = match.replace(/<[^>]+>/g, ''); // Remove tags
-                text = text.replace(/&/g, '&').replace(/</g, '<').replace(/>/g, '>').replace(/"/g, '"').replace(/'/g, "'"); // Decode HTML entities
-                lines.push(text.trim());
-            });
-        }
+    const bestTrack = pickCaptionTrack(tracks, langPrefs, options.trackId);
+    if (!bestTrack?.baseUrl) {
+        throw new Error("Could not find a suitable caption track URL in page data.");
+    }
 
-        if (lines.length === 0) {
-            throw new Error("Transcript content fetched but no text found after parsing.");
-        }
+    const foundLang = bestTrack.languageCode + (bestTrack.isAuto ? " (auto)" : "");
+    const translateTo = options.translateTo && options.translateTo !== bestTrack.languageCode ? options.translateTo : null;
+    let segments;
+    let translationEngine = null;
+
+    if (translateTo && bestTrack.isTranslatable && translationLanguages.some(l => l.languageCode === translateTo)) {
+        // YouTube can machine-translate the track itself, with timings preserved
+        reportProgress(job, `Fetching ${foundLang} transcript translated to ${translateTo} by YouTube...`);
+        const translatedUrl = new URL(bestTrack.baseUrl);
+        translatedUrl.searchParams.set('tlang', translateTo);
+        segments = await fetchTimedTextSegments(translatedUrl.href, signal);
+        translationEngine = 'YouTube';
+    } else {
+        reportProgress(job, `Fetching transcript content for language: ${foundLang}...`);
+        segments = await fetchTimedTextSegments(bestTrack.baseUrl, signal);
+    }
 
-        const fullTranscript = lines.join('\n');
-        sendDataToPopup("displayTranscript", `Transcript (${foundLang}):\n--------------------\n${fullTranscript}`);
-        return fullTranscript; // Success
+    if (segments.length === 0) {
+        throw new Error("Transcript content fetched but no text found after parsing.");
+    }
+
+    if (translateTo && !translationEngine) {
+        const llm = await getLLMProvider({ signal: signal });
+        segments = await translateSegmentsWithLLM(segments, translateTo, options.translationModel, llm, job);
+        translationEngine = llm.label;
+    }
+
+    const transcript = {
+        videoId: videoId,
+        title: playerResponse.videoDetails?.title || videoId,
+        language: translateTo ? `${translateTo} (translated from ${foundLang} by ${translationEngine})` : foundLang,
+        languageCode: translateTo || bestTrack.languageCode,
+        isAuto: bestTrack.isAuto,
+        trackId: bestTrack.id,
+        translatedFrom: translateTo ? bestTrack.languageCode : null,
+        segments: segments
+    };
+    await addToTranscriptLibrary(transcript); // Searchable from search.html from now on
+    return transcript;
+}
+
+// Attempt to fetch transcript text by parsing page data; the job runner sends what this returns to the popup
+async function fetchTranscriptFromPage(videoId, langPrefs = DEFAULT_SETTINGS.langPrefs, options = {}) {
+    reportProgress(options.job, "Attempting to fetch transcript data from page...");
+
+    try {
+        const transcript = await loadTranscriptFromPage(videoId, langPrefs, options);
+        if (!transcript) {
+            // Fallback to API list method
+            return fetchAvailableTranscriptLangsAPI(videoId, options.job);
+        }
+        return transcript; // Success
 
     } catch (error) {
+        if (isAbortError(error)) throw error; // Stopped: don't fall back
         console.error("Error fetching transcript from page:", error);
-        updatePopupStatus(`Transcript fetch from page failed: ${error.message}. Trying API list fallback...`, true);
+        reportProgress(options.job, `Transcript fetch from page failed: ${error.message}. Trying API list fallback...`);
         // Fallback to API list method on any error during page parsing
-        return fetchAvailableTranscriptLangsAPI(videoId);
+        return fetchAvailableTranscriptLangsAPI(videoId, options.job);
     }
 }
 
-// Fallback: Use API key to list available languages (doesn't get text)
-async function fetchAvailableTranscriptLangsAPI(videoId) {
-    updatePopupStatus("Fetching available caption languages via API...");
+// Translate segments through the LLM in chunks, keyed by index so timestamps stay aligned.
+// Lines the model never returned a valid translation for keep their original text.
+async function translateSegmentsWithLLM(segments, targetLang, model, llm, job = null) {
+    const translated = segments.map(segment => ({ ...segment }));
+    const chunks = chunkSegments(segments, TRANSLATION_CHUNK_CHARS);
+    let untranslatedLines = 0;
+
+    for (let c = 0; c < chunks.length; c++) {
+        const chunk = chunks[c];
+        reportProgress(job, `Translating transcript to ${targetLang} with ${llm.label} (part ${c + 1}/${chunks.length})...`);
+        const promptText = `Translate the text of each of the following transcript lines into the language with code "${targetLang}". Keep the meaning and tone, and translate each line on its own so timings stay aligned. Respond ONLY with a valid JSON array where each element is an object with the original 'i' and the translated 'text'. Do not merge, split, drop or reorder lines. Lines:\n${JSON.stringify(chunk.map(({ index, segment }) => ({ i: index, text: segment.text })))}`;
+
+        const indices = chunk.map(({ index }) => index);
+        let result;
+        try {
+            result = await llm.generateStructured(model, promptText, TRANSLATION_SCHEMA, { validate: items => checkReturnedIds(items, indices, 'i') });
+        } catch (error) {
+            console.error(`Translation failed for chunk ${c + 1}:`, error);
+            result = salvageValidItems(error.partial, TRANSLATION_SCHEMA.items);
+        }
+
+        const translatedInChunk = new Set();
+        result.forEach(item => {
+            if (indices.includes(item.i) && item.text.trim()) {
+                translated[item.i].text = item.text.trim();
+                translatedInChunk.add(item.i);
+            }
+        });
+        untranslatedLines += indices.length - translatedInChunk.size;
+    }
+
+    if (untranslatedLines === segments.length) {
+        throw new Error("Translation failed for every part of the transcript.");
+    }
+    if (untranslatedLines > 0) {
+        reportProgress(job, `${untranslatedLines} of ${segments.length} transcript lines could not be translated and are shown in the original language.`, true);
+    }
+    return translated;
+}
+
+// Fallback: Use API key to list available languages (doesn't get text). Returns an info string.
+async function fetchAvailableTranscriptLangsAPI(videoId, job = null) {
+    reportProgress(job, "Fetching available caption languages via API...");
     const { youtubeKey } = await loadAPIKeys();
     if (!youtubeKey) {
         throw new Error("YouTube API Key not set in options.");
@@ -179,7 +381,7 @@ async function fetchAvailableTranscriptLangsAPI(videoId) {
 
     try {
         const captionsListUrl = `https://www.googleapis.com/youtube/v3/captions?part=snippet&videoId=${videoId}&key=${youtubeKey}`;
-        const response = await fetch(captionsListUrl);
+        const response = await scheduledFetch(captionsListUrl, {}, { pool: 'youtube', signal: job?.signal });
 
         if (!response.ok) {
             const errorData = await response.json();
@@ -193,226 +395,133 @@ async function fetchAvailableTranscriptLangsAPI(videoId) {
 
         const languages = captionsData.items.map(item => `${item.snippet.language} (${item.snippet.trackKind})`);
         const message = `Transcript text download requires OAuth or may be restricted.\nAvailable caption tracks found via API:\n- ${languages.join('\n- ')}`;
-        sendDataToPopup("displayTranscript", message); // Send info message
+        reportProgress(job, "Transcript text is not available; listed the caption tracks instead.");
         return message; // Return the info string
 
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error("Error fetching transcript list via API:", error);
-        const errorMsg = `Transcript check via API failed: ${error.message}`;
-        // Don't throw here, just send the error message to the popup
-        sendDataToPopup("displayTranscript", null, errorMsg);
-        return null; // Indicate failure
+        throw new Error(`Transcript check via API failed: ${error.message}`);
     }
 }
 
 
-async function fetchAndAnalyzeComments(videoId, maxResults = 50) { // Limit results initially
-    updatePopupStatus(`Fetching comments for video: ${videoId}...`, false, true);
-    const { youtubeKey, geminiKey } = await loadAPIKeys();
-
-    if (!youtubeKey) throw new Error("YouTube API Key not set in options.");
-    if (!geminiKey) throw new Error("Gemini API Key not set in options.");
-
-    let comments = [];
-    let nextPageToken = null;
-    let fetchedCount = 0;
-
-    try {
-        // Fetch comments using YouTube Data API with pagination
-        do {
-            let commentsUrl = `https://www.googleapis.com/youtube/v3/commentThreads?part=snippet&videoId=${videoId}&maxResults=${Math.min(maxResults - fetchedCount, 100)}&key=${youtubeKey}&textFormat=plainText`; // Request plain text
-            if (nextPageToken) {
-                commentsUrl += `&pageToken=${nextPageToken}`;
-            }
-
-            updatePopupStatus(`Fetching comment page (fetched ${fetchedCount}/${maxResults})...`);
-            const response = await fetch(commentsUrl);
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
-            }
-            const commentsData = await response.json();
-
-            if (commentsData.items) {
-                const pageComments = commentsData.items.map(item => ({
-                    id: item.id,
-                    text: item.snippet?.topLevelComment?.snippet?.textOriginal || '', // Use textOriginal
-                }));
-                comments = comments.concat(pageComments);
-                fetchedCount += pageComments.length;
-            }
-
-            nextPageToken = commentsData.nextPageToken;
-
-        } while (nextPageToken && fetchedCount < maxResults);
-
-        if (comments.length === 0) {
-            sendDataToPopup("displayCommentAnalysis", { totalAnalyzed: 0, totalFetched: 0, sentiment: { positive: 0, negative: 0, neutral: 0 }, sampleAnalyzedComments: [] });
-            updatePopupStatus("No comments found or fetched.", false, false);
-            return;
-        }
-
-        updatePopupStatus(`Analyzing ${comments.length} comments using Gemini...`);
-
-        // Prepare comments for Gemini batch analysis (if possible, else individually)
-        // Gemini might handle multiple comments in one prompt better
-        const batchSize = 10; // Adjust batch size as needed
-        const analyzedComments = [];
-        const sentimentCounts = { positive: 0, negative: 0, neutral: 0 };
+// Judge a single claim against retrieved evidence and return { verdict, confidence, explanation, sources }.
+// options: { videoId, transcriptContext: { start, text }, signal } say where to look for evidence (see evidence.js).
+// sources are the passages the model cited, each with its quote and whether the quote was found in the passage.
+async function checkClaim(textToFactCheck, model, llm, options = {}) {
+    const metadata = options.videoId ? await loadVideoMetadata(options.videoId, options.signal) : null;
+    const passages = await gatherEvidence(textToFactCheck, { ...options, metadata: metadata });
+    const videoContext = formatMetadataForPrompt(metadata);
 
-        for (let i = 0; i < comments.length; i += batchSize) {
-            const batch = comments.slice(i, i + batchSize);
-            const promptText = `Analyze the sentiment (positive, negative, or neutral) for each of the following YouTube comments. Respond ONLY with a valid JSON array where each element is an object containing the original 'id' and the 'sentiment' classification. Do not include any other text or markdown formatting. Comments:\n${JSON.stringify(batch)}`;
+    const promptText = `Please act as a neutral fact-checker. Analyze the following claim: "${textToFactCheck}"${videoContext ? `\n\n          The claim comes from a YouTube video. ${videoContext}` : ''}
 
-            const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${GEMINI_API_KEY}`; // Use Flash for speed/cost
-            const geminiResponse = await fetch(geminiApiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ contents: [{ parts: [{ text: promptText }] }] })
-            });
-
-            if (!geminiResponse.ok) {
-                console.error(`Gemini API error (${geminiResponse.status}) for comment batch ${i / batchSize + 1}`);
-                // Skip this batch on error, maybe add placeholders later
-                continue; // Move to next batch
-            }
+          Base your verdict ONLY on the numbered evidence passages below, not on memory. If they do not settle the claim, the verdict is "Unverifiable".
 
-            const geminiResult = await geminiResponse.json();
-            try {
-                const responseText = geminiResult?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-                // Try to parse the expected JSON array directly
-                const sentiments = JSON.parse(responseText);
-
-                if (Array.isArray(sentiments)) {
-                    sentiments.forEach(sentimentResult => {
-                        const originalComment = batch.find(c => c.id === sentimentResult.id);
-                        if (originalComment) {
-                            const sentiment = (sentimentResult.sentiment || 'neutral').toLowerCase();
-                            analyzedComments.push({ ...originalComment, sentiment: sentiment });
-                            if (sentimentCounts[sentiment] !== undefined) {
-                                sentimentCounts[sentiment]++;
-                            } else {
-                                sentimentCounts.neutral++; // Default to neutral if classification is unexpected
-                            }
-                        }
-                    });
-                } else {
-                    console.warn("Gemini sentiment response was not a JSON array:", responseText);
-                }
-
-            } catch (parseError) {
-                console.error("Failed to parse Gemini sentiment response:", parseError, "Response text:", geminiResult?.candidates?.[0]?.content?.parts?.[0]?.text);
-                // Could add basic keyword matching here as a fallback if parsing fails
-                batch.forEach(comment => analyzedComments.push({ ...comment, sentiment: 'neutral' }));
-                sentimentCounts.neutral += batch.length;
-            }
-        } // End batch loop
+          Evidence passages:
+          ${formatPassagesForPrompt(passages)}
 
+          Respond ONLY with a single, valid JSON object containing the following fields:
+          - "verdict": A string classification ("True", "False", "Partially True", "Misleading", "Unverifiable", "Opinion").
+          - "confidence": A number between 0.0 (low confidence) and 1.0 (high confidence) in your verdict.
+          - "explanation": A concise string explaining your reasoning (1-2 sentences).
+          - "citations": An array of objects with "passage" (a passage ID such as "P1") and "quote" (the supporting words copied exactly from that passage, at most 30 words). Cite only the passages above; use an empty array if none apply.
 
-        const results = {
-            totalFetched: fetchedCount,
-            totalAnalyzed: analyzedComments.length,
-            sentiment: sentimentCounts,
-            sampleAnalyzedComments: analyzedComments // Send all analyzed back for now
-        };
+          Do not include any introductory text, concluding remarks, or markdown formatting like \`\`\`json ... \`\`\` around the JSON object.`;
 
-        sendDataToPopup("displayCommentAnalysis", results);
-        updatePopupStatus(`Analyzed ${analyzedComments.length} comments.`, false, false);
-        return results;
+    // Fields are checked against FACT_CHECK_SCHEMA; a reply that can't be repaired throws
+    const parsedResult = await llm.generateStructured(model, promptText, FACT_CHECK_SCHEMA);
+    const formattedResult = {
+        verdict: parsedResult.verdict,
+        confidence: parsedResult.confidence,
+        explanation: parsedResult.explanation.trim() || "No explanation provided.",
+        sources: verifyCitations(parsedResult.citations, passages),
+        evidenceCount: passages.length
+    };
+    return formattedResult;
+}
 
-    } catch (error) {
-        console.error("Error fetching/analyzing comments:", error);
-        const errorMsg = `Comment analysis failed: ${error.message}`;
-        sendDataToPopup("displayCommentAnalysis", null, errorMsg);
-        updatePopupStatus(errorMsg, true, false);
-        throw error; // Re-throw if needed upstream
+// The saved transcript's lines around where the selection is said, or around the player's position when the
+// selection isn't from the transcript (a comment, the description). Null without a saved transcript.
+async function selectionTranscriptContext(videoId, text, tabId = null) {
+    const transcript = (await getVideoAnalyses(videoId)).transcript?.data;
+    if (!transcript?.segments?.length) return null;
+    let start = findSelectionStart(transcript.segments, text);
+    if (start === null && tabId) {
+        const time = await getPlayerTimeInTab(tabId).catch(() => null);
+        if (time !== null) start = Math.floor(time);
     }
+    return start === null ? null : { start: start, text: claimContext(transcript.segments, start) };
 }
 
-async function performFactCheck(textToFactCheck) {
-    updatePopupStatus(`Fact-checking selected text...`, false, true);
-    const { geminiKey } = await loadAPIKeys();
-    if (!geminiKey) {
-        throw new Error("Gemini API Key not set in options.");
-    }
+async function performFactCheck(textToFactCheck, model = DEFAULT_SETTINGS.factCheckModel, job = null) {
+    reportProgress(job, `Gathering evidence and fact-checking selected text...`);
+    const llm = await getLLMProvider({ signal: job?.signal });
 
     try {
-        const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro-latest:generateContent?key=${geminiKey}`; // Use Pro for better reasoning
-        // Refined prompt requesting specific JSON structure
-        const prompt = {
-            contents: [{
-                parts: [{
-                    text: `Please act as a neutral fact-checker. Analyze the following claim: "${textToFactCheck}"
-
-              Respond ONLY with a single, valid JSON object containing the following fields:
-              - "verdict": A string classification ("True", "False", "Partially True", "Misleading", "Unverifiable", "Opinion").
-              - "confidence": A number between 0.0 (low confidence) and 1.0 (high confidence) in your verdict.
-              - "explanation": A concise string explaining your reasoning (1-2 sentences).
-              - "sources": An array of strings, listing URL(s) or credible references supporting your conclusion. If unverifiable or opinion, the array can be empty or contain a note.
-
-              Do not include any introductory text, concluding remarks, or markdown formatting like \`\`\`json ... \`\`\` around the JSON object.`
-                }]
-            }],
-            // Optional: Add safety settings if needed
-            //"safetySettings": [ ... ],
-            "generationConfig": {
-                "responseMimeType": "application/json" // Explicitly request JSON if API supports it directly
-            }
-        };
-
+        const transcriptContext = job?.videoId
+            ? await selectionTranscriptContext(job.videoId, textToFactCheck, job.tabId).catch(error => {
+                console.error("Could not find the selection in the transcript:", error);
+                return null;
+            })
+            : null;
+        const formattedResult = await checkClaim(textToFactCheck, model, llm, { videoId: job?.videoId, transcriptContext: transcriptContext, signal: job?.signal });
+        reportProgress(job, 'Fact-check complete.');
+        return formattedResult;
 
-        const response = await fetch(geminiApiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(prompt)
-        });
+    } catch (error) {
+        if (!isAbortError(error)) console.error("Error during fact-check:", error);
+        throw error;
+    }
+}
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({})); // Try to parse error, default to empty obj
-            throw new Error(`Gemini API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+// Serve a fresh cached result when there is one, otherwise run the producer and cache what it returns.
+// Either way the result is returned for the job runner to send to the popup.
+async function runWithCache(videoId, type, params, job, refresh, producer) {
+    const { cacheTtlHours } = await loadSettings();
+    if (!refresh) {
+        const cached = await getCachedAnalysis(videoId, type, params, cacheTtlHours);
+        if (cached) {
+            reportProgress(job, `Loaded ${ANALYSIS_TYPES[type].toLowerCase()} from saved results (${describeAge(cached.savedAt)}).`);
+            return cached.data;
         }
+    }
 
-        // Since we requested JSON directly, parse it
-        const geminiResult = await response.json();
+    const result = await producer();
+    // The transcript API fallback returns only an info string; stopped runs are partial and not worth reusing
+    if (result && typeof result === 'object' && !result.stopped) {
+        await saveCachedAnalysis(videoId, type, result, { params: params })
+            .catch(err => console.error(`Failed to save ${type} result:`, err));
+    }
+    return result;
+}
 
-        // Extract content, assuming the structure { candidates: [ { content: { parts: [ { text: "..." } ] } } ] }
-        // OR if responseMimeType worked, it might be directly in the candidate
-        let parsedResult;
-        if (geminiResult?.candidates?.[0]?.content?.parts?.[0]?.text) {
-            // Try parsing the text part if JSON mime type wasn't fully respected
-            try {
-                parsedResult = JSON.parse(geminiResult.candidates[0].content.parts[0].text);
-            } catch (e) {
-                console.error("Failed to parse JSON from text part:", e);
-                throw new Error("Fact-check response from Gemini was not valid JSON.");
-            }
-        } else if (typeof geminiResult?.candidates?.[0]?.content === 'object') {
-            // If the content itself is the object (due to mime type request)
-            parsedResult = geminiResult.candidates[0].content; // Adjust based on actual API response structure if mime type works
-        } else {
-            throw new Error("Could not find parsable content in Gemini fact-check response.");
+// Fact-check a selection as a job and, when it was made on a video page, keep it with that video's results
+async function factCheckSelection(text, tabId = null) {
+    const videoId = tabId ? await getVideoIdFromTab(tabId).catch(() => null) : null;
+    return runJob('factCheck', tabId, videoId, "displayFactCheck", async job => {
+        const { factCheckModel } = await loadSettings();
+        const result = await performFactCheck(text, factCheckModel, job);
+        if (videoId) {
+            await appendCachedFactCheck(videoId, { claim: text, ...result })
+                .catch(err => console.error("Failed to save fact-check:", err));
+            // Mark the sentence wherever it shows up on the page, colored by verdict
+            sendToContentScript(tabId, { action: "highlightText", videoId: videoId, textToHighlight: text, factCheck: { claim: text, ...result } })
+                .catch(err => console.error("Failed to highlight fact-checked text:", err));
         }
+        return result;
+    });
+}
 
-
-        // Validate expected fields (optional but good practice)
-        const formattedResult = {
-            verdict: parsedResult.verdict || "Unknown",
-            confidence: parsedResult.confidence !== undefined ? parsedResult.confidence : null,
-            explanation: parsedResult.explanation || "No explanation provided.",
-            sources: Array.isArray(parsedResult.sources) ? parsedResult.sources : []
-        };
-
-        sendDataToPopup("displayFactCheck", formattedResult);
-        updatePopupStatus('Fact-check complete.', false, false);
-        return formattedResult;
-
-    } catch (error) {
-        console.error("Error during fact-check:", error);
-        const errorMsg = `Fact-check failed: ${error.message}`;
-        sendDataToPopup("displayFactCheck", null, errorMsg);
-        updatePopupStatus(errorMsg, true, false);
-        throw error;
-    }
+// Start a video analysis job for the tab's video and answer the popup with the job, or the error that kept it from starting
+function startVideoJob(request, type, displayAction, sendResponse, work) {
+    getVideoIdFromTab(request.tabId)
+        .then(videoId => runJob(type, request.tabId, videoId, displayAction, job => work(videoId, job)))
+        .then(job => sendResponse({ job: job }))
+        .catch(error => {
+            console.error(`Error starting ${type} job:`, error);
+            sendResponse({ error: error.message });
+        });
 }
 
 // --- Event Listeners ---
@@ -421,55 +530,223 @@ async function performFactCheck(textToFactCheck) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log("Background received message:", request);
     let isAsync = false; // Flag to indicate if we need to return true
+    // The in-page sidebar asks about the tab it runs in
+    if (!request.tabId && sender.tab) request.tabId = sender.tab.id;
 
     if (request.action === "getTranscript" && request.tabId) {
-        isAsync = true; // We will handle this asynchronously
+        isAsync = true; // Answered with the job once it has started
+        startVideoJob(request, 'transcript', "displayTranscript", sendResponse, async (videoId, job) => {
+            const { langPrefs, translationModel } = await loadSettings();
+            const params = { trackId: request.trackId || null, translateTo: request.translateTo || null };
+            // Attempt fetch from page first, fallback to API list if needed
+            return runWithCache(videoId, 'transcript', params, job, request.refresh, () =>
+                fetchTranscriptFromPage(videoId, langPrefs, { ...params, translationModel: translationModel, job: job }));
+        });
+
+    } else if (request.action === "summarizeVideo" && request.tabId) {
+        isAsync = true;
+        startVideoJob(request, 'summary', "displaySummary", sendResponse, async (videoId, job) => {
+            const settings = await loadSettings();
+            const { langPrefs, summaryModel } = settings;
+            const params = { trackId: request.trackId || null };
+            return runWithCache(videoId, 'summary', { ...params, ...modelCacheParams(settings, summaryModel) }, job, request.refresh, () =>
+                summarizeVideo(videoId, langPrefs, { ...params, model: summaryModel, job: job }));
+        });
+
+    } else if (request.action === "listCaptionTracks" && request.tabId) {
+        isAsync = true;
         (async () => {
             try {
-                updatePopupStatus("Getting video details...", false, true);
                 const videoId = await getVideoIdFromTab(request.tabId);
-                console.log("Extracted Video ID:", videoId);
-                // Attempt fetch from page first, fallback to API list if needed
-                await fetchTranscriptFromPage(videoId);
-                // Status/data sent within fetchTranscriptFromPage or fetchAvailableTranscriptLangsAPI
+                await listCaptionTracks(videoId);
             } catch (error) {
-                // Errors handled and sent to popup within the functions or getVideoIdFromTab
-                console.error("Error in getTranscript flow:", error);
-                updatePopupStatus(`Transcript Error: ${error.message}`, true, false);
-                sendDataToPopup("displayTranscript", null, `Error: ${error.message}`); // Ensure error is displayed
+                console.error("Error in listCaptionTracks flow:", error);
+                sendDataToPopup("displayCaptionTracks", null, `Error: ${error.message}`);
             }
         })();
 
     } else if (request.action === "analyzeComments" && request.tabId) {
+        isAsync = true;
+        startVideoJob(request, 'comments', "displayCommentAnalysis", sendResponse, async (videoId, job) => {
+            const settings = await loadSettings();
+            const { commentMaxResults, sentimentModel, sentimentEngine } = settings;
+            const results = await runWithCache(videoId, 'comments', commentCacheParams(settings), job, request.refresh, () =>
+                fetchAndAnalyzeComments(videoId, commentMaxResults, sentimentModel, job, sentimentEngine));
+            rememberChatComments(videoId, results.sampleAnalyzedComments); // Ground chat answers in the analyzed set
+            return results;
+        });
+
+    } else if (request.action === "seekVideo" && request.tabId && typeof request.seconds === 'number') {
+        isAsync = true;
+        seekVideoInTab(request.tabId, request.seconds)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                console.error("Error seeking video:", error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+    } else if (request.action === "factCheckVideo" && request.tabId) {
+        isAsync = true;
+        startVideoJob(request, 'videoFactCheck', "displayVideoFactCheck", sendResponse, async (videoId, job) => {
+            const settings = await loadSettings();
+            const { langPrefs, factCheckModel, summaryModel } = settings;
+            const params = { trackId: request.trackId || null };
+            return runWithCache(videoId, 'videoFactCheck', videoFactCheckCacheParams(settings, params.trackId), job, request.refresh, () =>
+                factCheckVideo(videoId, langPrefs, { ...params, model: factCheckModel, extractionModel: summaryModel, job: job }));
+        });
+
+    } else if (request.action === "askVideoQuestion" && request.tabId && request.question) {
         isAsync = true;
         (async () => {
             try {
-                updatePopupStatus("Getting video details for comments...", false, true);
                 const videoId = await getVideoIdFromTab(request.tabId);
-                console.log("Extracted Video ID for comments:", videoId);
-                await fetchAndAnalyzeComments(videoId);
-                // Status/data sent within fetchAndAnalyzeComments
+                const { langPrefs, chatModel } = await loadSettings();
+                await answerVideoQuestion(videoId, request.question.trim(), langPrefs, chatModel);
+                // Status/data sent within answerVideoQuestion
             } catch (error) {
-                // Errors handled and sent to popup within the function
-                console.error("Error in analyzeComments flow:", error);
-                updatePopupStatus(`Comments Error: ${error.message}`, true, false);
-                sendDataToPopup("displayCommentAnalysis", null, `Error: ${error.message}`); // Ensure error is displayed
+                console.error("Error in askVideoQuestion flow:", error);
+                sendDataToPopup("displayChatAnswer", null, `Error: ${error.message}`);
             }
         })();
 
+    } else if (request.action === "getCachedResults" && request.tabId) {
+        isAsync = true;
+        getVideoIdFromTab(request.tabId)
+            .then(async videoId => sendResponse({ videoId: videoId, analyses: await getVideoAnalyses(videoId) }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "getChatHistory" && request.tabId) {
+        isAsync = true;
+        getVideoIdFromTab(request.tabId)
+            .then(async videoId => sendResponse({ videoId: videoId, turns: await loadChatHistory(videoId) }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "clearChatHistory" && request.tabId) {
+        isAsync = true;
+        getVideoIdFromTab(request.tabId)
+            .then(videoId => saveChatHistory(videoId, []))
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+    } else if (request.action === "drawCommentHeatmap" && request.tabId && Array.isArray(request.momentMentions)) {
+        isAsync = true;
+        sendToContentScript(request.tabId, { action: "drawCommentHeatmap", momentMentions: request.momentMentions })
+            .then(response => sendResponse(response || { success: false, error: "No response from page." }))
+            .catch(error => {
+                console.error("Error drawing heatmap overlay:", error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+    } else if (request.action === "stopJob" && request.jobId) {
+        sendResponse({ stopped: stopJob(request.jobId) });
+
+    } else if (request.action === "getJobs" && request.tabId) {
+        isAsync = true;
+        // The video ID lets the popup ignore jobs for a video the tab has since navigated away from
+        Promise.all([getVideoIdFromTab(request.tabId).catch(() => null), listJobs(request.tabId)])
+            .then(([videoId, jobs]) => sendResponse({ videoId: videoId, jobs: jobs }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "analyzePlaylist" && request.tabId) {
+        isAsync = true;
+        // Not tied to a video: the playlist page itself may not have one open
+        getYouTubeIdsFromTab(request.tabId)
+            .then(({ playlistId }) => {
+                if (!playlistId) throw new Error("The tab's URL has no playlist (list=...).");
+                return runJob('playlist', request.tabId, null, "displayPlaylistReport", job =>
+                    analyzePlaylist(playlistId, { refresh: request.refresh }, job));
+            })
+            .then(job => sendResponse({ job: job }))
+            .catch(error => {
+                console.error("Error starting playlist job:", error);
+                sendResponse({ error: error.message });
+            });
+
+    } else if (request.action === "getPlaylistReport" && request.tabId) {
+        isAsync = true;
+        getYouTubeIdsFromTab(request.tabId)
+            .then(({ playlistId }) => playlistId ? getSavedPlaylistReport(playlistId) : null)
+            .then(report => sendResponse({ report: report }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "compareVideos" && request.tabId) {
+        isAsync = true;
+        // Started from compare.html, whose tab the job belongs to
+        runJob('compare', request.tabId, null, "displayComparison", job => compareVideos(request, job))
+            .then(job => sendResponse({ job: job }))
+            .catch(error => {
+                console.error("Error starting comparison job:", error);
+                sendResponse({ error: error.message });
+            });
+
+    } else if (request.action === "getComparisonReport") {
+        isAsync = true;
+        getSavedComparisonReport()
+            .then(report => sendResponse({ report: report }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "analyzeLiveChat" && request.tabId) {
+        isAsync = true;
+        // A recorded fixture can be replayed from any YouTube page; live sources need the stream's video
+        getYouTubeIdsFromTab(request.tabId)
+            .then(({ videoId }) => {
+                const source = request.source || 'auto';
+                if (!videoId && source !== 'fixture') throw new Error("The tab is not showing a YouTube video.");
+                return runJob('liveChat', request.tabId, videoId, "displayLiveChat", job =>
+                    analyzeLiveChat(videoId, { source: source, fixture: request.fixture }, job));
+            })
+            .then(job => sendResponse({ job: job }))
+            .catch(error => {
+                console.error("Error starting live chat job:", error);
+                sendResponse({ error: error.message });
+            });
+
+    } else if (request.action === "getLiveChat" && request.tabId) {
+        sendResponse({ liveChat: getLatestLiveChat(request.tabId) });
+
+    } else if (request.action === "liveChatMessages" && request.jobId) {
+        // Sent by the chat observer in content.js
+        sendResponse({ active: receiveLiveChatMessages(request.jobId, request.messages, request.ended) });
+
+    } else if (request.action === "searchTranscripts" && typeof request.query === 'string') {
+        isAsync = true;
+        searchTranscripts(request.query)
+            .then(results => sendResponse({ results: results }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "getTranscriptLibraryStats") {
+        isAsync = true;
+        getTranscriptLibraryStats()
+            .then(stats => sendResponse({ stats: stats }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "clearTranscriptLibrary") {
+        isAsync = true;
+        clearTranscriptLibrary()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+    } else if (request.action === "getVideoMetadata" && request.tabId) {
+        isAsync = true;
+        getVideoIdFromTab(request.tabId)
+            .then(videoId => fetchVideoMetadata(videoId))
+            .then(metadata => sendResponse({ metadata: metadata }))
+            .catch(error => sendResponse({ error: error.message }));
+
+    } else if (request.action === "getQuotaUsage") {
+        isAsync = true;
+        getYouTubeQuotaStatus()
+            .then(status => sendResponse(status))
+            .catch(error => sendResponse({ error: error.message }));
+
     } else if (request.action === "factCheckSelection" && request.text) {
         isAsync = true;
-        (async () => {
-            try {
-                await performFactCheck(request.text);
-                // Status/data sent within performFactCheck
-            } catch (error) {
-                // Errors handled and sent to popup within the function
+        factCheckSelection(request.text, request.tabId || null)
+            .then(job => sendResponse({ job: job }))
+            .catch(error => {
                 console.error("Error in factCheckSelection flow:", error);
-                updatePopupStatus(`Fact-check Error: ${error.message}`, true, false);
-                // No need to send error data again here, performFactCheck does it
-            }
-        })();
+                sendResponse({ error: error.message });
+            });
     }
     // NOTE: No 'saveAPIKeys' handler needed here, options.js handles saving directly to storage.
 
@@ -487,8 +764,8 @@ chrome.runtime.onInstalled.addListener(() => {
     console.log("Fact-Check context menu created.");
 
     // Load keys once on startup/install just to check they exist
-    loadAPIKeys().then(({ youtubeKey, geminiKey }) => {
-        if (!youtubeKey || !geminiKey) {
+    loadSettings().then(settings => {
+        if (!settings.youtubeApiKey || (settings.llmProvider === 'gemini' && !settings.geminiApiKey)) {
             console.warn("One or more API keys are missing. Please set them in the extension options.");
             // Maybe open options page automatically on first install?
             // chrome.runtime.openOptionsPage();
@@ -500,17 +777,14 @@ chrome.runtime.onInstalled.addListener(() => {
 chrome.contextMenus.onClicked.addListener((info, tab) => {
     if (info.menuItemId === "factCheckSelectedText" && info.selectionText) {
         if (info.selectionText.length > 500) { // Add a length limit for fact-checking
-            updatePopupStatus("Selected text too long for fact-checking (max 500 chars).", true, false);
+            updatePopupStatus("Selected text too long for fact-checking (max 500 chars).", true);
             sendDataToPopup("displayFactCheck", null, "Selected text too long (max 500 chars).");
             return;
         }
         console.log("Fact-check requested for:", info.selectionText);
-        updatePopupStatus("Starting fact-check...", false, true); // Update status immediately
-        // Send to our own background script handler
-        chrome.runtime.sendMessage({
-            action: "factCheckSelection",
-            text: info.selectionText.trim()
-        }).catch(err => console.error("Error sending fact-check message:", err));
+        // Call directly: runtime.sendMessage from the service worker never reaches its own onMessage listener
+        factCheckSelection(info.selectionText.trim(), tab?.id || null)
+            .catch(err => console.error("Error in context menu fact-check:", err)); // Progress and results are sent by the job
     }
 });
 
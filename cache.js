@@ -0,0 +1,127 @@
+// --- Per-Video Analysis Cache & History ---
+// Results are stored in chrome.storage.local under "analysis:<videoId>:<type>". The TTL only decides
+// whether a result is reused instead of refetched; entries stay around as history until cleared.
+// Loaded by the background service worker (via importScripts) and by history.html.
+
+const ANALYSIS_KEY_PREFIX = 'analysis:';
+const MAX_HISTORY_VIDEOS = 100; // Oldest videos are pruned beyond this
+const MAX_SAVED_FACT_CHECKS = 20; // Selection fact-checks kept per video
+
+const ANALYSIS_TYPES = {
+    transcript: 'Transcript',
+    comments: 'Comment analysis',
+    summary: 'Summary',
+    videoFactCheck: 'Video fact-check',
+    factChecks: 'Selection fact-checks'
+};
+
+function analysisKey(videoId, type) {
+    return `${ANALYSIS_KEY_PREFIX}${videoId}:${type}`;
+}
+
+function videoAnalysisKeys(videoId) {
+    return Object.keys(ANALYSIS_TYPES).map(type => analysisKey(videoId, type));
+}
+
+// Params (track, translation, ...) must match for a cached result to be reused
+function sameParams(a, b) {
+    return JSON.stringify(a || {}) === JSON.stringify(b || {});
+}
+
+function isEntryFresh(entry, ttlHours) {
+    return ttlHours > 0 && Date.now() - Date.parse(entry.savedAt) < ttlHours * 3600 * 1000;
+}
+
+async function getCachedAnalysis(videoId, type, params = {}, ttlHours = DEFAULT_SETTINGS.cacheTtlHours) {
+    const key = analysisKey(videoId, type);
+    const stored = await chrome.storage.local.get(key);
+    const entry = stored[key];
+    if (!entry || !sameParams(entry.params, params) || !isEntryFresh(entry, ttlHours)) {
+        return null;
+    }
+    return entry;
+}
+
+async function saveCachedAnalysis(videoId, type, data, details = {}) {
+    const entry = {
+        videoId: videoId,
+        type: type,
+        title: details.title || data?.title || null,
+        params: details.params || {},
+        savedAt: new Date().toISOString(),
+        data: data
+    };
+    // Pruning reads every saved result, so it only runs when a video is added to the history
+    const isNewVideo = Object.keys(await chrome.storage.local.get(videoAnalysisKeys(videoId))).length === 0;
+    await chrome.storage.local.set({ [analysisKey(videoId, type)]: entry });
+    if (isNewVideo) await pruneAnalysisHistory();
+    return entry;
+}
+
+// Selection fact-checks accumulate per video instead of replacing each other
+async function appendCachedFactCheck(videoId, factCheck, title = null) {
+    const key = analysisKey(videoId, 'factChecks');
+    const stored = await chrome.storage.local.get(key);
+    const existing = stored[key]?.data || [];
+    const data = [...existing, { ...factCheck, checkedAt: new Date().toISOString() }].slice(-MAX_SAVED_FACT_CHECKS);
+    return saveCachedAnalysis(videoId, 'factChecks', data, { title: title || stored[key]?.title });
+}
+
+async function getAllAnalysisEntries() {
+    const everything = await chrome.storage.local.get(null);
+    return Object.entries(everything)
+        .filter(([key]) => key.startsWith(ANALYSIS_KEY_PREFIX))
+        .map(([, entry]) => entry);
+}
+
+// All saved results for one video, keyed by type
+async function getVideoAnalyses(videoId) {
+    const stored = await chrome.storage.local.get(videoAnalysisKeys(videoId));
+    const analyses = {};
+    Object.values(stored).forEach(entry => { analyses[entry.type] = entry; });
+    return analyses;
+}
+
+// One row per video, most recently analyzed first
+async function listAnalysisHistory() {
+    const videos = new Map();
+    (await getAllAnalysisEntries()).forEach(entry => {
+        if (!videos.has(entry.videoId)) {
+            videos.set(entry.videoId, { videoId: entry.videoId, title: null, lastSavedAt: entry.savedAt, analyses: {} });
+        }
+        const video = videos.get(entry.videoId);
+        video.analyses[entry.type] = entry;
+        video.title = video.title || entry.title;
+        if (entry.savedAt > video.lastSavedAt) video.lastSavedAt = entry.savedAt;
+    });
+    return [...videos.values()].sort((a, b) => b.lastSavedAt.localeCompare(a.lastSavedAt));
+}
+
+async function deleteVideoHistory(videoId) {
+    await chrome.storage.local.remove(videoAnalysisKeys(videoId));
+}
+
+async function clearAnalysisHistory() {
+    const keys = (await getAllAnalysisEntries()).map(entry => analysisKey(entry.videoId, entry.type));
+    await chrome.storage.local.remove(keys);
+    return keys.length;
+}
+
+async function pruneAnalysisHistory() {
+    const history = await listAnalysisHistory();
+    const stale = history.slice(MAX_HISTORY_VIDEOS);
+    for (const video of stale) {
+        await deleteVideoHistory(video.videoId);
+    }
+}
+
+// "5 minutes ago", "3 hours ago", "2 days ago"
+function describeAge(isoDate) {
+    const minutes = Math.max(0, Math.round((Date.now() - Date.parse(isoDate)) / 60000));
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.round(hours / 24);
+    return `${days} days ago`;
+}
@@ -0,0 +1,148 @@
+// --- Comment Charts ---
+// Canvas charts for the popup: sentiment over the comment timeline, a heatmap of the video moments
+// commenters reference, and the live chat gauge and message rate. binMomentMentions() is also used to
+// build the progress bar overlay.
+
+const SENTIMENT_COLORS = { positive: '#28a745', negative: '#dc3545', neutral: '#adb5bd' };
+const HEATMAP_BIN_COUNT = 60;
+
+// Spread per-second mentions over fixed-width bins across the video
+function binMomentMentions(momentMentions, duration, binCount = HEATMAP_BIN_COUNT) {
+    const length = Math.max(duration || 0, ...momentMentions.map(m => m.seconds + 1), 1);
+    const binSeconds = length / binCount;
+    const bins = Array.from({ length: binCount }, (_, i) => ({ start: i * binSeconds, end: (i + 1) * binSeconds, peak: null, peakCount: 0, count: 0, positive: 0, negative: 0, neutral: 0 }));
+    momentMentions.forEach(moment => {
+        const bin = bins[Math.min(binCount - 1, Math.floor(moment.seconds / binSeconds))];
+        if (moment.count > bin.peakCount) {
+            bin.peak = moment.seconds; // Most-referenced second in the bin, used for seeking
+            bin.peakCount = moment.count;
+        }
+        bin.count += moment.count;
+        bin.positive += moment.positive;
+        bin.negative += moment.negative;
+        bin.neutral += moment.neutral;
+    });
+    return { duration: length, bins: bins };
+}
+
+// Scale the canvas backing store for crisp lines on high-DPI screens
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+// Stacked bars per publish-time bucket (positive at the bottom, then neutral, then negative)
+function drawSentimentTimeline(canvas, timeline) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    const buckets = timeline.buckets;
+    if (buckets.length === 0) return;
+
+    const labelHeight = 12;
+    const chartHeight = height - labelHeight;
+    const maxTotal = Math.max(...buckets.map(b => b.positive + b.negative + b.neutral), 1);
+    const barWidth = width / buckets.length;
+
+    buckets.forEach((bucket, i) => {
+        let y = chartHeight;
+        ['positive', 'neutral', 'negative'].forEach(sentiment => {
+            const barHeight = (bucket[sentiment] / maxTotal) * (chartHeight - 2);
+            ctx.fillStyle = SENTIMENT_COLORS[sentiment];
+            ctx.fillRect(i * barWidth + 0.5, y - barHeight, Math.max(barWidth - 1, 1), barHeight);
+            y -= barHeight;
+        });
+    });
+
+    ctx.fillStyle = '#555';
+    ctx.font = '9px sans-serif';
+    ctx.textBaseline = 'bottom';
+    const withTime = timeline.bucketMs < 24 * 3600 * 1000;
+    const formatBucket = iso => {
+        const date = new Date(iso);
+        return withTime ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }) : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    };
+    ctx.textAlign = 'left';
+    ctx.fillText(formatBucket(buckets[0].start), 0, height);
+    if (buckets.length > 1) {
+        ctx.textAlign = 'right';
+        ctx.fillText(formatBucket(buckets[buckets.length - 1].start), width, height);
+    }
+}
+
+// One cell per bin across the video; darker = more mentions, hue leans to the dominant sentiment
+function drawMomentHeatmap(canvas, heatmap) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    const maxCount = Math.max(...heatmap.bins.map(b => b.count), 1);
+    const cellWidth = width / heatmap.bins.length;
+
+    ctx.fillStyle = '#f1f3f5';
+    ctx.fillRect(0, 0, width, height);
+    heatmap.bins.forEach((bin, i) => {
+        if (bin.count === 0) return;
+        const dominant = ['positive', 'negative', 'neutral'].reduce((a, b) => (bin[b] > bin[a] ? b : a), 'neutral');
+        ctx.globalAlpha = 0.25 + 0.75 * (bin.count / maxCount);
+        ctx.fillStyle = dominant === 'neutral' ? '#fd7e14' : SENTIMENT_COLORS[dominant];
+        ctx.fillRect(i * cellWidth, 0, Math.ceil(cellWidth), height);
+    });
+    ctx.globalAlpha = 1;
+}
+
+// Map a click on the heatmap canvas back to a time in the video
+function heatmapTimeAt(canvas, heatmap, clientX) {
+    const rect = canvas.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    const bin = heatmap.bins[Math.min(heatmap.bins.length - 1, Math.floor(fraction * heatmap.bins.length))];
+    return bin.peak ?? bin.start;
+}
+
+// Half-dial from negative (left) to positive (right) with a needle at score (-1..1)
+function drawSentimentGauge(canvas, score) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    const radius = Math.min(width / 2, height) - 4;
+    const centerX = width / 2;
+    const centerY = height - 2;
+    const bands = [[-1, -0.2, SENTIMENT_COLORS.negative], [-0.2, 0.2, SENTIMENT_COLORS.neutral], [0.2, 1, SENTIMENT_COLORS.positive]];
+    const angleAt = value => Math.PI + (value + 1) / 2 * Math.PI;
+
+    ctx.lineWidth = Math.max(radius * 0.25, 6);
+    bands.forEach(([from, to, color]) => {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.arc(centerX, centerY, radius - ctx.lineWidth / 2, angleAt(from), angleAt(to));
+        ctx.stroke();
+    });
+
+    const angle = angleAt(Math.min(Math.max(score, -1), 1));
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(centerX + Math.cos(angle) * (radius - 2), centerY + Math.sin(angle) * (radius - 2));
+    ctx.stroke();
+    ctx.fillStyle = '#333';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 3, 0, 2 * Math.PI);
+    ctx.fill();
+}
+
+// Messages per bucket as bars; buckets flagged as spikes are drawn in orange
+function drawMessageRate(canvas, rate, spikes = []) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    const buckets = rate.buckets;
+    if (buckets.length === 0) return;
+
+    const spikeStarts = new Set(spikes.map(s => s.start));
+    const maxCount = Math.max(...buckets.map(b => b.count), 1);
+    const barWidth = width / buckets.length;
+    buckets.forEach((bucket, i) => {
+        const barHeight = (bucket.count / maxCount) * (height - 2);
+        ctx.fillStyle = spikeStarts.has(bucket.start) ? '#fd7e14' : '#6c9bd2';
+        ctx.fillRect(i * barWidth + 0.5, height - barHeight, Math.max(barWidth - 1, 1), barHeight);
+    });
+}
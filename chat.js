@@ -0,0 +1,198 @@
+// --- Video Q&A Chat ---
+// Answers questions grounded in the current video's transcript segments and comments, citing
+// timestamps and comment IDs. History is kept per video in chrome.storage.local.
+
+const CHAT_HISTORY_KEY = 'chatHistory';
+const CHAT_HISTORY_MAX_TURNS = 20; // Per video; older turns are dropped
+const CHAT_PROMPT_HISTORY_TURNS = 6; // Recent turns replayed to the model for follow-up questions
+const CHAT_TRANSCRIPT_TOKENS = 60000; // Transcript budget per question; longer ones are narrowed by relevance
+const CHAT_MAX_COMMENTS = 200;
+const CHAT_CONTEXT_MAX_VIDEOS = 3; // Videos whose grounding material stays in memory
+
+// Grounding material per video (transcript and comments), least recently used first
+const chatContextCache = new Map();
+
+// The video's context, moved to the most recently used end; the oldest videos beyond the limit are dropped
+function useChatContext(videoId) {
+    const context = chatContextCache.get(videoId) || {};
+    chatContextCache.delete(videoId);
+    chatContextCache.set(videoId, context);
+    while (chatContextCache.size > CHAT_CONTEXT_MAX_VIDEOS) {
+        chatContextCache.delete(chatContextCache.keys().next().value);
+    }
+    return context;
+}
+
+function rememberChatComments(videoId, comments) {
+    useChatContext(videoId).comments = comments;
+}
+
+async function getChatContext(videoId, langPrefs) {
+    const context = useChatContext(videoId);
+
+    if (context.transcript === undefined) {
+        updatePopupStatus("Loading transcript for chat...");
+        try {
+            context.transcript = await loadTranscriptFromPage(videoId, langPrefs);
+        } catch (error) {
+            console.error("Chat could not load transcript:", error); // Left unset so the next question retries
+        }
+    }
+
+    if (context.comments === undefined) {
+        const { youtubeKey } = await loadAPIKeys();
+        context.comments = [];
+        if (youtubeKey) {
+            updatePopupStatus("Loading comments for chat...");
+            try {
+                context.comments = await fetchCommentThreads(videoId, CHAT_MAX_COMMENTS, youtubeKey);
+            } catch (error) {
+                console.error("Chat could not load comments:", error);
+            }
+        }
+    }
+    return context;
+}
+
+function questionTerms(text) {
+    return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 2));
+}
+
+// Keep the transcript chunks sharing the most terms with the question (plus recent history), in time order
+function selectRelevantSegments(segments, question) {
+    const maxChars = CHAT_TRANSCRIPT_TOKENS * CHARS_PER_TOKEN;
+    const chunks = chunkSegments(segments, 2000);
+    if (chunks.length <= 1 || segments.reduce((sum, s) => sum + s.text.length, 0) <= maxChars) {
+        return segments;
+    }
+
+    const terms = questionTerms(question);
+    const scored = chunks.map((chunk, order) => {
+        const chunkTerms = questionTerms(chunk.map(({ segment }) => segment.text).join(' '));
+        let score = 0;
+        terms.forEach(term => { if (chunkTerms.has(term)) score++; });
+        return { chunk, order, score };
+    }).sort((a, b) => b.score - a.score || a.order - b.order);
+
+    const selected = [];
+    let usedChars = 0;
+    for (const { chunk, order } of scored) {
+        const chars = chunk.reduce((sum, { segment }) => sum + segment.text.length, 0);
+        if (usedChars + chars > maxChars) break;
+        selected.push({ chunk, order });
+        usedChars += chars;
+    }
+    return selected.sort((a, b) => a.order - b.order).flatMap(({ chunk }) => chunk.map(({ segment }) => segment));
+}
+
+function buildChatPrompt(title, segments, comments, history, question) {
+    const transcriptBlock = segments.length > 0 ? formatSegmentsForPrompt(segments) : "(No transcript available.)";
+    const commentsBlock = comments.length > 0
+        ? comments.slice(0, CHAT_MAX_COMMENTS).map(c => `[${c.id}]${c.sentiment ? ` (${c.sentiment})` : ''} ${c.text.replace(/\s+/g, ' ')}`).join('\n')
+        : "(No comments available.)";
+    const historyBlock = history.length > 0
+        ? history.map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`).join('\n\n')
+        : "(This is the first question.)";
+
+    return `You answer questions about the YouTube video "${title}" using ONLY the transcript and comments below. Transcript lines start with their start time in seconds in square brackets. Comment lines start with the comment ID in square brackets. If the material does not contain the answer, say so.
+
+Respond ONLY with a single, valid JSON object containing the following fields:
+- "answer": A concise answer (at most a few sentences or a short list), in the language of the question.
+- "timestamps": An array of start times in seconds (from the transcript markers) supporting the answer.
+- "commentIds": An array of comment IDs (from the comment markers) supporting the answer.
+Every claim in the answer must be supported by at least one timestamp or comment ID. Do not include any other text or markdown formatting.
+
+Transcript:
+${transcriptBlock}
+
+Comments:
+${commentsBlock}
+
+Conversation so far:
+${historyBlock}
+
+Question: ${question}`;
+}
+
+const CHAT_ANSWER_SCHEMA = {
+    type: 'object',
+    properties: {
+        answer: { type: 'string' },
+        timestamps: { type: 'array', items: { type: 'number' } },
+        commentIds: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['answer', 'timestamps', 'commentIds']
+};
+
+// Drop citations the model invented: timestamps must match a segment start, IDs a known comment
+function normalizeChatAnswer(raw, segments, comments) {
+    if (!raw || typeof raw !== 'object' || typeof raw.answer !== 'string') {
+        throw new Error("Chat response did not contain an answer.");
+    }
+    const starts = new Set(segments.map(s => Math.floor(s.start)));
+    const commentsById = new Map(comments.map(c => [c.id, c]));
+
+    const timestamps = [...new Set((Array.isArray(raw.timestamps) ? raw.timestamps : [])
+        .map(t => Math.floor(Number(t)))
+        .filter(t => starts.has(t)))]
+        .sort((a, b) => a - b);
+    const citedComments = [...new Set((Array.isArray(raw.commentIds) ? raw.commentIds : []).map(String))]
+        .filter(id => commentsById.has(id))
+        .map(id => ({ id: id, text: commentsById.get(id).text.slice(0, 200) }));
+
+    return { answer: raw.answer.trim(), timestamps: timestamps, comments: citedComments };
+}
+
+async function loadChatHistory(videoId) {
+    const stored = await chrome.storage.local.get(CHAT_HISTORY_KEY);
+    return stored[CHAT_HISTORY_KEY]?.[videoId] || [];
+}
+
+async function saveChatHistory(videoId, turns) {
+    const stored = await chrome.storage.local.get(CHAT_HISTORY_KEY);
+    const allHistory = stored[CHAT_HISTORY_KEY] || {};
+    if (turns.length > 0) {
+        allHistory[videoId] = turns.slice(-CHAT_HISTORY_MAX_TURNS);
+    } else {
+        delete allHistory[videoId];
+    }
+    await chrome.storage.local.set({ [CHAT_HISTORY_KEY]: allHistory });
+}
+
+async function answerVideoQuestion(videoId, question, langPrefs = DEFAULT_SETTINGS.langPrefs, model = DEFAULT_SETTINGS.chatModel) {
+    const llm = await getLLMProvider();
+
+    try {
+        const context = await getChatContext(videoId, langPrefs);
+        const segments = context.transcript?.segments || [];
+        const comments = context.comments || [];
+        if (segments.length === 0 && comments.length === 0) {
+            throw new Error("Neither a transcript nor comments are available for this video.");
+        }
+
+        const history = await loadChatHistory(videoId);
+        updatePopupStatus("Thinking about your question...");
+        const prompt = buildChatPrompt(
+            context.transcript?.title || videoId,
+            selectRelevantSegments(segments, `${question} ${history.slice(-1).map(t => t.question).join(' ')}`),
+            comments,
+            history.slice(-CHAT_PROMPT_HISTORY_TURNS),
+            question
+        );
+        const answer = normalizeChatAnswer(await llm.generateStructured(model, prompt, CHAT_ANSWER_SCHEMA), segments, comments);
+
+        const turn = { question: question, ...answer, askedAt: new Date().toISOString() };
+        await saveChatHistory(videoId, [...history, turn]);
+
+        sendDataToPopup("displayChatAnswer", { videoId: videoId, turn: turn });
+        updatePopupStatus("Answer ready.");
+        return turn;
+
+    } catch (error) {
+        console.error("Error answering question:", error);
+        const errorMsg = `Chat failed: ${error.message}`;
+        sendDataToPopup("displayChatAnswer", null, errorMsg);
+        updatePopupStatus(errorMsg, true);
+        throw error;
+    }
+}
@@ -0,0 +1,169 @@
+// --- Video Claim Extraction & Batch Fact-Check ---
+// Pulls checkable factual claims (with timestamps) out of the full transcript, then runs each
+// through the same evidence retrieval and verdict schema as the "Fact-Check Selection" flow (checkClaim in background.js).
+
+const CLAIM_EXTRACTION_CHUNK_TOKENS = 12000; // Smaller than summary chunks so claims aren't skipped
+const MAX_VIDEO_CLAIMS = 25; // Each claim costs one fact-check request
+
+const EXTRACTED_CLAIMS_SCHEMA = {
+    type: 'array',
+    items: { type: 'object', properties: { claim: { type: 'string' }, start: { type: 'number', minimum: 0 } }, required: ['claim', 'start'] }
+};
+
+function buildClaimExtractionPrompt(title, segments, videoContext = '') {
+    return `You are preparing a fact-check of the YouTube video "${title}". From the transcript below, extract the checkable factual claims: specific statements about the world (numbers, dates, events, scientific or historical assertions, attributions) that could be verified as true or false. Skip opinions, jokes, predictions, greetings and self-promotion. Each line starts with its start time in seconds in square brackets.
+
+Respond ONLY with a valid JSON array where each element is an object containing:
+- "claim": The claim restated as a single self-contained sentence (resolve pronouns so it can be understood without context), in the language of the transcript.
+- "start": The start time in seconds of the line where the claim is made, taken from the [seconds] markers.
+Return an empty array if there are no checkable claims. Do not include any other text or markdown formatting.
+${videoContext ? `\n${videoContext}\n` : ''}
+Transcript:
+${formatSegmentsForPrompt(segments)}`;
+}
+
+// Keep well-formed claims, drop near-duplicates (same normalized text) and order by time
+function normalizeExtractedClaims(rawClaims, duration) {
+    if (!Array.isArray(rawClaims)) return [];
+    const seen = new Set();
+    return rawClaims
+        .map(c => ({ claim: String(c?.claim || '').trim(), start: Math.floor(Number(c?.start)) }))
+        .filter(c => c.claim && Number.isFinite(c.start) && c.start >= 0 && (!duration || c.start <= duration))
+        .filter(c => {
+            const key = c.claim.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+// Transcript lines around a claim, so the fact-checker knows what was being discussed
+function claimContext(segments, start, windowSeconds = 30) {
+    return segments
+        .filter(s => s.start >= start - windowSeconds && s.start <= start + windowSeconds)
+        .map(s => s.text)
+        .join(' ');
+}
+
+function matchWords(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+// Start time of the line where selected text appears in the transcript, or null. Selections can start or end
+// mid-word and span lines, so the longest run of consecutive matching words wins (at least a few, or all of a short one).
+function findSelectionStart(segments, text) {
+    const wanted = matchWords(text);
+    if (wanted.length === 0) return null;
+    const words = [];
+    segments.forEach(segment => matchWords(segment.text).forEach(word => words.push({ word: word, start: segment.start })));
+
+    let best = { length: 0, start: null };
+    for (let i = 0; i < words.length; i++) {
+        // The first selected word may be cut off, so the run can start at the second
+        for (let offset = 0; offset < Math.min(2, wanted.length); offset++) {
+            let length = 0;
+            while (length + offset < wanted.length && i + length < words.length && words[i + length].word === wanted[length + offset]) length++;
+            if (length > best.length) best = { length: length, start: words[i].start };
+        }
+    }
+    return best.length >= Math.min(4, wanted.length) ? best.start : null;
+}
+
+async function extractClaims(transcript, model, llm, job = null, videoContext = '') {
+    const title = transcript.title || transcript.videoId;
+    const duration = transcriptDuration(transcript);
+    const chunks = chunkSegments(transcript.segments, CLAIM_EXTRACTION_CHUNK_TOKENS * CHARS_PER_TOKEN);
+    let claims = [];
+    let failedParts = 0;
+
+    for (let c = 0; c < chunks.length; c++) {
+        reportProgress(job, `Extracting claims from transcript (part ${c + 1}/${chunks.length})...`);
+        const segments = chunks[c].map(({ segment }) => segment);
+        try {
+            const result = await llm.generateStructured(model, buildClaimExtractionPrompt(title, segments, videoContext), EXTRACTED_CLAIMS_SCHEMA);
+            claims = claims.concat(normalizeExtractedClaims(result, duration));
+        } catch (error) {
+            console.error(`Claim extraction failed for part ${c + 1}:`, error);
+            if (chunks.length === 1 || isAbortError(error)) throw error;
+            failedParts++;
+        }
+    }
+
+    return { claims: normalizeExtractedClaims(claims, duration), failedParts: failedParts, totalParts: chunks.length };
+}
+
+function countVerdicts(claims) {
+    const counts = {};
+    claims.forEach(c => {
+        counts[c.verdict] = (counts[c.verdict] || 0) + 1;
+    });
+    return counts;
+}
+
+// Cache params for a video fact-check: the track, and the models that extract and judge the claims
+function videoFactCheckCacheParams(settings, trackId = null) {
+    return { trackId: trackId, ...modelCacheParams(settings, settings.factCheckModel), extractionModel: modelCacheParams(settings, settings.summaryModel).model };
+}
+
+// options.job (optional) reports progress and stops the run; claims checked so far are kept, the rest
+// reported as unanalyzed. The job runner sends the result to the popup.
+async function factCheckVideo(videoId, langPrefs = DEFAULT_SETTINGS.langPrefs, options = {}) {
+    const job = options.job || null;
+    reportProgress(job, "Fetching transcript for video fact-check...");
+    const llm = await getLLMProvider({ signal: job?.signal });
+    const model = options.model || DEFAULT_SETTINGS.factCheckModel;
+
+    try {
+        const transcript = await loadTranscriptFromPage(videoId, langPrefs, { trackId: options.trackId, job: job });
+        if (!transcript) {
+            throw new Error("No transcript is available for this video, so its claims cannot be checked.");
+        }
+
+        const videoContext = formatMetadataForPrompt(await loadVideoMetadata(videoId, job?.signal));
+        const { claims: extracted, failedParts, totalParts } = await extractClaims(transcript, options.extractionModel || DEFAULT_SETTINGS.summaryModel, llm, job, videoContext);
+        const claimsToCheck = extracted.slice(0, MAX_VIDEO_CLAIMS);
+
+        // Claims are checked side by side; the scheduler's llm pool bounds how many are in flight
+        let checkedCount = 0;
+        reportProgress(job, `Gathering evidence and fact-checking ${claimsToCheck.length} claims...`);
+        const claims = await Promise.all(claimsToCheck.map(async ({ claim, start }, i) => {
+            const evidence = { videoId: videoId, transcriptContext: { start: start, text: claimContext(transcript.segments, start) }, signal: job?.signal };
+            try {
+                const verdict = await checkClaim(claim, model, llm, evidence);
+                checkedCount++;
+                reportProgress(job, `Fact-checked ${checkedCount} of ${claimsToCheck.length} claims...`);
+                return { id: i + 1, claim: claim, start: start, ...verdict };
+            } catch (error) {
+                // Reported as such rather than given a made-up verdict
+                const explanation = isAbortError(error) ? "Stopped before this claim was checked." : `Fact-check failed: ${error.message}`;
+                if (!isAbortError(error)) console.error(`Fact-check failed for claim ${i + 1}:`, error);
+                return {
+                    id: i + 1, claim: claim, start: start,
+                    verdict: "Unanalyzed", unanalyzed: true, confidence: null, explanation: explanation, sources: []
+                };
+            }
+        }));
+
+        const result = {
+            videoId: videoId,
+            title: transcript.title,
+            totalExtracted: extracted.length,
+            claims: claims,
+            totalUnanalyzed: claims.filter(c => c.unanalyzed).length,
+            stopped: !!job?.signal.aborted,
+            unanalyzedParts: failedParts, // Transcript parts claims could not be extracted from
+            totalParts: totalParts,
+            verdictCounts: countVerdicts(claims)
+        };
+
+        const unanalyzed = result.totalUnanalyzed;
+        const outcome = result.stopped ? `stopped, ${unanalyzed} left unanalyzed` : `${unanalyzed} could not be analyzed`;
+        reportProgress(job, `Checked ${claims.length - unanalyzed} claims${unanalyzed ? ` (${outcome})` : ''}.`);
+        return result;
+
+    } catch (error) {
+        if (!isAbortError(error)) console.error("Error fact-checking video:", error);
+        throw error;
+    }
+}
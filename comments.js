@@ -0,0 +1,424 @@
+// --- Comment Fetching & Analytics ---
+// Fetches comment threads with their replies, classifies each comment (sentiment, theme, toxic/spam/question)
+// with the LLM or the local lexicon (lexicon.js) and aggregates the results weighted by likes.
+
+const COMMENT_BATCH_SIZE = 10; // Comments per LLM classification request
+const COMMENT_TEXT_MAX_CHARS = 1000; // Long comments are truncated before being sent to the model
+const MAX_COMMENT_THEMES = 8;
+const THEME_SAMPLE_SIZE = 150; // Most-liked comments shown to the model when discovering themes
+const MAX_FULL_REPLY_THREADS = 20; // commentThreads only inlines ~5 replies; fetch the rest for the busiest threads
+const TOP_COMMENTS_PER_SENTIMENT = 3;
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Reply schemas for llm.generateStructured()
+const COMMENT_THEMES_SCHEMA = {
+    type: 'array',
+    items: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' } }, required: ['name', 'description'] }
+};
+const COMMENT_CLASSIFICATION_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            sentiment: { type: 'string', enum: SENTIMENTS },
+            theme: { type: 'string' },
+            toxic: { type: 'boolean' },
+            spam: { type: 'boolean' },
+            question: { type: 'boolean' }
+        },
+        required: ['id', 'sentiment', 'theme', 'toxic', 'spam', 'question']
+    }
+};
+
+// "Loved 3:45" / "at 1:02:03" -> [225] / [3723]; bare numbers and ratios like 16:9 are ignored
+function parseTimestampMentions(text) {
+    const mentions = [];
+    const timestampRegex = /(?<![\d:])(?:(\d{1,2}):)?(\d{1,2}):([0-5]\d)(?![\d:])/g;
+    let match;
+    while ((match = timestampRegex.exec(text)) !== null) {
+        const hours = match[1] ? parseInt(match[1], 10) : 0;
+        const minutes = parseInt(match[2], 10);
+        if (match[1] && minutes > 59) continue;
+        mentions.push(hours * 3600 + minutes * 60 + parseInt(match[3], 10));
+    }
+    return [...new Set(mentions)];
+}
+
+function mapCommentResource(resource, parentId = null) {
+    const snippet = resource?.snippet || {};
+    const text = snippet.textOriginal || snippet.textDisplay || ''; // Use textOriginal
+    return {
+        id: resource.id,
+        parentId: parentId,
+        text: text,
+        author: snippet.authorDisplayName || '',
+        authorChannelId: snippet.authorChannelId?.value || null,
+        likeCount: snippet.likeCount || 0,
+        publishedAt: snippet.publishedAt || null,
+        replyCount: 0,
+        mentionedTimestamps: parseTimestampMentions(text)
+    };
+}
+
+async function fetchYouTubeJSON(url, signal = null) {
+    const response = await scheduledFetch(url, {}, { pool: 'youtube', signal: signal });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    return response.json();
+}
+
+// All replies of one thread via comments.list (1 quota unit per page)
+async function fetchCommentReplies(parentId, youtubeKey, signal = null) {
+    let replies = [];
+    let nextPageToken = null;
+    do {
+        let repliesUrl = `https://www.googleapis.com/youtube/v3/comments?part=snippet&parentId=${parentId}&maxResults=100&key=${youtubeKey}&textFormat=plainText`;
+        if (nextPageToken) {
+            repliesUrl += `&pageToken=${nextPageToken}`;
+        }
+        const repliesData = await fetchYouTubeJSON(repliesUrl, signal);
+        replies = replies.concat((repliesData.items || []).map(item => mapCommentResource(item, parentId)));
+        nextPageToken = repliesData.nextPageToken;
+    } while (nextPageToken);
+    return replies;
+}
+
+// Fetch comment threads (top-level comment + replies) using YouTube Data API with pagination.
+// maxResults counts threads; the returned flat list holds each top-level comment followed by its replies.
+// A stopped job keeps the threads fetched so far (with their inlined replies) once it has any.
+async function fetchCommentThreads(videoId, maxResults, youtubeKey, job = null) {
+    const signal = job?.signal || null;
+    const threads = [];
+    let nextPageToken = null;
+    let fetchedCount = 0;
+
+    do {
+        let commentsUrl = `https://www.googleapis.com/youtube/v3/commentThreads?part=snippet,replies&videoId=${videoId}&maxResults=${Math.min(maxResults - fetchedCount, 100)}&key=${youtubeKey}&textFormat=plainText`; // Request plain text
+        if (nextPageToken) {
+            commentsUrl += `&pageToken=${nextPageToken}`;
+        }
+
+        reportProgress(job, `Fetching comment page (fetched ${fetchedCount}/${maxResults})...`);
+        let commentsData;
+        try {
+            commentsData = await fetchYouTubeJSON(commentsUrl, signal);
+        } catch (error) {
+            if (isAbortError(error) && threads.length > 0) break;
+            throw error;
+        }
+
+        (commentsData.items || []).forEach(item => {
+            const topLevel = mapCommentResource(item.snippet?.topLevelComment);
+            topLevel.replyCount = item.snippet?.totalReplyCount || 0;
+            const replies = (item.replies?.comments || []).map(reply => mapCommentResource(reply, topLevel.id));
+            threads.push({ topLevel, replies });
+        });
+        fetchedCount = threads.length;
+
+        nextPageToken = commentsData.nextPageToken;
+
+    } while (nextPageToken && fetchedCount < maxResults);
+
+    const truncated = signal?.aborted ? [] : threads
+        .filter(t => t.topLevel.replyCount > t.replies.length)
+        .sort((a, b) => b.topLevel.replyCount - a.topLevel.replyCount)
+        .slice(0, MAX_FULL_REPLY_THREADS);
+    if (truncated.length > 0) reportProgress(job, `Fetching replies for ${truncated.length} busy threads...`);
+    await Promise.all(truncated.map(async thread => {
+        try {
+            thread.replies = await fetchCommentReplies(thread.topLevel.id, youtubeKey, signal);
+        } catch (error) {
+            // Keep the inlined replies
+            if (!isAbortError(error)) console.error(`Failed to fetch replies for thread ${thread.topLevel.id}:`, error);
+        }
+    }));
+
+    return threads.flatMap(t => [t.topLevel, ...t.replies]);
+}
+
+// Likes count, but with diminishing returns so one viral comment doesn't drown out everything else
+function commentWeight(comment) {
+    return 1 + Math.log2(1 + (comment.likeCount || 0));
+}
+
+async function discoverCommentThemes(comments, model, llm, videoContext = '') {
+    const sample = [...comments]
+        .sort((a, b) => b.likeCount - a.likeCount)
+        .slice(0, THEME_SAMPLE_SIZE)
+        .map(c => c.text.slice(0, 300));
+    const promptText = `${videoContext ? `${videoContext}\n\n` : ''}Below are YouTube comments on this video, most-liked first. Identify the main recurring themes (topics people discuss), at most ${MAX_COMMENT_THEMES}. Respond ONLY with a valid JSON array where each element is an object with a short 'name' (2-4 words) and a one-sentence 'description'. Do not include any other text or markdown formatting. Comments:\n${JSON.stringify(sample)}`;
+
+    try {
+        const themes = await llm.generateStructured(model, promptText, COMMENT_THEMES_SCHEMA);
+        return themes
+            .map(t => ({ name: t.name.trim(), description: t.description.trim() }))
+            .filter(t => t.name)
+            .slice(0, MAX_COMMENT_THEMES);
+    } catch (error) {
+        console.error("Theme discovery failed, continuing without themes:", error);
+        return [];
+    }
+}
+
+// Bucket size for the sentiment timeline, based on how long comments have been coming in
+function timelineBucketMs(spanMs) {
+    const hour = 3600 * 1000;
+    if (spanMs <= 2 * 24 * hour) return hour;
+    if (spanMs <= 60 * 24 * hour) return 24 * hour;
+    return 7 * 24 * hour;
+}
+
+// Sentiment counts per publish-time bucket, oldest first
+function buildSentimentTimeline(analyzedComments) {
+    const dated = analyzedComments
+        .map(c => ({ time: Date.parse(c.publishedAt), sentiment: c.sentiment }))
+        .filter(c => Number.isFinite(c.time));
+    if (dated.length === 0) return { bucketMs: 0, buckets: [] };
+
+    const first = Math.min(...dated.map(c => c.time));
+    const last = Math.max(...dated.map(c => c.time));
+    const bucketMs = timelineBucketMs(last - first);
+    const buckets = new Map();
+    dated.forEach(c => {
+        const start = first + Math.floor((c.time - first) / bucketMs) * bucketMs;
+        if (!buckets.has(start)) buckets.set(start, { start: new Date(start).toISOString(), positive: 0, negative: 0, neutral: 0 });
+        buckets.get(start)[c.sentiment]++;
+    });
+    return { bucketMs: bucketMs, buckets: [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([, bucket]) => bucket) };
+}
+
+// How often each moment of the video is referenced in comments, with the sentiment of those comments
+function buildMomentMentions(analyzedComments) {
+    const moments = new Map();
+    analyzedComments.forEach(c => {
+        (c.mentionedTimestamps || []).forEach(seconds => {
+            if (!moments.has(seconds)) moments.set(seconds, { seconds: seconds, count: 0, weight: 0, positive: 0, negative: 0, neutral: 0 });
+            const moment = moments.get(seconds);
+            moment.count++;
+            moment.weight += commentWeight(c);
+            moment[c.sentiment]++;
+        });
+    });
+    return [...moments.values()].sort((a, b) => a.seconds - b.seconds);
+}
+
+function pickTopComments(comments, count) {
+    return [...comments].sort((a, b) => b.likeCount - a.likeCount).slice(0, count);
+}
+
+// Pure aggregation over classified comments: counts, like-weighted shares, themes, flags and highlights
+function aggregateCommentAnalysis(analyzedComments, themes) {
+    const sentimentCounts = { positive: 0, negative: 0, neutral: 0 };
+    const sentimentWeights = { positive: 0, negative: 0, neutral: 0 };
+    const flags = { toxic: 0, spam: 0, question: 0 };
+    const themeStats = new Map(themes.map(t => [t.name, { ...t, count: 0, weight: 0, sentiment: { positive: 0, negative: 0, neutral: 0 } }]));
+    let totalWeight = 0;
+
+    analyzedComments.forEach(c => {
+        const weight = commentWeight(c);
+        totalWeight += weight;
+        sentimentCounts[c.sentiment]++;
+        sentimentWeights[c.sentiment] += weight;
+        Object.keys(flags).forEach(flag => { if (c[flag]) flags[flag]++; });
+
+        const theme = themeStats.get(c.theme);
+        if (theme) {
+            theme.count++;
+            theme.weight += weight;
+            theme.sentiment[c.sentiment]++;
+        }
+    });
+
+    const weightedSentiment = {};
+    SENTIMENTS.forEach(s => { weightedSentiment[s] = totalWeight > 0 ? sentimentWeights[s] / totalWeight : 0; });
+
+    const rankedThemes = [...themeStats.values()]
+        .filter(t => t.count > 0)
+        .map(({ weight, ...t }) => ({ ...t, weightedShare: totalWeight > 0 ? weight / totalWeight : 0 }))
+        .sort((a, b) => b.weightedShare - a.weightedShare);
+
+    // Spam and toxic comments shouldn't be showcased
+    const showcase = analyzedComments.filter(c => !c.spam && !c.toxic);
+    const topCommentsBySentiment = {};
+    SENTIMENTS.forEach(s => {
+        topCommentsBySentiment[s] = pickTopComments(showcase.filter(c => c.sentiment === s), TOP_COMMENTS_PER_SENTIMENT);
+    });
+
+    const unansweredQuestions = analyzedComments
+        .filter(c => c.question && !c.spam && !c.parentId && c.replyCount === 0)
+        .sort((a, b) => b.likeCount - a.likeCount);
+
+    // Which engine labelled how many comments, e.g. { Gemini: 48, 'Local lexicon': 2 }
+    const sentimentEngines = {};
+    analyzedComments.forEach(c => {
+        if (c.sentimentEngine) sentimentEngines[c.sentimentEngine] = (sentimentEngines[c.sentimentEngine] || 0) + 1;
+    });
+
+    return {
+        sentiment: sentimentCounts,
+        weightedSentiment: weightedSentiment,
+        sentimentEngines: sentimentEngines,
+        themes: rankedThemes,
+        flags: flags,
+        topCommentsBySentiment: topCommentsBySentiment,
+        unansweredQuestions: unansweredQuestions,
+        sentimentTimeline: buildSentimentTimeline(analyzedComments),
+        momentMentions: buildMomentMentions(analyzedComments)
+    };
+}
+
+// Classify one batch; comments without a valid, matching result come back as unanalyzed
+async function classifyCommentBatch(batch, themeNames, model, llm, videoContext = '') {
+    const promptInput = batch.map(c => ({ id: c.id, text: c.text.slice(0, COMMENT_TEXT_MAX_CHARS), isReply: !!c.parentId }));
+    const promptText = `${videoContext ? `${videoContext}\n\n` : ''}Analyze each of the following YouTube comments on this video. Respond ONLY with a valid JSON array where each element is an object containing the original 'id' and:
+- 'sentiment': "positive", "negative" or "neutral".
+- 'theme': the best matching theme from this list, or "Other": ${JSON.stringify(themeNames)}.
+- 'toxic': true if the comment is insulting, harassing, hateful or threatening.
+- 'spam': true if the comment is spam, a scam, self-promotion or a bot message.
+- 'question': true if the comment asks a genuine question (to the creator or other viewers).
+Do not include any other text or markdown formatting. Comments:\n${JSON.stringify(promptInput)}`;
+
+    // IDs must all come back; whatever can't be matched or repaired is reported as unanalyzed
+    let classifications;
+    try {
+        classifications = await llm.generateStructured(model, promptText, COMMENT_CLASSIFICATION_SCHEMA, {
+            validate: results => checkReturnedIds(results, batch.map(c => c.id))
+        });
+    } catch (error) {
+        if (isAbortError(error)) return { analyzed: [], unanalyzed: batch };
+        console.error("Comment analysis failed for a batch:", error);
+        classifications = salvageValidItems(error.partial, COMMENT_CLASSIFICATION_SCHEMA.items);
+    }
+
+    const resultsById = new Map(classifications.map(result => [result.id, result]));
+    const analyzed = [];
+    const unanalyzed = [];
+    batch.forEach(comment => {
+        const result = resultsById.get(comment.id);
+        if (!result) {
+            unanalyzed.push(comment);
+            return;
+        }
+        analyzed.push({
+            ...comment,
+            sentiment: result.sentiment,
+            theme: themeNames.includes(result.theme) ? result.theme : 'Other',
+            toxic: result.toxic,
+            spam: result.spam,
+            question: result.question
+        });
+    });
+    return { analyzed, unanalyzed };
+}
+
+// Model classification; with the "auto" engine, comments the model could not label fall back to the lexicon
+async function classifyCommentsWithLLM(videoId, comments, model, llm, engine, job) {
+    const signal = job?.signal || null;
+    reportProgress(job, `Finding discussion themes in ${comments.length} comments...`);
+    const videoContext = formatMetadataForPrompt(await loadVideoMetadata(videoId, signal));
+    const themes = await discoverCommentThemes(comments, model, llm, videoContext);
+    const themeNames = themes.map(t => t.name);
+
+    reportProgress(job, `Analyzing ${comments.length} comments using ${llm.label}...`);
+
+    // Models handle multiple comments in one prompt well, so classify in batches.
+    // Batches run side by side; the scheduler's llm pool bounds how many are in flight.
+    const batches = [];
+    for (let i = 0; i < comments.length; i += COMMENT_BATCH_SIZE) {
+        batches.push(comments.slice(i, i + COMMENT_BATCH_SIZE));
+    }
+    let completedBatches = 0;
+    const batchResults = await Promise.all(batches.map(async batch => {
+        const result = await classifyCommentBatch(batch, themeNames, model, llm, videoContext);
+        completedBatches++;
+        if (!signal?.aborted) reportProgress(job, `Analyzing comments using ${llm.label} (${completedBatches}/${batches.length} batches done)...`);
+        return result;
+    }));
+    const analyzed = batchResults.flatMap(r => r.analyzed).map(c => ({ ...c, sentimentEngine: llm.label }));
+    let unanalyzed = batchResults.flatMap(r => r.unanalyzed);
+
+    // A stopped job keeps what it has; the lexicon is only a stand-in for comments the model failed on
+    if (engine === 'auto' && unanalyzed.length > 0 && !signal?.aborted) {
+        reportProgress(job, `Labelling ${unanalyzed.length} comments the model missed with the ${LEXICON_ENGINE_LABEL.toLowerCase()}...`);
+        analyzed.push(...classifyCommentsWithLexicon(unanalyzed));
+        unanalyzed = [];
+    }
+    return { themes, analyzed, unanalyzed };
+}
+
+// Cache params for a comment analysis; the model only matters when one labels the comments
+function commentCacheParams(settings) {
+    const params = { maxResults: settings.commentMaxResults, sentimentEngine: settings.sentimentEngine };
+    return settings.sentimentEngine === 'lexicon' ? params : { ...params, ...modelCacheParams(settings, settings.sentimentModel) };
+}
+
+// job (optional) reports progress and stops the analysis; comments analyzed so far are kept and the rest
+// reported as unanalyzed. A stop while fetching keeps the comments fetched so far; the model can't be asked
+// any more, so they are labelled with the lexicon (or, with the 'llm' engine, reported as unanalyzed).
+// The job runner sends the returned results (or the thrown error) to the popup.
+// engine is the sentimentEngine setting: 'auto', 'llm' or 'lexicon'.
+async function fetchAndAnalyzeComments(videoId, maxResults = DEFAULT_SETTINGS.commentMaxResults, model = DEFAULT_SETTINGS.sentimentModel, job = null, engine = DEFAULT_SETTINGS.sentimentEngine) {
+    const signal = job?.signal || null;
+    reportProgress(job, `Fetching comments for video: ${videoId}...`);
+    const { youtubeKey } = await loadAPIKeys();
+
+    if (!youtubeKey) throw new Error("YouTube API Key not set in options.");
+    let llm = null;
+    if (engine !== 'lexicon') {
+        try {
+            llm = await getLLMProvider({ signal: signal });
+        } catch (error) {
+            if (engine === 'llm') throw error;
+            console.warn(`No model available (${error.message}), using the ${LEXICON_ENGINE_LABEL.toLowerCase()}.`);
+        }
+    }
+
+    try {
+        const comments = await fetchCommentThreads(videoId, maxResults, youtubeKey, job);
+        const fetchedCount = comments.length;
+
+        if (comments.length === 0) {
+            reportProgress(job, "No comments found or fetched.");
+            return { videoId: videoId, totalAnalyzed: 0, totalFetched: 0, totalUnanalyzed: 0, unanalyzedComments: [], ...aggregateCommentAnalysis([], []), sampleAnalyzedComments: [] };
+        }
+
+        let themes = [];
+        let analyzedComments;
+        let unanalyzedComments = [];
+        if (llm && !signal?.aborted) {
+            ({ themes, analyzed: analyzedComments, unanalyzed: unanalyzedComments } = await classifyCommentsWithLLM(videoId, comments, model, llm, engine, job));
+        } else if (engine === 'llm') {
+            analyzedComments = []; // Stopped while fetching
+            unanalyzedComments = comments;
+        } else {
+            reportProgress(job, `Analyzing ${comments.length} comments using the ${LEXICON_ENGINE_LABEL.toLowerCase()}...`);
+            analyzedComments = classifyCommentsWithLexicon(comments);
+        }
+        const stopped = !!signal?.aborted;
+
+        const results = {
+            videoId: videoId,
+            totalFetched: fetchedCount,
+            totalTopLevel: comments.filter(c => !c.parentId).length,
+            totalReplies: comments.filter(c => c.parentId).length,
+            totalAnalyzed: analyzedComments.length,
+            totalUnanalyzed: unanalyzedComments.length,
+            stopped: stopped, // The user stopped the analysis before every batch was done
+            unanalyzedComments: unanalyzedComments.map(c => ({ id: c.id, text: c.text.slice(0, 200), author: c.author, likeCount: c.likeCount })),
+            ...aggregateCommentAnalysis(analyzedComments, themes),
+            sampleAnalyzedComments: analyzedComments // Send all analyzed back for now
+        };
+
+        const unanalyzed = unanalyzedComments.length;
+        const outcome = stopped ? `stopped, ${unanalyzed} left unanalyzed` : `${unanalyzed} could not be analyzed`;
+        reportProgress(job, `Analyzed ${analyzedComments.length} comments${unanalyzed ? ` (${outcome})` : stopped ? ' (stopped while fetching)' : ''}.`);
+        return results;
+
+    } catch (error) {
+        if (!isAbortError(error)) console.error("Error fetching/analyzing comments:", error);
+        throw error;
+    }
+}
@@ -0,0 +1,210 @@
+const compareForm = document.getElementById('compareForm');
+const videosSourceDiv = document.getElementById('videosSource');
+const channelSourceDiv = document.getElementById('channelSource');
+const videoIdsInput = document.getElementById('videoIds');
+const channelInput = document.getElementById('channelInput');
+const channelVideoCountInput = document.getElementById('channelVideoCount');
+const forceRefreshCheckbox = document.getElementById('forceRefresh');
+const compareBtn = document.getElementById('compareBtn');
+const stopBtn = document.getElementById('stopBtn');
+const statusDiv = document.getElementById('status');
+const reportDiv = document.getElementById('comparisonReport');
+
+let currentJobId = null; // The comparison this page started (or resubscribed to after a reload)
+
+function updateStatus(message, isError = false) {
+    statusDiv.textContent = message;
+    statusDiv.style.color = isError ? 'red' : '#333';
+    console.log("Compare status:", message);
+}
+
+function selectedSource() {
+    return compareForm.elements.source.value;
+}
+
+function formatMetric(value, format) {
+    if (value === null || value === undefined) return '-';
+    if (format === 'share') return `${Math.round(value * 100)}%`;
+    if (format === 'rate') return value.toFixed(2);
+    return value.toLocaleString();
+}
+
+// --- Report ---
+
+function describeDifference(metric, titles) {
+    const high = formatMetric(metric.values[metric.highest], metric.format);
+    const low = formatMetric(metric.values[metric.lowest], metric.format);
+    return `${metric.label}: highest for "${titles[metric.highest]}" (${high}), lowest for "${titles[metric.lowest]}" (${low}).`;
+}
+
+function createVideoHeader(video) {
+    const cell = createElement('th');
+    const link = createLink(videoWatchUrl(video.videoId), video.title || video.videoId);
+    const published = video.publishedAt ? ` - ${new Date(video.publishedAt).toLocaleDateString()}` : '';
+    cell.append(link, createElement('span', 'video-meta', `${video.channelTitle || ''}${published}`));
+    return cell;
+}
+
+function createRow(label, cells) {
+    const row = createElement('tr');
+    row.append(createElement('th', null, label), ...cells);
+    return row;
+}
+
+function createMetricRow(metric, videos) {
+    return createRow(metric.label, videos.map(video => {
+        const cell = createElement('td', null, formatMetric(metric.values[video.videoId], metric.format));
+        if (metric.notable && video.videoId === metric.highest) cell.className = 'cell-high';
+        if (metric.notable && video.videoId === metric.lowest) cell.className = 'cell-low';
+        return cell;
+    }));
+}
+
+// Themes only one video's commenters talk about are the interesting ones, so they stand out
+function createThemesCell(video) {
+    const cell = createElement('td');
+    if (video.themes.length === 0) {
+        cell.textContent = '-';
+        return cell;
+    }
+    const list = createElement('ul', 'theme-list');
+    video.themes.forEach(theme => {
+        const item = createElement('li', theme.shared ? null : 'theme-unique', `${theme.name} (${theme.count})`);
+        if (!theme.shared) item.title = "Not among the top topics of the other videos";
+        list.appendChild(item);
+    });
+    cell.appendChild(list);
+    return cell;
+}
+
+function createErrorsCell(video) {
+    const cell = createElement('td');
+    Object.entries(video.errors).forEach(([step, error]) => cell.appendChild(createElement('div', 'error-note', `${step}: ${error}`)));
+    return cell;
+}
+
+function renderReport(report) {
+    const titles = Object.fromEntries(report.videos.map(v => [v.videoId, v.title || v.videoId]));
+    const meta = createElement('div', 'report-meta', `${report.source}. Generated ${new Date(report.generatedAt).toLocaleString()}${report.stopped ? ' (stopped early, only finished videos are compared)' : ''}.`);
+
+    const notable = report.metrics.filter(m => m.notable);
+    const differences = createElement('ul', 'differences');
+    notable.forEach(metric => differences.appendChild(createElement('li', null, describeDifference(metric, titles))));
+    const differencesBlock = notable.length > 0 ? [createElement('h2', null, 'Key differences'), differences] : [createElement('p', null, 'No large differences between these videos.')];
+
+    const videos = report.videos;
+    const header = createElement('tr');
+    header.append(createElement('th'), ...videos.map(createVideoHeader));
+    const head = createElement('thead');
+    head.appendChild(header);
+
+    const body = createElement('tbody');
+    report.metrics.forEach(metric => body.appendChild(createMetricRow(metric, videos)));
+    body.appendChild(createRow('Top topics in comments', videos.map(createThemesCell)));
+    report.verdicts.forEach(verdict => {
+        body.appendChild(createRow(`Claims: ${verdict}`, videos.map(v => createElement('td', null, v.claims ? String(v.claims.verdictCounts[verdict] || 0) : '-'))));
+    });
+    if (videos.some(v => Object.keys(v.errors).length > 0)) {
+        body.appendChild(createRow('Not available', videos.map(createErrorsCell)));
+    }
+
+    const table = createElement('table', 'comparison-table');
+    table.append(head, body);
+    const wrap = createElement('div', 'comparison-table-wrap');
+    wrap.appendChild(table);
+
+    reportDiv.replaceChildren(meta, ...differencesBlock, wrap);
+}
+
+// --- Job ---
+
+function setRunning(running) {
+    compareBtn.disabled = running;
+    stopBtn.hidden = !running;
+    stopBtn.disabled = false;
+}
+
+function followJob(job) {
+    currentJobId = job.id;
+    setRunning(job.status === 'running');
+    updateStatus(job.message, job.status === 'error');
+}
+
+compareForm.addEventListener('change', () => {
+    const channel = selectedSource() === 'channel';
+    videosSourceDiv.hidden = channel;
+    channelSourceDiv.hidden = !channel;
+});
+
+compareForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const request = { action: "compareVideos", refresh: forceRefreshCheckbox.checked };
+    if (selectedSource() === 'channel') {
+        if (!parseChannelInput(channelInput.value)) {
+            updateStatus("Enter a channel ID (UC...), an @handle or a channel URL.", true);
+            return;
+        }
+        request.channel = channelInput.value.trim();
+        request.channelVideoCount = channelVideoCountInput.value;
+    } else {
+        const lines = videoIdsInput.value.split(/[\s,]+/).filter(Boolean);
+        const unrecognized = lines.filter(line => !parseVideoInput(line));
+        if (unrecognized.length > 0) {
+            updateStatus(`Not a video ID or URL: ${unrecognized.join(', ')}`, true);
+            return;
+        }
+        if (new Set(lines.map(parseVideoInput)).size < 2) {
+            updateStatus("Enter at least two different videos.", true);
+            return;
+        }
+        request.videoIds = lines;
+    }
+
+    setRunning(true);
+    updateStatus('Starting comparison...');
+    chrome.runtime.sendMessage(request, (response) => {
+        if (response?.job) {
+            followJob(response.job);
+        } else {
+            setRunning(false);
+            updateStatus(`Could not start: ${response?.error || chrome.runtime.lastError?.message || "No response from the extension."}`, true);
+        }
+    });
+});
+
+stopBtn.addEventListener('click', () => {
+    if (!currentJobId) return;
+    stopBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: "stopJob", jobId: currentJobId });
+});
+
+// Results also arrive through tabs.sendMessage for this tab, so handling a message twice must be harmless
+chrome.runtime.onMessage.addListener((request) => {
+    if (!currentJobId || request.jobId !== currentJobId) return;
+    if (request.action === "jobUpdate") {
+        followJob(request.data);
+    } else if (request.action === "displayComparison") {
+        if (request.data) {
+            renderReport(request.data);
+            updateStatus(`Compared ${request.data.videos.length} videos.`);
+        } else if (request.error) {
+            updateStatus(`Comparison failed: ${request.error}`, true);
+        }
+    }
+});
+
+// Initial load: videos passed from the popup (?videos=ID,ID), the last report, and a comparison still running in this tab
+const presetVideos = new URLSearchParams(location.search).get('videos');
+if (presetVideos) videoIdsInput.value = presetVideos.split(',').join('\n');
+
+chrome.runtime.sendMessage({ action: "getComparisonReport" }, (response) => {
+    if (response?.report && !currentJobId) renderReport(response.report);
+});
+
+chrome.tabs.getCurrent((tab) => {
+    if (!tab) return;
+    chrome.runtime.sendMessage({ action: "getJobs", tabId: tab.id }, (response) => {
+        const running = (response?.jobs || []).find(job => job.type === 'compare' && job.status === 'running');
+        if (running) followJob(running);
+    });
+});
@@ -0,0 +1,170 @@
+// --- Comparison Reports ---
+// Several videos (picked by ID, or a channel's most recent uploads) go through the same per-video analyses
+// as playlist reports, plus engagement figures from metadata.js, and are laid side by side for compare.html.
+// Every metric records which video scores highest and lowest and whether the gap is big enough to point out.
+
+const COMPARISON_REPORT_KEY = 'comparisonReport';
+const MAX_COMPARED_VIDEOS = 10;
+const DEFAULT_CHANNEL_VIDEO_COUNT = 5;
+const NOTABLE_SHARE_GAP = 0.15; // Shares (sentiment, flagged claims) this far apart are called out
+const NOTABLE_RATIO = 2; // Counts and rates this many times apart are called out
+
+// Each row of the side-by-side table; format tells compare.js how to show the value
+const COMPARISON_METRICS = [
+    { key: 'viewCount', label: 'Views', format: 'count', value: v => v.engagement.viewCount },
+    { key: 'likeRate', label: 'Likes per 100 views', format: 'rate', value: v => ratePer(v.engagement.likeCount, v.engagement.viewCount, 100) },
+    { key: 'commentRate', label: 'Comments per 1,000 views', format: 'rate', value: v => ratePer(v.engagement.commentCount, v.engagement.viewCount, 1000) },
+    { key: 'subscriberCount', label: 'Channel subscribers', format: 'count', value: v => v.engagement.subscriberCount },
+    { key: 'positive', label: 'Positive comments (by likes)', format: 'share', value: v => analyzedShare(v, 'positive') },
+    { key: 'negative', label: 'Negative comments (by likes)', format: 'share', value: v => analyzedShare(v, 'negative') },
+    { key: 'neutral', label: 'Neutral comments (by likes)', format: 'share', value: v => analyzedShare(v, 'neutral') },
+    { key: 'claimsChecked', label: 'Claims checked', format: 'count', value: v => v.claims ? v.claims.total : null },
+    { key: 'flaggedShare', label: 'Claims rated False or Misleading', format: 'share', value: v => v.claims?.total ? v.claims.flagged.length / v.claims.total : null }
+];
+
+function ratePer(count, views, per) {
+    return count !== null && views ? count / views * per : null;
+}
+
+function analyzedShare(video, sentiment) {
+    return video.comments?.totalAnalyzed > 0 ? video.comments.weightedSentiment[sentiment] : null;
+}
+
+// With a key via channels.list (1 unit); without one the channel page gives the ID, and a channel's
+// uploads playlist is its ID with UC swapped for UU
+async function resolveChannel(channelRef, signal = null) {
+    const { youtubeKey } = await loadAPIKeys();
+    if (youtubeKey) {
+        const filter = channelRef.channelId ? `id=${encodeURIComponent(channelRef.channelId)}`
+            : channelRef.handle ? `forHandle=${encodeURIComponent(channelRef.handle)}`
+                : `forUsername=${encodeURIComponent(channelRef.username)}`;
+        const channel = (await fetchYouTubeJSON(`https://www.googleapis.com/youtube/v3/channels?part=snippet,contentDetails&${filter}&key=${youtubeKey}`, signal)).items?.[0];
+        if (!channel) throw new Error("Channel not found via API.");
+        return { channelId: channel.id, title: channel.snippet.title, uploadsPlaylistId: channel.contentDetails.relatedPlaylists.uploads };
+    }
+
+    let channelId = channelRef.channelId;
+    let title = null;
+    if (!channelId) {
+        const path = channelRef.handle ? encodeURIComponent(channelRef.handle).replace('%40', '@') : `user/${encodeURIComponent(channelRef.username)}`;
+        const response = await scheduledFetch(`https://www.youtube.com/${path}`, {
+            headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+        }, { pool: 'web', signal: signal });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch channel page: ${response.statusText}`);
+        }
+        const html = await response.text();
+        channelId = html.match(/"externalId":"(UC[\w-]{22})"/)?.[1];
+        title = html.match(/<meta property="og:title" content="([^"]*)"/)?.[1] || null;
+        if (!channelId) throw new Error("Could not find the channel ID in the channel page.");
+    }
+    return { channelId: channelId, title: title, uploadsPlaylistId: `UU${channelId.slice(2)}` };
+}
+
+// request: { videoIds: [...] } or { channel: "<ID, @handle or URL>", channelVideoCount }
+async function listComparisonVideos(request, signal) {
+    if (request.channel) {
+        const channelRef = parseChannelInput(request.channel);
+        if (!channelRef) throw new Error("Enter a channel ID (UC...), an @handle or a channel URL.");
+        const channel = await resolveChannel(channelRef, signal);
+        const count = Math.min(Math.max(parseInt(request.channelVideoCount, 10) || DEFAULT_CHANNEL_VIDEO_COUNT, 2), MAX_COMPARED_VIDEOS);
+        const uploads = await fetchPlaylistVideos(channel.uploadsPlaylistId, count, signal);
+        return { source: `Latest ${uploads.videos.length} uploads of ${channel.title || uploads.videos[0]?.channelTitle || channel.channelId}`, videos: uploads.videos };
+    }
+
+    const videoIds = [...new Set((request.videoIds || []).map(parseVideoInput).filter(Boolean))];
+    if (videoIds.length > MAX_COMPARED_VIDEOS) {
+        throw new Error(`At most ${MAX_COMPARED_VIDEOS} videos can be compared at once.`);
+    }
+    return { source: `${videoIds.length} selected videos`, videos: videoIds.map(videoId => ({ videoId: videoId, title: null, channelTitle: null })) };
+}
+
+function isNotableGap(format, highest, lowest) {
+    if (format === 'share') return highest - lowest >= NOTABLE_SHARE_GAP;
+    return lowest > 0 ? highest / lowest >= NOTABLE_RATIO : highest > 0;
+}
+
+// Pure: per-metric values plus which video is highest and lowest, and themes marked shared or unique
+function buildComparisonReport(source, videos) {
+    const metrics = COMPARISON_METRICS.map(({ key, label, format, value }) => {
+        const values = {};
+        videos.forEach(v => { values[v.videoId] = value(v) ?? null; });
+        const ranked = videos.filter(v => values[v.videoId] !== null).sort((a, b) => values[b.videoId] - values[a.videoId]);
+        const highest = ranked.length >= 2 ? ranked[0].videoId : null;
+        const lowest = ranked.length >= 2 ? ranked[ranked.length - 1].videoId : null;
+        return {
+            key: key,
+            label: label,
+            format: format,
+            values: values,
+            highest: highest,
+            lowest: lowest,
+            notable: !!highest && values[highest] !== values[lowest] && isNotableGap(format, values[highest], values[lowest])
+        };
+    });
+
+    const themeVideos = new Map(); // lowercased theme -> number of videos it tops
+    videos.forEach(v => {
+        new Set((v.comments?.themes || []).map(t => t.name.toLowerCase())).forEach(name => {
+            themeVideos.set(name, (themeVideos.get(name) || 0) + 1);
+        });
+    });
+
+    return {
+        source: source,
+        generatedAt: new Date().toISOString(),
+        metrics: metrics,
+        verdicts: [...new Set(videos.flatMap(v => Object.keys(v.claims?.verdictCounts || {})))],
+        videos: videos.map(v => ({
+            ...v,
+            themes: (v.comments?.themes || []).map(t => ({ ...t, shared: themeVideos.get(t.name.toLowerCase()) > 1 }))
+        }))
+    };
+}
+
+async function getSavedComparisonReport() {
+    return (await chrome.storage.local.get(COMPARISON_REPORT_KEY))[COMPARISON_REPORT_KEY] || null;
+}
+
+// Videos are analyzed one after another; stopping compares the videos finished so far
+async function compareVideos(request, job = null) {
+    const signal = job?.signal || null;
+    const settings = await loadSettings();
+    reportProgress(job, request.channel ? "Finding the channel's latest uploads..." : "Preparing comparison...");
+    const { source, videos } = await listComparisonVideos(request, signal);
+    if (videos.length < 2) {
+        throw new Error("A comparison needs at least two videos.");
+    }
+
+    const compared = [];
+    for (let i = 0; i < videos.length && !signal?.aborted; i++) {
+        const videoJob = job && { ...job, progress: message => job.progress(`Video ${i + 1}/${videos.length}: ${message}`) };
+        let metadata;
+        try {
+            metadata = await loadVideoMetadata(videos[i].videoId, signal);
+        } catch (error) {
+            if (isAbortError(error)) break; // Compare the videos analyzed before the stop
+            throw error;
+        }
+        const video = {
+            ...videos[i],
+            title: metadata?.title || videos[i].title || videos[i].videoId,
+            channelTitle: metadata?.channel.title || videos[i].channelTitle,
+            publishedAt: metadata?.publishedAt || null,
+            engagement: {
+                viewCount: metadata?.viewCount ?? null,
+                likeCount: metadata?.likeCount ?? null,
+                commentCount: metadata?.commentCount ?? null,
+                subscriberCount: metadata?.channel.subscriberCount ?? null
+            }
+        };
+        reportProgress(videoJob, `Analyzing "${video.title}"...`);
+        compared.push(await analyzeVideoForReport(video, settings, request.refresh, videoJob));
+    }
+
+    const report = { ...buildComparisonReport(source, compared), stopped: !!signal?.aborted };
+    await chrome.storage.local.set({ [COMPARISON_REPORT_KEY]: report })
+        .catch(err => console.error("Failed to save comparison report:", err));
+    reportProgress(job, `Compared ${compared.length} videos.`);
+    return report;
+}
@@ -1,18 +1,764 @@
 console.log("YouTube Context Analyzer: Content script loaded (or injected).");
 
-// This script primarily exists to be *injected* by the background script
-// using chrome.scripting.executeScript() to get page-specific data like the video ID.
-// It doesn't need much code itself initially, as the functions to execute
-// are passed directly in the executeScript call from background.js.
-
-// We *could* add listeners here if the background script needed to push
-// UI changes *to* the page (e.g., highlight text), but let's keep it simple for now.
-
-// Example of how it might listen for commands from background later:
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "highlightText") {
-        console.log("TODO: Highlight text on page:", request.textToHighlight);
-        // Add DOM manipulation logic here
-        sendResponse({ success: true });
-    }
-});
+// Registered as a content script on YouTube (see manifest.json) and injected by the background
+// script (chrome.scripting.executeScript) into tabs that were open before the extension loaded.
+// It hosts the in-page sidebar, takes UI commands pushed from the background script and, for live chat
+// analysis without the API, reads messages from the chat panel.
+// One-off reads like the video ID are still done with functions passed directly in the
+// executeScript call from background.js.
+// transcript.js and charts.js load alongside it for formatTimestamp() and binMomentMentions().
+
+// Injecting again (e.g. a second heatmap request) must not register duplicate listeners
+if (!window.ytContextAnalyzerLoaded) {
+    window.ytContextAnalyzerLoaded = true;
+
+    const HEATMAP_OVERLAY_ID = 'yt-context-analyzer-heatmap';
+    const SIDEBAR_HOST_ID = 'yt-context-analyzer-sidebar';
+    const SIDEBAR_COLLAPSED_KEY = 'sidebarCollapsed';
+    const SIDEBAR_FOLLOW_PAUSE_MS = 4000; // Auto-scroll waits this long after the user scrolls the transcript
+    const VERDICT_ORDER = ["False", "Misleading", "Partially True", "True", "Unverifiable", "Opinion", "Unknown", "Unanalyzed"];
+    const SENTIMENT_EMOJI = { positive: '😊', negative: '😞', neutral: '😐' };
+    const HIGHLIGHT_CLASS = 'yt-context-analyzer-highlight';
+    const HOVER_CARD_HOST_ID = 'yt-context-analyzer-hover-card';
+    const HIGHLIGHT_REAPPLY_DELAY_MS = 800; // Comments and the transcript panel render lazily, so re-scan after the page settles
+    // Verdict -> [background, underline]; anything not listed (Unverifiable, Opinion...) is grey
+    const VERDICT_COLORS = {
+        "True": ['#d4edda', '#28a745'],
+        "False": ['#f8d7da', '#dc3545'],
+        "Misleading": ['#ffe5cc', '#fd7e14'],
+        "Partially True": ['#fff3cd', '#ffc107']
+    };
+    const DEFAULT_VERDICT_COLORS = ['#e2e3e5', '#6c757d'];
+    // Where a checked sentence may appear on the watch page: container, plus which elements inside it hold the text
+    const HIGHLIGHT_TARGETS = [
+        { container: 'ytd-watch-metadata #description' },
+        { container: 'ytd-comments #contents', text: '#content-text' },
+        { container: 'ytd-transcript-segment-list-renderer', text: '.segment-text' }
+    ];
+    const HIGHLIGHT_CONTAINERS = HIGHLIGHT_TARGETS.map(target => target.container).join(', ');
+
+    // Styles live in the shadow root so YouTube's CSS and ours never touch each other
+    const SIDEBAR_STYLES = `
+      :host { all: initial; display: block; margin-bottom: 12px; font: 12px/1.4 Roboto, Arial, sans-serif; color: var(--yt-spec-text-primary, #0f0f0f); }
+      :host(.floating) { position: fixed; top: 70px; right: 12px; width: 360px; z-index: 2100; }
+      .panel { border: 1px solid var(--yt-spec-10-percent-layer, #ddd); border-radius: 12px; background: var(--yt-spec-base-background, #fff); overflow: hidden; }
+      .header { display: flex; align-items: center; gap: 6px; padding: 8px 12px; font-weight: bold; font-size: 14px; cursor: pointer; user-select: none; }
+      .header .title { flex: 1; }
+      .body { padding: 0 12px 10px; max-height: 70vh; overflow-y: auto; }
+      .panel.collapsed .body { display: none; }
+      .section { margin-top: 8px; }
+      .section-head { display: flex; align-items: center; gap: 6px; font-weight: bold; margin-bottom: 4px; }
+      .section-head .label { flex: 1; }
+      .job-status { font-size: 11px; color: #606060; margin-bottom: 4px; }
+      .job-status.error { color: #dc3545; }
+      button { font: inherit; font-size: 11px; padding: 3px 10px; border: none; border-radius: 12px; background: #065fd4; color: #fff; cursor: pointer; }
+      button:disabled { background: #ccc; cursor: not-allowed; }
+      button.toggle { background: transparent; color: inherit; font-size: 14px; padding: 0 4px; }
+      label.follow { font-weight: normal; font-size: 11px; }
+      .transcript { position: relative; max-height: 280px; overflow-y: auto; border: 1px solid #eee; border-radius: 6px; }
+      .line { display: flex; gap: 6px; padding: 2px 6px; cursor: pointer; }
+      .line:hover { background: #eef5ff; }
+      .line.current { background: #fff3cd; }
+      .line.claim-line { border-left: 3px solid; padding-left: 3px; }
+      .timestamp { flex-shrink: 0; color: #065fd4; font-family: monospace; }
+      .note { color: #606060; }
+      .muted { font-size: 11px; color: #606060; }
+      .claim { padding: 3px 0; border-bottom: 1px solid #eee; }
+      .verdict { display: inline-block; padding: 0 5px; border-radius: 3px; font-size: 11px; font-weight: bold; margin-right: 4px; }
+      .verdict-true { background-color: #d4edda; }
+      .verdict-false { background-color: #f8d7da; }
+      .verdict-misleading { background-color: #ffe5cc; }
+      .verdict-partially-true { background-color: #fff3cd; }
+      .verdict-unverifiable, .verdict-opinion, .verdict-unknown, .verdict-unanalyzed { background-color: #e2e3e5; }
+      ul { margin: 2px 0; padding-left: 18px; }
+    `;
+
+    // Draw the comment-mention heatmap as a strip just above the player's progress bar
+    function drawProgressBarHeatmap(momentMentions) {
+        const progressBar = document.querySelector('.ytp-progress-bar');
+        const video = document.querySelector('video');
+        if (!progressBar || !video) {
+            throw new Error("YouTube progress bar not found on this page.");
+        }
+
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        const heatmap = binMomentMentions(momentMentions, duration, 100);
+        const maxCount = Math.max(...heatmap.bins.map(b => b.count), 1);
+
+        document.getElementById(HEATMAP_OVERLAY_ID)?.remove();
+        const overlay = el('div', { id: HEATMAP_OVERLAY_ID, title: "Moments referenced in comments (YouTube Context Analyzer)" });
+        Object.assign(overlay.style, {
+            position: 'absolute', left: '0', right: '0', bottom: '100%', height: '8px',
+            display: 'flex', pointerEvents: 'none', zIndex: '40'
+        });
+
+        heatmap.bins.forEach(bin => {
+            const cell = el('div');
+            cell.style.flex = '1';
+            if (bin.count > 0) {
+                const dominant = ['positive', 'negative', 'neutral'].reduce((a, b) => (bin[b] > bin[a] ? b : a), 'neutral');
+                cell.style.backgroundColor = dominant === 'neutral' ? '#fd7e14' : SENTIMENT_COLORS[dominant];
+                cell.style.opacity = String(0.3 + 0.7 * (bin.count / maxCount));
+            }
+            overlay.appendChild(cell);
+        });
+
+        progressBar.appendChild(overlay);
+        return heatmap.bins.filter(b => b.count > 0).length;
+    }
+
+    // --- Sidebar ---
+    // A collapsible panel above YouTube's recommendations (floating on the right when that column
+    // is missing) with the transcript, comment analysis and fact-check results for the current video.
+
+    const sidebar = {
+        host: null,
+        sections: {}, // type -> { button, status, result }
+        videoId: null,
+        segments: [], // Current transcript segments, for following playback
+        lines: [], // Transcript line elements, same order as segments
+        currentLine: -1,
+        followPausedUntil: 0,
+        claims: [] // Claims from the video fact-check, marked on their transcript lines
+    };
+
+    function verdictClass(verdict) {
+        return `verdict-${String(verdict).toLowerCase().replace(/[^a-z]+/g, '-')}`;
+    }
+
+    // Watch pages, Shorts and live URLs alike (see urls.js)
+    function currentVideoIdFromUrl() {
+        return getVideoIdFromUrl(location.href);
+    }
+
+    function seekTo(seconds) {
+        const video = document.querySelector('video');
+        if (video) video.currentTime = seconds;
+    }
+
+    function createTimestampLine(seconds, label) {
+        const line = createElement('div', 'line');
+        line.title = `Jump to ${formatTimestamp(seconds)}`;
+        line.append(createElement('span', 'timestamp', formatTimestamp(seconds)), createElement('span', 'text', label));
+        line.addEventListener('click', () => seekTo(seconds));
+        return line;
+    }
+
+    // Each section starts its analysis as a background job, the same way the popup buttons do
+    function createSection(type, label, buttonText, action) {
+        const section = createElement('div', 'section');
+        const head = createElement('div', 'section-head');
+        const button = createElement('button', null, buttonText);
+        head.append(createElement('span', 'label', label), button);
+        const status = createElement('div', 'job-status');
+        const result = createElement('div', 'result');
+        section.append(head, status, result);
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            setSectionStatus(type, 'Starting...');
+            chrome.runtime.sendMessage({ action: action }, (response) => {
+                if (chrome.runtime.lastError || !response?.job) {
+                    button.disabled = false;
+                    setSectionStatus(type, `Could not start: ${response?.error || chrome.runtime.lastError?.message}`, true);
+                }
+            });
+        });
+
+        sidebar.sections[type] = { section: section, head: head, button: button, status: status, result: result };
+        return section;
+    }
+
+    function setSectionStatus(type, message, isError = false) {
+        const section = sidebar.sections[type];
+        if (!section) return;
+        section.status.textContent = message || '';
+        section.status.classList.toggle('error', isError);
+    }
+
+    function createSidebar() {
+        const host = el('div', { id: SIDEBAR_HOST_ID });
+        const root = host.attachShadow({ mode: 'open' });
+
+        const style = el('style', {}, SIDEBAR_STYLES);
+
+        const panel = createElement('div', 'panel');
+        const header = createElement('div', 'header');
+        const toggle = createElement('button', 'toggle');
+        header.append(createElement('span', 'title', 'Context Analyzer'), toggle);
+        const body = createElement('div', 'body');
+
+        const setCollapsed = (collapsed) => {
+            panel.classList.toggle('collapsed', collapsed);
+            toggle.textContent = collapsed ? '▸' : '▾';
+            toggle.title = collapsed ? 'Expand' : 'Collapse';
+        };
+        header.addEventListener('click', () => {
+            const collapsed = !panel.classList.contains('collapsed');
+            setCollapsed(collapsed);
+            chrome.storage.local.set({ [SIDEBAR_COLLAPSED_KEY]: collapsed });
+        });
+        chrome.storage.local.get(SIDEBAR_COLLAPSED_KEY).then(stored => setCollapsed(!!stored[SIDEBAR_COLLAPSED_KEY]));
+
+        const transcriptSection = createSection('transcript', 'Transcript', 'Load', "getTranscript");
+        const follow = createElement('label', 'follow');
+        const followBox = createElement('input');
+        followBox.type = 'checkbox';
+        followBox.checked = true;
+        follow.append(followBox, ' Follow video');
+        sidebar.sections.transcript.head.insertBefore(follow, sidebar.sections.transcript.button);
+        sidebar.followBox = followBox;
+
+        body.append(
+            transcriptSection,
+            createSection('comments', 'Comments', 'Analyze', "analyzeComments"),
+            createSection('videoFactCheck', 'Fact-check', 'Check claims', "factCheckVideo"),
+            createSection('factCheck', 'Selection fact-check', undefined, null)
+        );
+        sidebar.sections.factCheck.button.remove(); // Started from the context menu, not from here
+
+        panel.append(header, body);
+        root.append(style, panel);
+        return host;
+    }
+
+    // Keep the sidebar in YouTube's right-hand column, which is re-rendered on some navigations
+    function mountSidebar() {
+        if (!sidebar.host) sidebar.host = createSidebar();
+        const column = document.querySelector('ytd-watch-flexy #secondary-inner') || document.querySelector('ytd-watch-flexy #secondary');
+        if (column) {
+            sidebar.host.classList.remove('floating');
+            if (sidebar.host.parentElement !== column) column.prepend(sidebar.host);
+        } else {
+            sidebar.host.classList.add('floating');
+            if (sidebar.host.parentElement !== document.body) document.body.appendChild(sidebar.host);
+        }
+        sidebar.host.style.display = '';
+    }
+
+    function resetSidebar() {
+        Object.entries(sidebar.sections).forEach(([type, section]) => {
+            section.button.disabled = false;
+            section.result.replaceChildren();
+            setSectionStatus(type, '');
+        });
+        sidebar.segments = [];
+        sidebar.lines = [];
+        sidebar.currentLine = -1;
+        sidebar.claims = [];
+        sidebar.sections.factCheck.section.style.display = 'none';
+        clearHighlights();
+    }
+
+    // --- Sidebar Rendering ---
+
+    function renderTranscript(transcript) {
+        const { result } = sidebar.sections.transcript;
+        // The API fallback only sends an informational string
+        if (typeof transcript === 'string') {
+            sidebar.segments = [];
+            sidebar.lines = [];
+            result.replaceChildren(createElement('div', 'note', transcript));
+            return;
+        }
+        sidebar.segments = transcript.segments;
+        sidebar.lines = transcript.segments.map(segment => createTimestampLine(segment.start, segment.text));
+        sidebar.currentLine = -1;
+
+        const list = createElement('div', 'transcript');
+        list.append(...sidebar.lines);
+        list.addEventListener('wheel', () => { sidebar.followPausedUntil = Date.now() + SIDEBAR_FOLLOW_PAUSE_MS; }, { passive: true });
+        result.replaceChildren(createElement('div', 'muted', `${transcript.language} - ${transcript.segments.length} lines`), list);
+        highlightCurrentLine();
+        markClaimLines();
+        applyHighlights();
+    }
+
+    function renderCommentAnalysis(analysis) {
+        const { result } = sidebar.sections.comments;
+        const children = [createElement('div', null, `${analysis.totalAnalyzed} comments analyzed`)];
+        if (analysis.totalUnanalyzed > 0) {
+            children.push(createElement('div', 'note', `${analysis.totalUnanalyzed} could not be analyzed${analysis.stopped ? ' (stopped early)' : ''}.`));
+        }
+        const sentiment = ['positive', 'negative', 'neutral']
+            .map(s => `${SENTIMENT_EMOJI[s]} ${analysis.sentiment[s]}`)
+            .join('  ');
+        children.push(createElement('div', null, sentiment));
+
+        if (analysis.themes?.length > 0) {
+            const list = createElement('ul');
+            analysis.themes.slice(0, 5).forEach(theme => {
+                list.appendChild(createElement('li', null, `${theme.name} (${theme.count})`));
+            });
+            children.push(createElement('strong', null, 'Top themes'), list);
+        }
+        if (analysis.momentMentions?.length > 0) {
+            children.push(createElement('strong', null, 'Most-discussed moments'));
+            [...analysis.momentMentions].sort((a, b) => b.count - a.count).slice(0, 5)
+                .forEach(moment => children.push(createTimestampLine(moment.seconds, `${moment.count} mention(s)`)));
+        }
+        result.replaceChildren(...children);
+    }
+
+    function renderVideoFactCheck(report) {
+        const { result } = sidebar.sections.videoFactCheck;
+        sidebar.claims = report.claims.filter(claim => !claim.unanalyzed);
+        markClaimLines();
+        if (report.claims.length === 0) {
+            result.replaceChildren(createElement('div', 'note', "No checkable factual claims were found in the transcript."));
+            return;
+        }
+        const rank = verdict => VERDICT_ORDER.indexOf(verdict) + 1 || 99;
+        const claims = [...report.claims].sort((a, b) => rank(a.verdict) - rank(b.verdict) || a.start - b.start);
+        result.replaceChildren(...claims.map(claim => {
+            const item = createElement('div', 'claim');
+            const line = createTimestampLine(claim.start, claim.claim);
+            line.prepend(createElement('span', `verdict ${verdictClass(claim.verdict)}`, claim.verdict));
+            item.append(line, createElement('div', 'muted', claim.explanation));
+            return item;
+        }));
+    }
+
+    function renderFactCheck(factCheck) {
+        const { section, result } = sidebar.sections.factCheck;
+        section.style.display = '';
+        const verdict = createElement('div');
+        verdict.append(createElement('span', `verdict ${verdictClass(factCheck.verdict)}`, factCheck.verdict || 'Unknown'));
+        if (factCheck.claim) verdict.append(factCheck.claim);
+        const confidence = typeof factCheck.confidence === 'number' ? ` (${Math.round(factCheck.confidence * 100)}% confidence)` : '';
+        result.replaceChildren(verdict, createElement('div', 'muted', `${factCheck.explanation || ''}${confidence}`));
+    }
+
+    // Results restored from the cache when a video opens, same as the popup does
+    function renderCachedAnalyses(analyses) {
+        if (analyses.transcript) renderTranscript(analyses.transcript.data);
+        if (analyses.comments) renderCommentAnalysis(analyses.comments.data);
+        if (analyses.videoFactCheck) renderVideoFactCheck(analyses.videoFactCheck.data);
+        const factChecks = analyses.factChecks?.data || [];
+        if (factChecks.length > 0) renderFactCheck(factChecks[factChecks.length - 1]);
+        factChecks.forEach(factCheck => addHighlight(factCheck.claim, factCheck));
+    }
+
+    function handleJobUpdate(job) {
+        if (job.videoId !== sidebar.videoId || !sidebar.sections[job.type]) return;
+        const running = job.status === 'running';
+        if (sidebar.sections[job.type].button.isConnected) sidebar.sections[job.type].button.disabled = running;
+        if (job.type === 'factCheck') sidebar.sections.factCheck.section.style.display = '';
+        setSectionStatus(job.type, job.message, job.status === 'error');
+    }
+
+    // --- Following Playback ---
+
+    // Last segment that has started by the given time (segments are sorted by start)
+    function segmentIndexAt(seconds) {
+        let low = 0;
+        let high = sidebar.segments.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (sidebar.segments[mid].start <= seconds) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    function highlightCurrentLine() {
+        const video = document.querySelector('video');
+        if (!video || sidebar.lines.length === 0) return;
+        const index = segmentIndexAt(video.currentTime);
+        if (index === sidebar.currentLine) return;
+
+        sidebar.lines[sidebar.currentLine]?.classList.remove('current');
+        sidebar.currentLine = index;
+        const line = sidebar.lines[index];
+        if (!line) return;
+        line.classList.add('current');
+
+        // Scroll the transcript box only (scrollIntoView would scroll the whole page too)
+        if (sidebar.followBox.checked && Date.now() > sidebar.followPausedUntil) {
+            const list = line.parentElement;
+            list.scrollTop = line.offsetTop - list.clientHeight / 2 + line.offsetHeight / 2;
+        }
+    }
+
+    // --- Fact-Check Highlights ---
+    // Checked sentences are wrapped in <mark>s wherever they appear (description, comments, YouTube's
+    // transcript panel, the sidebar transcript), colored by verdict, with a hover card for the details.
+    // They are kept per video and re-applied as YouTube renders more of the page.
+
+    const highlights = new Map(); // normalized text -> fact-check result
+    let highlightObserver = null;
+    let highlightTimer = null;
+    let hoverCard = null;
+
+    function normalizeForMatch(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    function verdictColors(verdict) {
+        return VERDICT_COLORS[verdict] || DEFAULT_VERDICT_COLORS;
+    }
+
+    // Text nodes under the given elements, skipping what is already highlighted
+    function collectTextNodes(elements) {
+        const nodes = [];
+        elements.forEach(element => {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentElement?.closest(`.${HIGHLIGHT_CLASS}`) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+            });
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+        });
+        return nodes;
+    }
+
+    // Flatten text nodes into one whitespace-collapsed, lowercased string, remembering where each
+    // character came from, so a sentence split across elements (or lines) can still be found
+    function flattenTextNodes(nodes) {
+        let flat = '';
+        const positions = []; // flat index -> { node, offset } (null for separators)
+        nodes.forEach(node => {
+            if (flat && !flat.endsWith(' ')) {
+                flat += ' ';
+                positions.push(null);
+            }
+            const text = node.nodeValue;
+            for (let i = 0; i < text.length; i++) {
+                const isSpace = /\s/.test(text[i]);
+                if (isSpace && (flat === '' || flat.endsWith(' '))) continue;
+                flat += isSpace ? ' ' : text[i].toLowerCase();
+                positions.push({ node: node, offset: i });
+            }
+        });
+        return { flat, positions };
+    }
+
+    function createHighlightMark(factCheck) {
+        const [background, underline] = verdictColors(factCheck.verdict);
+        const mark = el('mark', { className: HIGHLIGHT_CLASS });
+        Object.assign(mark.style, { backgroundColor: background, borderBottom: `2px solid ${underline}`, color: 'inherit', cursor: 'help' });
+        attachHoverCard(mark, factCheck);
+        return mark;
+    }
+
+    // Wrap [start, end] of one text node; later pieces are wrapped first so earlier offsets stay valid
+    function wrapTextRange(node, start, end, factCheck) {
+        const target = start > 0 ? node.splitText(start) : node;
+        if (end + 1 - start < target.nodeValue.length) target.splitText(end + 1 - start);
+        const mark = createHighlightMark(factCheck);
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+    }
+
+    function highlightInElements(elements, needle, factCheck) {
+        const { flat, positions } = flattenTextNodes(collectTextNodes(elements));
+        const matches = [];
+        for (let index = flat.indexOf(needle); index !== -1; index = flat.indexOf(needle, index + needle.length)) {
+            matches.push(index);
+        }
+
+        matches.reverse().forEach(matchStart => {
+            // Group the matched characters by text node: [node, firstOffset, lastOffset]
+            const pieces = [];
+            positions.slice(matchStart, matchStart + needle.length).forEach(position => {
+                if (!position) return;
+                const last = pieces[pieces.length - 1];
+                if (last && last[0] === position.node) last[2] = position.offset;
+                else pieces.push([position.node, position.offset, position.offset]);
+            });
+            pieces.reverse().forEach(([node, start, end]) => wrapTextRange(node, start, end, factCheck));
+        });
+        return matches.length;
+    }
+
+    // Returns how many new places were highlighted
+    function applyHighlights() {
+        if (highlights.size === 0) return 0;
+        const targets = HIGHLIGHT_TARGETS.flatMap(({ container, text }) => [...document.querySelectorAll(container)]
+            .map(element => (text ? [...element.querySelectorAll(text)] : [element])));
+        const transcriptTexts = sidebar.lines.map(line => line.querySelector('.text')).filter(Boolean);
+        if (transcriptTexts.length > 0) targets.push(transcriptTexts);
+
+        let count = 0;
+        highlights.forEach((factCheck, needle) => {
+            targets.forEach(elements => { count += highlightInElements(elements, needle, factCheck); });
+        });
+        highlightObserver?.takeRecords(); // Our own marks are not new content
+        return count;
+    }
+
+    // Whether a mutation is inside a highlight target, or adds one (comments and the transcript panel arrive late)
+    function touchesHighlightTargets(record) {
+        const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        if (target?.closest(HIGHLIGHT_CONTAINERS)) return true;
+        return [...record.addedNodes].some(node => node.nodeType === Node.ELEMENT_NODE
+            && (node.matches(HIGHLIGHT_CONTAINERS) || node.querySelector(HIGHLIGHT_CONTAINERS)));
+    }
+
+    // The player's time display and the rest of the page change constantly; only re-scan for the targets
+    function scheduleHighlights(records) {
+        if (!records.some(touchesHighlightTargets)) return;
+        clearTimeout(highlightTimer);
+        highlightTimer = setTimeout(applyHighlights, HIGHLIGHT_REAPPLY_DELAY_MS);
+    }
+
+    function addHighlight(text, factCheck) {
+        const needle = normalizeForMatch(text);
+        if (!needle) return 0;
+        highlights.set(needle, factCheck);
+        if (!highlightObserver) {
+            highlightObserver = new MutationObserver(scheduleHighlights);
+            highlightObserver.observe(document.querySelector('ytd-app') || document.body, { childList: true, subtree: true });
+        }
+        return applyHighlights();
+    }
+
+    // Unwrap every mark (the text stays) and forget the video's highlights
+    function clearHighlights() {
+        highlights.clear();
+        highlightObserver?.disconnect();
+        highlightObserver = null;
+        clearTimeout(highlightTimer);
+        hideHoverCard();
+        document.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+    }
+
+    // Video fact-check claims are paraphrased, so they are marked on the transcript line they came from
+    function markClaimLines() {
+        sidebar.claims.forEach(claim => {
+            const line = sidebar.lines[segmentIndexAt(claim.start)];
+            if (!line || line.classList.contains('claim-line')) return;
+            line.classList.add('claim-line');
+            line.style.borderLeftColor = verdictColors(claim.verdict)[1];
+            attachHoverCard(line, claim);
+        });
+    }
+
+    // --- Hover Card ---
+
+    function getHoverCard() {
+        if (hoverCard) return hoverCard;
+        const host = el('div', { id: HOVER_CARD_HOST_ID });
+        Object.assign(host.style, { position: 'fixed', zIndex: '2200', display: 'none' });
+        const root = host.attachShadow({ mode: 'open' });
+        const style = el('style', {}, `
+          .card { width: 300px; padding: 8px 10px; border-radius: 8px; background: #fff; color: #0f0f0f; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.25); font: 12px/1.4 Roboto, Arial, sans-serif; }
+          .verdict { display: inline-block; padding: 0 5px; border-radius: 3px; font-weight: bold; margin-right: 4px; }
+          .muted { color: #606060; }
+          ul { margin: 4px 0 0; padding-left: 16px; }
+          a { color: #065fd4; }
+          .quote { font-style: italic; }
+          .unverified { color: #856404; font-weight: bold; }
+        `);
+        const card = createElement('div', 'card');
+        root.append(style, card);
+        document.body.appendChild(host);
+
+        // Keep the card open while the pointer is on it, so source links can be clicked
+        host.addEventListener('mouseenter', () => clearTimeout(hoverCard.hideTimer));
+        host.addEventListener('mouseleave', hideHoverCard);
+        hoverCard = { host: host, card: card, hideTimer: null };
+        return hoverCard;
+    }
+
+    function fillHoverCard(card, factCheck) {
+        const [background] = verdictColors(factCheck.verdict);
+        const verdict = createElement('span', 'verdict', factCheck.verdict || 'Unknown');
+        verdict.style.backgroundColor = background;
+        const heading = createElement('div');
+        heading.append(verdict);
+        if (typeof factCheck.confidence === 'number') {
+            heading.append(createElement('span', 'muted', `${Math.round(factCheck.confidence * 100)}% confidence`));
+        }
+        const children = [heading, createElement('div', null, factCheck.explanation || "No explanation provided.")];
+
+        // Cited passages with their quotes; results saved before evidence retrieval have plain-string sources
+        const sources = (factCheck.sources || []).filter(Boolean);
+        if (sources.length > 0) {
+            const list = createElement('ul');
+            sources.forEach(source => {
+                const item = createElement('li');
+                if (typeof source === 'string') {
+                    item.append(source, createElement('span', 'unverified', ' (not verified)'));
+                    list.appendChild(item);
+                    return;
+                }
+                item.appendChild(createElement('div', 'quote', `"${source.quote}"`));
+                item.appendChild(source.url ? createLink(source.url, source.title) : createElement('span', null, source.title));
+                if (!source.verified) item.appendChild(createElement('span', 'unverified', ' (quote not found in source)'));
+                list.appendChild(item);
+            });
+            children.push(list);
+        }
+        card.replaceChildren(...children);
+    }
+
+    function attachHoverCard(element, factCheck) {
+        element.addEventListener('mouseenter', () => {
+            const { host, card } = getHoverCard();
+            clearTimeout(hoverCard.hideTimer);
+            fillHoverCard(card, factCheck);
+            const rect = element.getBoundingClientRect();
+            host.style.display = 'block';
+            host.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 316))}px`;
+            // Below the text, or above it when there's no room
+            const below = rect.bottom + 6;
+            host.style.top = below + host.offsetHeight < window.innerHeight ? `${below}px` : `${Math.max(8, rect.top - host.offsetHeight - 6)}px`;
+        });
+        element.addEventListener('mouseleave', () => {
+            if (!hoverCard) return;
+            hoverCard.hideTimer = setTimeout(hideHoverCard, 200);
+        });
+    }
+
+    function hideHoverCard() {
+        if (hoverCard) hoverCard.host.style.display = 'none';
+    }
+
+    // --- Live Chat ---
+    // The chat panel is a same-origin iframe (#chatframe, /live_chat). New messages are read as they render and
+    // sent to the background in batches; messages already on screen when observing starts are left out.
+
+    const LIVE_CHAT_FLUSH_MS = 1000;
+    const LIVE_CHAT_MESSAGE_SELECTOR = 'yt-live-chat-text-message-renderer, yt-live-chat-paid-message-renderer';
+    let liveChat = null; // { jobId, videoId, observer, frame, buffer, timer }
+
+    // Emoji are <img alt="😂"> inside the message, so alt text stands in for images
+    function readChatMessage(node) {
+        const message = node.querySelector('#message');
+        if (!message) return null;
+        const text = [...message.childNodes]
+            .map(child => child.nodeType === Node.TEXT_NODE ? child.textContent : child.alt || child.textContent || '')
+            .join('')
+            .trim();
+        if (!text) return null;
+        return {
+            id: node.id || null,
+            author: node.querySelector('#author-name')?.textContent.trim() || '',
+            text: text,
+            time: Date.now()
+        };
+    }
+
+    function attachChatObserver() {
+        const items = liveChat.frame.contentDocument?.querySelector('yt-live-chat-item-list-renderer #items');
+        liveChat.observer?.disconnect();
+        liveChat.observer = null;
+        if (!items) return false;
+        liveChat.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE || !node.matches(LIVE_CHAT_MESSAGE_SELECTOR)) return;
+                const message = readChatMessage(node);
+                if (message) liveChat.buffer.push(message);
+            }));
+        });
+        liveChat.observer.observe(items, { childList: true });
+        return true;
+    }
+
+    function flushChatMessages(ended = false) {
+        if (!liveChat) return;
+        const { jobId, buffer } = liveChat;
+        if (buffer.length === 0 && !ended) return;
+        liveChat.buffer = [];
+        chrome.runtime.sendMessage({ action: "liveChatMessages", jobId: jobId, messages: buffer, ended: ended }, (response) => {
+            if (chrome.runtime.lastError || response?.active === false) stopObservingLiveChat(jobId);
+        });
+    }
+
+    // The frame reloads when switching between Top chat and Live chat, so observing restarts on every load
+    function onChatFrameLoad() {
+        if (liveChat) attachChatObserver();
+    }
+
+    function observeLiveChat(jobId) {
+        const frame = document.querySelector('#chatframe');
+        if (!frame) return { success: false, error: "No live chat panel on this page. Open the chat and try again." };
+        stopObservingLiveChat(liveChat?.jobId);
+        liveChat = { jobId: jobId, videoId: sidebar.videoId, observer: null, frame: frame, buffer: [], timer: setInterval(flushChatMessages, LIVE_CHAT_FLUSH_MS) };
+        frame.addEventListener('load', onChatFrameLoad);
+        attachChatObserver(); // Not rendered yet when the frame is still loading; its load event attaches then
+        return { success: true };
+    }
+
+    function stopObservingLiveChat(jobId) {
+        if (!liveChat || (jobId && liveChat.jobId !== jobId)) return;
+        clearInterval(liveChat.timer);
+        liveChat.observer?.disconnect();
+        liveChat.frame.removeEventListener('load', onChatFrameLoad);
+        liveChat = null;
+    }
+
+    // --- Navigation ---
+    // YouTube is a single-page app: the same document moves between videos, signalled by yt-navigate-finish.
+
+    function onNavigate() {
+        const videoId = currentVideoIdFromUrl();
+        // The chat panel now belongs to another video (or is gone): end the live chat job
+        if (liveChat && liveChat.videoId !== videoId) {
+            flushChatMessages(true);
+            stopObservingLiveChat();
+        }
+        if (!videoId) {
+            if (sidebar.host) sidebar.host.style.display = 'none';
+            return;
+        }
+        mountSidebar();
+        if (videoId === sidebar.videoId) return;
+
+        sidebar.videoId = videoId;
+        resetSidebar();
+        chrome.runtime.sendMessage({ action: "getCachedResults" }, (response) => {
+            if (response?.videoId === sidebar.videoId && response.analyses) renderCachedAnalyses(response.analyses);
+        });
+        chrome.runtime.sendMessage({ action: "getJobs" }, (response) => {
+            if (response?.videoId !== sidebar.videoId) return;
+            // Oldest first, so the latest job for each type ends up shown
+            [...(response.jobs || [])].reverse().forEach(handleJobUpdate);
+        });
+    }
+
+    document.addEventListener('yt-navigate-finish', onNavigate);
+    // timeupdate doesn't bubble, but a capturing listener on the document still sees it from whichever <video> is playing
+    document.addEventListener('timeupdate', highlightCurrentLine, true);
+    onNavigate(); // The first navigation may have finished before this script ran
+
+    // Listen for commands and job results pushed from the background script
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === "highlightText") {
+            // Only meaningful on the video the fact-check was made on
+            if (request.videoId && request.videoId !== sidebar.videoId) {
+                sendResponse({ success: false, error: "The tab has moved on to another video." });
+                return;
+            }
+            const marks = addHighlight(request.textToHighlight, request.factCheck || {});
+            sendResponse({ success: true, marks: marks });
+        } else if (request.action === "drawCommentHeatmap") {
+            try {
+                const cells = drawProgressBarHeatmap(request.momentMentions || []);
+                sendResponse({ success: true, cells: cells });
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (request.action === "observeLiveChat") {
+            sendResponse(observeLiveChat(request.jobId));
+        } else if (request.action === "stopObservingLiveChat") {
+            stopObservingLiveChat(request.jobId);
+        } else if (request.action === "jobUpdate") {
+            handleJobUpdate(request.data);
+        } else if (request.videoId && request.videoId === sidebar.videoId && request.data) {
+            // Job results for the video on screen; errors are already shown through the job status
+            if (request.action === "displayTranscript") renderTranscript(request.data);
+            else if (request.action === "displayCommentAnalysis") renderCommentAnalysis(request.data);
+            else if (request.action === "displayVideoFactCheck") renderVideoFactCheck(request.data);
+            else if (request.action === "displayFactCheck") renderFactCheck(request.data);
+        }
+    });
+}
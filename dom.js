@@ -0,0 +1,62 @@
+// --- Safe DOM Building ---
+// Every view in the extension is built from DOM nodes with these helpers; nothing is assigned as an HTML
+// string. Text always goes in as text nodes, so comment text and model output can't add markup, and
+// links only ever point at http(s) URLs (a model "source" like javascript:... is shown as plain text).
+// Loaded by the popup, history, compare and search pages, and by the content script. Not used by the options
+// page, a static form whose only built nodes are datalist options, or for the blob: links that start downloads
+// (exporters.js, options.js), which createLink() would refuse.
+
+// Only http(s) URLs can become links; anything else (or unparseable) gives null
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(String(value));
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function appendChildren(element, children) {
+    children.flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        element.append(child instanceof Node ? child : String(child));
+    });
+    return element;
+}
+
+// el('div', { className: 'line', title: '...', on: { click: handler } }, 'text', node, [more nodes], null)
+// Props are set as element properties (or attributes for names the element doesn't have). Event handler
+// attributes, HTML setters and URLs are refused: listeners go in `on`, links are made with createLink().
+function el(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+    Object.entries(props || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (/^on./i.test(key) || /html$/i.test(key) || ['href', 'src', 'action', 'formAction'].includes(key)) {
+            throw new Error(`el(): "${key}" can't be set here; use on: { event: handler }, text children or createLink().`);
+        }
+        if (key === 'on') {
+            Object.entries(value).forEach(([event, handler]) => element.addEventListener(event, handler));
+        } else if (key === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (key in element) {
+            element[key] = value;
+        } else {
+            element.setAttribute(key, value);
+        }
+    });
+    return appendChildren(element, children);
+}
+
+// el() with just a class and text, as the history, compare and content script views use it
+function createElement(tag, className, text) {
+    return el(tag, { className: className || null }, text);
+}
+
+// A link that opens in a new tab, or just the text when the URL isn't http(s)
+function createLink(url, text, props = {}) {
+    const safeUrl = parseHttpUrl(url);
+    if (!safeUrl) return el('span', props, text);
+    const link = el('a', { ...props, target: '_blank', rel: 'noopener noreferrer' }, text || safeUrl.hostname);
+    link.href = safeUrl.href;
+    return link;
+}
@@ -0,0 +1,103 @@
+// --- Fact-Check Evidence ---
+// Before a claim is judged, passages are gathered from the video itself (the transcript around the claim,
+// its metadata from metadata.js) and from the search endpoint configured in options. The model
+// may only cite those passages, and every quote it gives is checked against the passage it names.
+
+const EVIDENCE_MAX_SEARCH_RESULTS = 5;
+const EVIDENCE_PASSAGE_MAX_CHARS = 1200; // Per passage, so a long description or page can't crowd out the rest
+const EVIDENCE_SEARCH_TIMEOUT_MS = 15000;
+const EVIDENCE_QUERY_MAX_CHARS = 300;
+
+function truncatePassage(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > EVIDENCE_PASSAGE_MAX_CHARS ? `${clean.slice(0, EVIDENCE_PASSAGE_MAX_CHARS)}...` : clean;
+}
+
+// Search endpoints differ in shape; accept a bare array or { results | items | data: [...] }
+// with title, url|link and snippet|text|content|description per result
+function normalizeSearchResults(data) {
+    const results = Array.isArray(data) ? data : (data?.results || data?.items || data?.data || []);
+    return results
+        .map(result => ({
+            title: String(result?.title || '').trim(),
+            url: String(result?.url || result?.link || '').trim(),
+            text: truncatePassage(result?.snippet || result?.text || result?.content || result?.description)
+        }))
+        .filter(result => result.text)
+        .slice(0, EVIDENCE_MAX_SEARCH_RESULTS);
+}
+
+// searchUrl contains a {query} placeholder, e.g. http://localhost:8787/search?q={query}
+async function searchEvidence(query, searchUrl, signal = null) {
+    const url = searchUrl.replace('{query}', encodeURIComponent(query.slice(0, EVIDENCE_QUERY_MAX_CHARS)));
+    const response = await scheduledFetch(url, { headers: { 'Accept': 'application/json' } }, { pool: 'web', signal: signal, timeoutMs: EVIDENCE_SEARCH_TIMEOUT_MS });
+    if (!response.ok) {
+        throw new Error(`Search endpoint error (${response.status}): ${response.statusText}`);
+    }
+    return normalizeSearchResults(await response.json());
+}
+
+// options: { videoId, transcriptContext: { start, text }, metadata, signal }. Returns passages with IDs P1, P2, ...
+// A failed source is skipped so the claim can still be judged on the rest.
+async function gatherEvidence(claim, options = {}) {
+    const passages = [];
+    const addPassage = (kind, title, url, text) => {
+        if (text) passages.push({ id: `P${passages.length + 1}`, kind: kind, title: title, url: url, text: truncatePassage(text) });
+    };
+
+    if (options.transcriptContext?.text) {
+        const { start, text } = options.transcriptContext;
+        addPassage('transcript', `Video transcript around ${formatTimestamp(start)}`, videoWatchUrl(options.videoId, start), text);
+    }
+
+    const metadata = options.metadata;
+    if (metadata) {
+        const details = [`Title: ${metadata.title}`, `Channel: ${metadata.channel.title}`, `Published: ${metadata.publishedAt || 'unknown'}`, `Description: ${metadata.description || '(none)'}`];
+        addPassage('video', `Video details: ${metadata.title}`, videoWatchUrl(metadata.videoId), details.join('\n'));
+    }
+
+    const { evidenceSearchUrl } = await loadSettings();
+    if (evidenceSearchUrl) {
+        try {
+            const results = await searchEvidence(claim, evidenceSearchUrl, options.signal);
+            results.forEach(result => addPassage('web', result.title || result.url, result.url, result.text));
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.error("Evidence search failed:", error);
+        }
+    }
+    return passages;
+}
+
+function formatPassagesForPrompt(passages) {
+    if (passages.length === 0) return "(No passages could be retrieved.)";
+    return passages.map(p => `[${p.id}] (${p.kind}) ${p.title}${p.url ? ` <${p.url}>` : ''}\n${p.text}`).join('\n\n');
+}
+
+function normalizeForQuote(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[‘’“”"'`]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.,;:!?…-]+|[\s.,;:!?…-]+$/g, '');
+}
+
+// Turn the model's { passage, quote } citations into displayable sources. A source is verified only when
+// the passage exists and really contains the quoted words; anything else is kept but marked unverified.
+function verifyCitations(citations, passages) {
+    const byId = new Map(passages.map(p => [p.id.toUpperCase(), p]));
+    return citations.map(citation => {
+        const id = String(citation.passage).trim().replace(/^\[|\]$/g, '').toUpperCase();
+        const passage = byId.get(id);
+        const quote = citation.quote.trim().replace(/^["“']+|["”']+$/g, ''); // Displayed in quotes of our own
+        const needle = normalizeForQuote(quote);
+        return {
+            passage: passage ? passage.id : id,
+            kind: passage?.kind || null,
+            title: passage?.title || `Unknown passage ${id}`,
+            url: passage?.url || null,
+            quote: quote,
+            verified: !!passage && needle.length > 0 && normalizeForQuote(passage.text).includes(needle)
+        };
+    });
+}
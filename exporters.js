@@ -0,0 +1,107 @@
+// --- Transcript Exporters ---
+// Turns a transcript ({ title, videoId, language, languageCode, segments }) into downloadable files.
+// Depends on formatTimestamp() from transcript.js. The file helpers at the bottom are shared with reports.js.
+
+const TRANSCRIPT_EXPORT_FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip', build: transcriptToSrt },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt', build: transcriptToVtt },
+    txt: { extension: 'txt', mimeType: 'text/plain', build: transcriptToTxt },
+    md: { extension: 'md', mimeType: 'text/markdown', build: transcriptToMarkdown }
+};
+
+// 3725.5 -> "01:02:05,500" (SRT) / "01:02:05.500" (VTT)
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const h = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+    const m = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, '0');
+    const s = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+    const ms = String(totalMs % 1000).padStart(3, '0');
+    return `${h}:${m}:${s}${separator}${ms}`;
+}
+
+// Keeps the track's own durations; only falls back to the next cue's start when a duration is missing
+function cueEndTime(segments, index) {
+    const segment = segments[index];
+    if (segment.duration > 0) return segment.start + segment.duration;
+    const next = segments[index + 1];
+    return next ? next.start : segment.start + 2;
+}
+
+function transcriptToSrt(transcript) {
+    return transcript.segments.map((segment, i) => [
+        String(i + 1),
+        `${formatCueTime(segment.start, ',')} --> ${formatCueTime(cueEndTime(transcript.segments, i), ',')}`,
+        segment.text
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function transcriptToVtt(transcript) {
+    const cues = transcript.segments.map((segment, i) => [
+        `${formatCueTime(segment.start, '.')} --> ${formatCueTime(cueEndTime(transcript.segments, i), '.')}`,
+        segment.text.replace(/-->/g, '->') // "-->" is not allowed inside cue text
+    ].join('\n'));
+    const header = transcript.languageCode ? `WEBVTT\nLanguage: ${transcript.languageCode}` : 'WEBVTT';
+    return [header, ...cues].join('\n\n') + '\n';
+}
+
+function transcriptToTxt(transcript) {
+    return transcript.segments.map(segment => `[${formatTimestamp(segment.start)}] ${segment.text}`).join('\n') + '\n';
+}
+
+function transcriptToMarkdown(transcript) {
+    const videoUrl = videoWatchUrl(transcript.videoId);
+    const lines = [
+        `# ${transcript.title || transcript.videoId}`,
+        '',
+        `- Video: <${videoUrl}>`,
+        `- Language: ${transcript.language}`,
+        '',
+        '## Transcript',
+        ''
+    ];
+    transcript.segments.forEach(segment => {
+        const seconds = Math.floor(segment.start);
+        lines.push(`- [${formatTimestamp(segment.start)}](${videoUrl}&t=${seconds}s) ${escapeMarkdown(segment.text)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Characters that would otherwise start formatting, links or HTML in Markdown
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// "My Video: Part 1?" -> "My Video - Part 1"
+function sanitizeFilename(name, fallback) {
+    return String(name || '')
+        .replace(/[\\/:*?"<>|]+/g, ' - ')
+        .replace(/[\u0000-\u001f]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.-]+|[\s.-]+$/g, '')
+        .slice(0, 120) || fallback;
+}
+
+// "My Video: Part 1?" + "en" -> "My Video - Part 1 [en].srt"
+function buildTranscriptFilename(transcript, extension) {
+    const base = sanitizeFilename(transcript.title || transcript.videoId, 'transcript');
+    const lang = transcript.languageCode ? ` [${transcript.languageCode}]` : '';
+    return `${base}${lang}.${extension}`;
+}
+
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportTranscript(transcript, formatKey) {
+    const format = TRANSCRIPT_EXPORT_FORMATS[formatKey];
+    if (!format) throw new Error(`Unknown export format: ${formatKey}`);
+    const filename = buildTranscriptFilename(transcript, format.extension);
+    downloadTextFile(format.build(transcript), filename, format.mimeType);
+    return filename;
+}
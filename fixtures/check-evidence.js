@@ -0,0 +1,68 @@
+// --- Evidence Check ---
+// Runs gatherEvidence() with a transcript passage, video metadata and a stubbed search endpoint, and checks
+// the passages it returns (IDs, kinds, whitespace collapsed, long text capped at EVIDENCE_PASSAGE_MAX_CHARS).
+// Run with Node from the extension folder: node fixtures/check-evidence.js
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+const SEARCH_URL = 'http://localhost:8787/search?q={query}';
+const searchResults = {
+    results: [
+        { title: 'Encyclopedia', url: 'https://example.org/moon', snippet: 'The Moon is   made of\nrock.' },
+        { title: 'Long page', link: 'https://example.org/long', content: 'word '.repeat(1000) },
+        { title: 'Empty', url: 'https://example.org/empty', snippet: '   ' }
+    ]
+};
+const requestedUrls = [];
+
+// Only the storage and fetch calls evidence retrieval makes are stubbed
+const context = vm.createContext({
+    console: console,
+    URL: URL,
+    DOMException: DOMException,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    AbortController: AbortController,
+    AbortSignal: AbortSignal,
+    chrome: { storage: { local: { get: async () => ({ evidenceSearchUrl: SEARCH_URL }), set: async () => { } } } },
+    fetch: async url => {
+        requestedUrls.push(url);
+        return { ok: true, status: 200, headers: new Map(), json: async () => searchResults };
+    }
+});
+['settings.js', 'urls.js', 'scheduler.js', 'transcript.js', 'evidence.js'].forEach(file =>
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file }));
+
+const maxChars = vm.runInContext('EVIDENCE_PASSAGE_MAX_CHARS', context);
+const gatherEvidence = vm.runInContext('gatherEvidence', context);
+
+(async () => {
+    // Copied out of the sandbox: its arrays don't deep-equal arrays made here
+    const passages = JSON.parse(JSON.stringify(await gatherEvidence('The Moon is made of cheese', {
+        videoId: 'dQw4w9WgXcQ',
+        transcriptContext: { start: 75, text: 'and the moon,\n  as everyone knows,   is cheese' },
+        metadata: { videoId: 'dQw4w9WgXcQ', title: 'Moon facts', channel: { title: 'Space' }, publishedAt: '2024-01-01', description: 'All about the moon.' }
+    })));
+
+    assert.deepEqual(passages.map(p => p.id), ['P1', 'P2', 'P3', 'P4']);
+    assert.deepEqual(passages.map(p => p.kind), ['transcript', 'video', 'web', 'web']);
+    assert.equal(passages[0].text, 'and the moon, as everyone knows, is cheese');
+    assert.equal(passages[0].title, 'Video transcript around 1:15');
+    assert.match(passages[0].url, /[?&]t=75s/);
+    assert.match(passages[1].text, /^Title: Moon facts Channel: Space/);
+    assert.equal(passages[2].text, 'The Moon is made of rock.');
+    assert.equal(passages[3].url, 'https://example.org/long');
+    assert.equal(passages[3].text.length, maxChars + 3);
+    assert.ok(passages[3].text.endsWith('...'));
+    assert.equal(requestedUrls.length, 1);
+    assert.ok(requestedUrls[0].startsWith('http://localhost:8787/search?q=The%20Moon'));
+
+    console.log(`OK: ${passages.length} passages (${passages.map(p => p.kind).join(', ')})`);
+})().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+// --- Live Chat Fixture Check ---
+// Feeds the recorded chat in live-chat-sample.json through createLiveChatAnalyzer() the way a replay does
+// (a snapshot every LIVE_CHAT_UPDATE_MS of chat time) and checks that both recorded bursts come out as spikes.
+// Run with Node from the extension folder: node fixtures/check-live-chat.js
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+// livechat.js registers a tab listener when loaded; nothing else it runs here touches the extension APIs
+const context = vm.createContext({ console: console, chrome: { tabs: { onRemoved: { addListener() { } } } } });
+['lexicon.js', 'livechat.js'].forEach(file => vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file }));
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'live-chat-sample.json'), 'utf8'));
+const replay = vm.runInContext(`(fixture => {
+    const analyzer = createLiveChatAnalyzer();
+    const messages = liveChatFixtureMessages(fixture);
+    let next = messages[0].time + LIVE_CHAT_UPDATE_MS;
+    messages.forEach(message => {
+        if (message.time >= next) {
+            analyzer.snapshot();
+            next = message.time + LIVE_CHAT_UPDATE_MS;
+        }
+        analyzer.addMessages([message]);
+    });
+    return { messages: messages, snapshot: analyzer.snapshot() };
+})`, context);
+
+const { messages, snapshot } = replay(fixture);
+assert.equal(snapshot.totalMessages, messages.length);
+
+const spikeAt = iso => snapshot.spikes.find(spike => spike.start === iso);
+const six = spikeAt('2026-03-14T13:32:30.000Z');
+const wicket = spikeAt('2026-03-14T13:34:00.000Z');
+assert.ok(six, `No spike at 13:32:30 (spikes: ${JSON.stringify(snapshot.spikes)})`);
+assert.ok(six.terms.includes('six'), `The 13:32:30 spike is not about the six: ${six.terms.join(', ')}`);
+assert.ok(wicket, `No spike at 13:34:00 (spikes: ${JSON.stringify(snapshot.spikes)})`);
+assert.ok(wicket.terms.includes('wicket'), `The 13:34:00 spike is not about the wicket: ${wicket.terms.join(', ')}`);
+assert.equal(snapshot.spikes.length, 2, `Unexpected spikes: ${JSON.stringify(snapshot.spikes)}`);
+
+console.log(`OK: ${snapshot.totalMessages} messages, spikes at 13:32:30 (${six.terms.join(', ')}) and 13:34:00 (${wicket.terms.join(', ')})`);
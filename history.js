@@ -0,0 +1,155 @@
+const historyList = document.getElementById('historyList');
+const historyFilter = document.getElementById('historyFilter');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const statusDiv = document.getElementById('status');
+
+let historyVideos = [];
+
+function updateStatus(message, isError = false) {
+    statusDiv.textContent = message;
+    statusDiv.style.color = isError ? 'red' : '#333';
+    console.log("History status:", message);
+}
+
+function createBlock(title, savedAt, children) {
+    const block = createElement('div', 'analysis-block');
+    block.append(createElement('h3', null, `${title} (saved ${describeAge(savedAt)})`), ...children);
+    return block;
+}
+
+// Timestamps open the video at that moment in a new tab
+function createTimedLine(videoId, seconds, text) {
+    const line = createElement('div');
+    line.append(createLink(videoWatchUrl(videoId, seconds), formatTimestamp(seconds), { className: 'timestamp' }), text);
+    return line;
+}
+
+function renderTranscript(entry) {
+    const transcript = entry.data;
+    if (typeof transcript === 'string' || !transcript?.segments) {
+        return createBlock('Transcript', entry.savedAt, [createElement('div', null, String(transcript))]);
+    }
+    const preview = createElement('div', 'transcript-preview');
+    preview.append(...transcript.segments.map(s => createTimedLine(transcript.videoId, s.start, s.text)));
+    return createBlock(`Transcript - ${transcript.language}, ${transcript.segments.length} lines`, entry.savedAt, [preview]);
+}
+
+function renderSummary(entry) {
+    const summary = entry.data;
+    const children = [createElement('p', null, summary.tldr)];
+    summary.chapters.forEach(c => children.push(createTimedLine(summary.videoId, c.start, c.title)));
+    return createBlock('Summary', entry.savedAt, children);
+}
+
+function renderComments(entry) {
+    const analysis = entry.data;
+    const s = analysis.sentiment;
+    const children = [createElement('div', null, `${analysis.totalAnalyzed} comments analyzed - positive ${s.positive}, negative ${s.negative}, neutral ${s.neutral}` +
+        (analysis.totalUnanalyzed ? ` (${analysis.totalUnanalyzed} could not be analyzed)` : ''))];
+    if (analysis.themes?.length > 0) {
+        children.push(createElement('div', null, `Top themes: ${analysis.themes.slice(0, 5).map(t => t.name).join(', ')}`));
+    }
+    return createBlock('Comment sentiment', entry.savedAt, children);
+}
+
+function renderVideoFactCheck(entry) {
+    const report = entry.data;
+    const counts = Object.entries(report.verdictCounts).map(([verdict, count]) => `${verdict}: ${count}`).join(', ');
+    const children = [createElement('div', null, counts || 'No claims found.')];
+    report.claims.forEach(c => children.push(createTimedLine(report.videoId, c.start, `[${c.verdict}] ${c.claim}`)));
+    return createBlock('Video fact-check', entry.savedAt, children);
+}
+
+function renderFactChecks(entry) {
+    const children = entry.data.map(fc => {
+        const confidence = fc.confidence !== null && fc.confidence !== undefined ? ` (${(fc.confidence * 100).toFixed(0)}%)` : '';
+        return createElement('div', null, `[${fc.verdict}${confidence}] "${fc.claim}" - ${fc.explanation}`);
+    });
+    return createBlock('Selection fact-checks', entry.savedAt, children);
+}
+
+const ANALYSIS_RENDERERS = {
+    transcript: renderTranscript,
+    summary: renderSummary,
+    comments: renderComments,
+    videoFactCheck: renderVideoFactCheck,
+    factChecks: renderFactChecks
+};
+
+function renderVideo(video) {
+    const details = createElement('details', 'video-entry');
+    const summary = createElement('summary');
+
+    const title = createLink(videoWatchUrl(video.videoId), video.title || video.videoId, { className: 'video-title' });
+
+    const meta = createElement('span', 'video-meta', describeAge(video.lastSavedAt));
+    const badges = createElement('span');
+    Object.keys(video.analyses).forEach(type => badges.appendChild(createElement('span', 'badge', ANALYSIS_TYPES[type] || type)));
+
+    const deleteBtn = createElement('button', 'small danger', 'Delete');
+    deleteBtn.type = 'button';
+    deleteBtn.addEventListener('click', async (event) => {
+        event.preventDefault(); // Don't toggle the <details>
+        await deleteVideoHistory(video.videoId);
+        updateStatus(`Deleted saved results for "${video.title || video.videoId}".`);
+        loadHistory();
+    });
+
+    summary.append(title, badges, meta, deleteBtn);
+    details.appendChild(summary);
+
+    // Rendered lazily: transcripts can be long
+    details.addEventListener('toggle', () => {
+        if (!details.open || details.dataset.rendered) return;
+        details.dataset.rendered = 'true';
+        Object.keys(ANALYSIS_RENDERERS).forEach(type => {
+            const entry = video.analyses[type];
+            if (!entry) return;
+            try {
+                details.appendChild(ANALYSIS_RENDERERS[type](entry));
+            } catch (error) {
+                console.error(`Could not render saved ${type}:`, error);
+                details.appendChild(createElement('div', 'analysis-block', `Could not display saved ${ANALYSIS_TYPES[type] || type}.`));
+            }
+        });
+    });
+    return details;
+}
+
+function renderHistory() {
+    const query = historyFilter.value.trim().toLowerCase();
+    const videos = historyVideos.filter(v => !query || v.videoId.toLowerCase().includes(query) || (v.title || '').toLowerCase().includes(query));
+    if (videos.length === 0) {
+        historyList.replaceChildren(createElement('p', null, historyVideos.length === 0 ? 'No analyzed videos yet.' : 'No videos match the filter.'));
+        return;
+    }
+    historyList.replaceChildren(...videos.map(renderVideo));
+}
+
+async function loadHistory() {
+    try {
+        historyVideos = await listAnalysisHistory();
+        renderHistory();
+    } catch (error) {
+        console.error("Error loading history:", error);
+        updateStatus(`Failed to load history: ${error.message}`, true);
+    }
+}
+
+// --- Event Listeners ---
+
+historyFilter.addEventListener('input', renderHistory);
+
+clearHistoryBtn.addEventListener('click', async () => {
+    if (!confirm("Delete all saved transcripts, analyses and fact-checks?")) return;
+    try {
+        const removed = await clearAnalysisHistory();
+        updateStatus(`Cleared ${removed} saved result(s).`);
+        loadHistory();
+    } catch (error) {
+        updateStatus(`Failed to clear history: ${error.message}`, true);
+    }
+});
+
+// Initial load
+loadHistory();
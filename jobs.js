@@ -0,0 +1,143 @@
+// --- Analysis Jobs ---
+// Every transcript, summary, comment, live chat or fact-check request runs as a job tied to its tab and video.
+// Job progress is mirrored to chrome.storage.session so a reopened popup can resubscribe, and every
+// result message carries the job, video and tab IDs so it never lands in the wrong popup context.
+
+const JOBS_STORAGE_KEY = 'jobs';
+const MAX_FINISHED_JOBS = 30; // Across all tabs; older finished jobs drop out of the progress list
+
+const JOB_TYPES = {
+    transcript: 'Transcript',
+    summary: 'Summary',
+    comments: 'Comment analysis',
+    videoFactCheck: 'Video fact-check',
+    factCheck: 'Fact-check selection',
+    playlist: 'Playlist report',
+    compare: 'Comparison report',
+    liveChat: 'Live chat'
+};
+
+const jobControllers = new Map(); // jobId -> AbortController, for jobs running in this worker
+let jobsState = null; // jobId -> job, loaded lazily from storage
+
+async function loadJobsState() {
+    if (!jobsState) {
+        const stored = await chrome.storage.session.get(JOBS_STORAGE_KEY);
+        if (!jobsState) {
+            jobsState = stored[JOBS_STORAGE_KEY] || {};
+            // Anything still marked running was cut off when the previous worker shut down
+            Object.values(jobsState).forEach(job => {
+                if (job.status === 'running') {
+                    job.status = 'error';
+                    job.message = "Interrupted: the extension was restarted.";
+                }
+            });
+        }
+    }
+    return jobsState;
+}
+
+function saveJobsState() {
+    const finished = Object.values(jobsState)
+        .filter(job => job.status !== 'running')
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    finished.slice(MAX_FINISHED_JOBS).forEach(job => { delete jobsState[job.id]; });
+    chrome.storage.session.set({ [JOBS_STORAGE_KEY]: jobsState })
+        .catch(err => console.error("Failed to save job progress:", err));
+}
+
+function updateJob(jobId, changes) {
+    const job = jobsState[jobId];
+    if (!job) return null;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    saveJobsState();
+    sendDataToPopup("jobUpdate", job, null, job);
+    return job;
+}
+
+// The handle passed to feature code: IDs plus the cancellation signal and a progress reporter
+async function createJob(type, tabId, videoId) {
+    const jobs = await loadJobsState();
+    const controller = new AbortController();
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type: type,
+        tabId: tabId,
+        videoId: videoId,
+        status: 'running',
+        message: `${JOB_TYPES[type]} starting...`,
+        startedAt: now,
+        updatedAt: now
+    };
+    jobs[job.id] = job;
+    jobControllers.set(job.id, controller);
+    saveJobsState();
+    sendDataToPopup("jobUpdate", job, null, job);
+
+    return {
+        id: job.id,
+        type: type,
+        tabId: tabId,
+        videoId: videoId,
+        signal: controller.signal,
+        progress: message => updateJob(job.id, { message: message })
+    };
+}
+
+// Progress goes to the job when there is one, else to the popup's status line (chat, context menu)
+function reportProgress(job, message, isError = false) {
+    if (job) {
+        job.progress(message);
+    } else {
+        updatePopupStatus(message, isError);
+    }
+}
+
+// Start work(job) in the background and return the job right away. The result (or error) is sent
+// with displayAction once it is done; results with `stopped: true` finish the job as stopped.
+async function runJob(type, tabId, videoId, displayAction, work) {
+    const job = await createJob(type, tabId, videoId);
+    (async () => {
+        try {
+            const result = await work(job);
+            updateJob(job.id, { status: result?.stopped ? 'stopped' : 'done' });
+            sendDataToPopup(displayAction, result, null, job);
+        } catch (error) {
+            const stopped = isAbortError(error);
+            if (!stopped) console.error(`${JOB_TYPES[type]} job failed:`, error);
+            const message = stopped ? "Stopped before any results were ready." : error.message;
+            updateJob(job.id, { status: stopped ? 'stopped' : 'error', message: message });
+            sendDataToPopup(displayAction, null, message, job);
+        } finally {
+            jobControllers.delete(job.id);
+        }
+    })();
+    return jobsState[job.id];
+}
+
+function stopJob(jobId) {
+    const controller = jobControllers.get(jobId);
+    if (!controller) return false;
+    controller.abort();
+    updateJob(jobId, { message: "Stopping... results so far will be kept." });
+    return true;
+}
+
+// Running jobs first, then the most recently finished
+async function listJobs(tabId) {
+    const jobs = await loadJobsState();
+    return Object.values(jobs)
+        .filter(job => job.tabId === tabId)
+        .sort((a, b) => (b.status === 'running') - (a.status === 'running') || b.startedAt.localeCompare(a.startedAt));
+}
+
+// Closing a tab stops its jobs and forgets them
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const jobs = await loadJobsState();
+    Object.values(jobs).filter(job => job.tabId === tabId).forEach(job => {
+        stopJob(job.id);
+        delete jobs[job.id];
+    });
+    saveJobsState();
+});
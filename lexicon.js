@@ -0,0 +1,169 @@
+// --- Local Lexicon Sentiment ---
+// A sentiment scorer that needs no API: word and emoji lexicons for English and Tamil (script and the
+// romanized "Tanglish" common in comments), with negation, intensifiers and "but" clauses in the style
+// of VADER. Used when the sentiment engine is set to "lexicon", and for comments the model could not
+// label when it is set to "auto".
+
+const LEXICON_ENGINE_LABEL = 'Local lexicon';
+const LEXICON_NEUTRAL_THRESHOLD = 0.05; // |compound| below this is neutral
+const NEGATION_SCALAR = -0.74;
+const NEGATION_WINDOW = 3; // English negators reach this many tokens ahead
+const CAPS_EMPHASIS = 1.25;
+const EXCLAMATION_BOOST = 0.3; // Per "!", up to MAX_EXCLAMATIONS
+const MAX_EXCLAMATIONS = 4;
+
+// Scores from -3 (very negative) to +3 (very positive)
+const ENGLISH_LEXICON = {
+    good: 2, great: 3, awesome: 3, amazing: 3, excellent: 3, fantastic: 3, wonderful: 3, brilliant: 3, perfect: 3,
+    best: 3, love: 3, loved: 3, loving: 2, loves: 3, like: 1, liked: 1, likes: 1, enjoy: 2, enjoyed: 2, beautiful: 3,
+    nice: 2, cool: 1, fun: 2, funny: 2, helpful: 2, useful: 2, informative: 2, interesting: 2, clear: 1, happy: 2,
+    glad: 2, thanks: 2, thank: 2, grateful: 2, appreciate: 2, appreciated: 2, impressive: 3, inspiring: 3,
+    inspired: 2, legend: 2, legendary: 3, masterpiece: 3, underrated: 1, recommend: 2, recommended: 2, wow: 2,
+    superb: 3, outstanding: 3, incredible: 3, respect: 2, agree: 1, right: 1, correct: 1, true: 1, well: 1,
+    better: 2, improved: 2, win: 2, wins: 2, worth: 2, favorite: 2, favourite: 2, lol: 1, haha: 1, super: 2,
+    bad: -2, terrible: -3, awful: -3, horrible: -3, worst: -3, hate: -3, hated: -3, hates: -3, dislike: -2,
+    boring: -2, bored: -2, stupid: -3, dumb: -2, useless: -2, waste: -2, wasted: -2, trash: -3, garbage: -3,
+    sad: -2, angry: -2, annoying: -2, annoyed: -2, disappointing: -2, disappointed: -2, disappointment: -2,
+    wrong: -2, false: -1, fake: -2, lie: -2, lies: -2, lying: -2, liar: -3, scam: -3, misleading: -2, clickbait: -2,
+    confusing: -1, confused: -1, poor: -2, weak: -1, worse: -2, fail: -2, failed: -2, fails: -2, problem: -1,
+    problems: -1, issue: -1, issues: -1, broken: -2, cringe: -2, ugly: -2, disgusting: -3, pathetic: -3,
+    ridiculous: -2, nonsense: -2, overrated: -2, unfortunately: -1, sorry: -1, pain: -2, painful: -2, hurt: -2,
+    fear: -2, scared: -2, worried: -2, worry: -1, unfair: -2, shame: -2, shameful: -3, rip: -1, meh: -1, ugh: -2
+};
+
+// Tamil script entries are stems: suffixed forms (நல்லா, நல்லது, ...) match by prefix
+const TAMIL_LEXICON = {
+    'நல்ல': 2, 'நன்று': 2, 'அருமை': 3, 'சூப்பர்': 2, 'அழகு': 3, 'அழகான': 3, 'மகிழ்ச்சி': 3, 'சந்தோஷ': 3,
+    'நன்றி': 2, 'வாழ்த்து': 2, 'பிடிக்கும்': 2, 'பிடித்த': 2, 'சிறப்பு': 3, 'சிறந்த': 3, 'அற்புத': 3, 'அட்டகாச': 3,
+    'செம்ம': 3, 'செம': 3, 'மாஸ்': 2, 'தரமான': 2, 'பயனுள்ள': 2, 'அன்பு': 2, 'உதவி': 1, 'வெற்றி': 2,
+    'மோசம்': -2, 'மோசமான': -3, 'கெட்ட': -2, 'கேவல': -3, 'வெறுப்பு': -3, 'கோப': -2, 'சோக': -2, 'கஷ்ட': -1,
+    'பொய்': -2, 'ஏமாற்ற': -2, 'மொக்கை': -2, 'வேஸ்ட்': -2, 'அசிங்க': -2, 'தப்பு': -1, 'தவறு': -1, 'குப்பை': -3,
+    'பயம்': -2, 'வலி': -2, 'கொடுமை': -3, 'துரோக': -3, 'முட்டாள்': -3, 'தோல்வி': -2
+};
+const ROMANIZED_TAMIL_LEXICON = {
+    semma: 3, sema: 3, mass: 2, arumai: 3, nalla: 2, nallaa: 2, nallathu: 2, azhagu: 3, alagu: 3, nandri: 2,
+    vazhthukkal: 2, valthukkal: 2, pidikkum: 2, sirappu: 3, attagasam: 3, thalaivaa: 1, kalakkal: 3, kalakkunga: 3,
+    mokka: -2, mokkai: -2, kevalam: -3, mosam: -2, mosamana: -3, asingam: -2, thappu: -1, kuppai: -3, bore: -1,
+    kadupu: -2, kaduppu: -2, erichal: -2, muttal: -3, venna: -2
+};
+// Two-word expressions scored as one
+const PHRASE_LEXICON = {
+    'vera level': 3, 'வேற லெவல்': 3, 'waste of': -2, 'not worth': -2, 'must watch': 3, 'thumbs up': 2, 'thumbs down': -2
+};
+
+const EMOJI_LEXICON = {
+    '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😊': 2, '🙂': 1, '😍': 3, '🥰': 3, '😘': 2, '😂': 2, '🤣': 2, '😆': 2,
+    '❤': 3, '♥': 3, '💕': 3, '💖': 3, '💯': 2, '👍': 2, '👏': 2, '🙌': 2, '🙏': 1, '🔥': 2, '✨': 1, '🎉': 2,
+    '🥳': 2, '👌': 2, '💪': 2, '🤩': 3, '😎': 1, '🤗': 2,
+    '😞': -2, '😢': -2, '😭': -2, '😡': -3, '🤬': -3, '😠': -2, '👎': -2, '💩': -3, '🤮': -3, '🤢': -2, '😒': -1,
+    '🙄': -1, '😤': -2, '😔': -2, '😩': -2, '😫': -2, '💔': -2, '😬': -1, '🥱': -1, '🤡': -2
+};
+
+const ENGLISH_NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly',
+    'barely', 'cannot', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'cant', 'couldnt', 'wont',
+    'wouldnt', 'shouldnt', 'aint', 'havent', 'hasnt', 'nope']);
+// Tamil negation follows the word it negates: "நல்லா இல்ல" = not good
+const TAMIL_NEGATORS = new Set(['இல்லை', 'இல்ல', 'இல்லே', 'அல்ல', 'கிடையாது', 'வேண்டாம்', 'வேணாம்',
+    'illa', 'illai', 'ille', 'alla', 'kidayathu', 'kidaiyathu', 'venam', 'vendam']);
+
+// Multipliers for the next sentiment word; below 1 damps it
+const INTENSIFIERS = {
+    very: 1.5, really: 1.5, so: 1.4, extremely: 1.8, absolutely: 1.7, totally: 1.5, incredibly: 1.8, too: 1.3,
+    most: 1.4, highly: 1.5, super: 1.5, quite: 1.2, pretty: 1.2, slightly: 0.6, somewhat: 0.7, kinda: 0.7, bit: 0.7,
+    'ரொம்ப': 1.6, 'மிகவும்': 1.7, 'மிக': 1.5, 'நிறைய': 1.3, 'கொஞ்சம்': 0.7, 'செம்ம': 1.6, 'செம': 1.6,
+    romba: 1.6, rombha: 1.6, migavum: 1.7, konjam: 0.7, semma: 1.6, sema: 1.6
+};
+// Whatever follows "but" outweighs what came before it
+const CONTRAST_WORDS = new Set(['but', 'however', 'although', 'though', 'ஆனால்', 'ஆனா', 'aana', 'aanaa', 'anaa']);
+
+const TAMIL_SCRIPT_PATTERN = /[஀-௿]/;
+const TAMIL_STEMS = Object.keys(TAMIL_LEXICON).sort((a, b) => b.length - a.length);
+
+const SENTENCE_BREAK_PATTERN = /^[.!?…\n]+$/;
+
+// Words (any script, keeping Tamil vowel signs and apostrophes) and single emoji, each with the number of
+// the sentence it is in: sentence punctuation and line breaks aren't tokens, but negation stops at them
+function tokenizeForSentiment(text) {
+    const tokens = [];
+    let sentence = 0;
+    for (const [raw] of String(text).matchAll(/[\p{L}\p{M}\p{N}'’]+|\p{Extended_Pictographic}|[.!?…\n]+/gu)) {
+        if (SENTENCE_BREAK_PATTERN.test(raw)) sentence++;
+        else tokens.push({ raw: raw, token: raw.toLowerCase().replace(/['’]/g, ''), sentence: sentence });
+    }
+    return tokens;
+}
+
+function lexiconScore(token) {
+    if (EMOJI_LEXICON[token] !== undefined) return EMOJI_LEXICON[token];
+    if (ENGLISH_LEXICON[token] !== undefined) return ENGLISH_LEXICON[token];
+    if (ROMANIZED_TAMIL_LEXICON[token] !== undefined) return ROMANIZED_TAMIL_LEXICON[token];
+    if (TAMIL_SCRIPT_PATTERN.test(token)) {
+        const stem = TAMIL_STEMS.find(s => token.startsWith(s));
+        if (stem) return TAMIL_LEXICON[stem];
+    }
+    return undefined;
+}
+
+// { sentiment, score: compound in -1..1, matches: number of scored words and emoji }
+function scoreSentiment(text) {
+    const tokens = tokenizeForSentiment(text);
+    const hasLowercase = /\p{Ll}/u.test(text);
+    const scored = []; // { index, score }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const { raw, token } = tokens[i];
+        const next = tokens[i + 1]?.token;
+
+        const phrase = next !== undefined ? PHRASE_LEXICON[`${token} ${next}`] : undefined;
+        let score = phrase ?? lexiconScore(token);
+        if (score === undefined) continue;
+        // "semma", "super" and friends are intensifiers when a sentiment word follows, sentiment words otherwise
+        if (phrase === undefined && INTENSIFIERS[token] && next !== undefined && lexiconScore(next) !== undefined) continue;
+
+        for (let back = 1; back <= 2 && i - back >= 0; back++) {
+            const multiplier = INTENSIFIERS[tokens[i - back].token];
+            if (multiplier) score *= multiplier;
+        }
+        const sameSentence = t => t && t.sentence === tokens[i].sentence;
+        const englishNegated = tokens.slice(Math.max(0, i - NEGATION_WINDOW), i).some(t => sameSentence(t) && ENGLISH_NEGATORS.has(t.token));
+        const after = phrase === undefined ? 1 : 2;
+        const tamilNegated = [tokens[i + after], tokens[i + after + 1]].some(t => sameSentence(t) && TAMIL_NEGATORS.has(t.token));
+        if (englishNegated || tamilNegated) score *= NEGATION_SCALAR;
+        // SHOUTED words count for more, unless the whole comment is in capitals
+        if (hasLowercase && raw.length > 1 && raw === raw.toUpperCase() && /\p{Lu}/u.test(raw)) score *= CAPS_EMPHASIS;
+
+        scored.push({ index: i, score: score });
+        if (phrase !== undefined) i++;
+    }
+
+    const contrastAt = tokens.map(t => t.token).findLastIndex(token => CONTRAST_WORDS.has(token));
+    let sum = scored.reduce((total, { index, score }) => {
+        if (contrastAt < 0) return total + score;
+        return total + score * (index < contrastAt ? 0.5 : 1.5);
+    }, 0);
+    if (sum !== 0) {
+        const exclamations = Math.min((String(text).match(/!/g) || []).length, MAX_EXCLAMATIONS);
+        sum += Math.sign(sum) * exclamations * EXCLAMATION_BOOST;
+    }
+
+    const compound = sum / Math.sqrt(sum * sum + 15);
+    const sentiment = compound >= LEXICON_NEUTRAL_THRESHOLD ? 'positive' : compound <= -LEXICON_NEUTRAL_THRESHOLD ? 'negative' : 'neutral';
+    return { sentiment: sentiment, score: Math.round(compound * 1000) / 1000, matches: scored.length };
+}
+
+// Same fields the model fills in; themes, toxicity and spam need a model, so they are left unset
+function classifyCommentsWithLexicon(comments) {
+    return comments.map(comment => {
+        const { sentiment, score } = scoreSentiment(comment.text);
+        return {
+            ...comment,
+            sentiment: sentiment,
+            sentimentScore: score,
+            sentimentEngine: LEXICON_ENGINE_LABEL,
+            theme: 'Other',
+            toxic: false,
+            spam: false,
+            question: /\?/.test(comment.text)
+        };
+    });
+}
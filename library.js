@@ -0,0 +1,272 @@
+// --- Transcript Library & Full-Text Search ---
+// Every transcript loaded from a video page is kept in IndexedDB with an inverted index, so search.html
+// can find words and "quoted phrases" across all of them. One transcript per video (the latest fetched).
+// Stores:
+//   videos:      { videoId, title, language, languageCode, trackId, translatedFrom, savedAt, tokenCount, segmentCount }
+//   transcripts: { videoId, segments, segmentOffsets } - segmentOffsets[i] is the position of segment i's first token
+//   postings:    { term, videoId, positions } - token positions of the term in that video's transcript
+// Positions run across segment boundaries, so phrases split between caption lines still match.
+
+const LIBRARY_DB_NAME = 'transcriptLibrary';
+const LIBRARY_DB_VERSION = 1;
+const MAX_SEARCH_RESULTS = 20; // Videos per search
+const MAX_HITS_PER_VIDEO = 5;
+const SNIPPET_CONTEXT_SEGMENTS = 1; // Caption lines shown either side of a hit
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BOOST = 2; // A phrase match counts this much more than its words scattered around
+
+let libraryDbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("Transcript library transaction aborted."));
+    });
+}
+
+function openLibraryDb() {
+    if (!libraryDbPromise) {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('videos', { keyPath: 'videoId' });
+            db.createObjectStore('transcripts', { keyPath: 'videoId' });
+            const postings = db.createObjectStore('postings', { keyPath: ['term', 'videoId'] });
+            postings.createIndex('term', 'term');
+            postings.createIndex('videoId', 'videoId');
+        };
+        libraryDbPromise = requestToPromise(request).catch(error => {
+            libraryDbPromise = null; // Let the next call try again
+            throw error;
+        });
+    }
+    return libraryDbPromise;
+}
+
+// Lowercased words in any script (Tamil vowel signs stay attached); punctuation separates
+function tokenizeForSearch(text) {
+    return String(text).normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+// --- Indexing ---
+
+async function deleteVideoPostings(store, videoId) {
+    const keys = await requestToPromise(store.index('videoId').getAllKeys(IDBKeyRange.only(videoId)));
+    keys.forEach(key => store.delete(key));
+}
+
+// Replaces whatever was indexed for the video before. Returns false when the same track was already stored.
+async function storeTranscript(transcript) {
+    const db = await openLibraryDb();
+    const existing = await requestToPromise(db.transaction('videos').objectStore('videos').get(transcript.videoId));
+    if (existing && existing.trackId === transcript.trackId && existing.languageCode === transcript.languageCode &&
+        existing.segmentCount === transcript.segments.length) {
+        return false;
+    }
+
+    const positionsByTerm = new Map();
+    const segmentOffsets = [];
+    let position = 0;
+    transcript.segments.forEach(segment => {
+        segmentOffsets.push(position);
+        tokenizeForSearch(segment.text).forEach(term => {
+            if (!positionsByTerm.has(term)) positionsByTerm.set(term, []);
+            positionsByTerm.get(term).push(position++);
+        });
+    });
+
+    const transaction = db.transaction(['videos', 'transcripts', 'postings'], 'readwrite');
+    const postings = transaction.objectStore('postings');
+    await deleteVideoPostings(postings, transcript.videoId);
+    positionsByTerm.forEach((positions, term) => postings.put({ term: term, videoId: transcript.videoId, positions: positions }));
+    transaction.objectStore('transcripts').put({ videoId: transcript.videoId, segments: transcript.segments, segmentOffsets: segmentOffsets });
+    transaction.objectStore('videos').put({
+        videoId: transcript.videoId,
+        title: transcript.title || transcript.videoId,
+        language: transcript.language,
+        languageCode: transcript.languageCode,
+        trackId: transcript.trackId,
+        translatedFrom: transcript.translatedFrom || null,
+        savedAt: new Date().toISOString(),
+        tokenCount: position,
+        segmentCount: transcript.segments.length
+    });
+    await transactionDone(transaction);
+    return true;
+}
+
+// Called wherever a transcript is loaded; the library is a convenience, so failures are only logged
+async function addToTranscriptLibrary(transcript) {
+    try {
+        if (await storeTranscript(transcript)) console.log(`Indexed transcript for ${transcript.videoId} in the library.`);
+    } catch (error) {
+        console.error(`Failed to add transcript for ${transcript.videoId} to the library:`, error);
+    }
+}
+
+async function getTranscriptLibraryStats() {
+    const db = await openLibraryDb();
+    const videos = await requestToPromise(db.transaction('videos').objectStore('videos').getAll());
+    return {
+        videoCount: videos.length,
+        segmentCount: videos.reduce((total, v) => total + v.segmentCount, 0),
+        lastSavedAt: videos.map(v => v.savedAt).sort().pop() || null
+    };
+}
+
+async function clearTranscriptLibrary() {
+    const db = await openLibraryDb();
+    const transaction = db.transaction(['videos', 'transcripts', 'postings'], 'readwrite');
+    ['videos', 'transcripts', 'postings'].forEach(name => transaction.objectStore(name).clear());
+    await transactionDone(transaction);
+}
+
+// --- Search ---
+
+// 'climate "carbon tax" policy' -> { phrases: [['carbon', 'tax']], terms: ['climate', 'policy'] }
+// A quoted single word is just a term; an unclosed quote runs to the end of the query.
+function parseSearchQuery(query) {
+    const phrases = [];
+    const terms = [];
+    String(query).split('"').forEach((part, index) => {
+        const tokens = tokenizeForSearch(part);
+        if (index % 2 === 1 && tokens.length > 1) {
+            phrases.push(tokens);
+        } else {
+            terms.push(...tokens);
+        }
+    });
+    return { phrases: phrases, terms: [...new Set(terms)] };
+}
+
+// Start positions where the phrase's words appear one after another
+function findPhraseStarts(phrase, postingsByTerm) {
+    const [first, ...rest] = phrase.map(term => postingsByTerm.get(term)?.positions || []);
+    const restSets = rest.map(positions => new Set(positions));
+    return first.filter(start => restSets.every((positions, i) => positions.has(start + i + 1)));
+}
+
+// Index of the segment containing a token position (segmentOffsets is ascending)
+function segmentAtPosition(segmentOffsets, position) {
+    let low = 0;
+    let high = segmentOffsets.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (segmentOffsets[mid] <= position) low = mid; else high = mid - 1;
+    }
+    return low;
+}
+
+function bm25(termFrequency, documentFrequency, videoCount, tokenCount, averageTokens) {
+    const idf = Math.log(1 + (videoCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * tokenCount / averageTokens);
+    return idf * termFrequency * (BM25_K1 + 1) / (termFrequency + norm);
+}
+
+// Caption lines around a hit, with the matched words marked as [start, end) character ranges of the text
+function buildSnippet(segments, segmentIndex, matchTerms) {
+    const from = Math.max(0, segmentIndex - SNIPPET_CONTEXT_SEGMENTS);
+    const to = Math.min(segments.length - 1, segmentIndex + SNIPPET_CONTEXT_SEGMENTS);
+    const text = segments.slice(from, to + 1).map(s => s.text).filter(Boolean).join(' ');
+    const highlights = [];
+    const wordRegex = /[\p{L}\p{M}\p{N}]+/gu;
+    let match;
+    while ((match = wordRegex.exec(text)) !== null) {
+        if (matchTerms.has(match[0].normalize('NFC').toLowerCase())) highlights.push([match.index, match.index + match[0].length]);
+    }
+    return { text: text, highlights: highlights };
+}
+
+// The best few matching caption lines of one video (phrase matches first, then the lines holding the most
+// distinct query words), in video order, plus how many lines matched in all
+function collectHits(record, postingsByTerm, query, phraseStarts) {
+    const terms = [...new Set([...query.terms, ...query.phrases.flat()])];
+    const termsBySegment = new Map();
+    terms.forEach(term => {
+        (postingsByTerm.get(term)?.positions || []).forEach(position => {
+            const index = segmentAtPosition(record.segmentOffsets, position);
+            if (!termsBySegment.has(index)) termsBySegment.set(index, new Set());
+            termsBySegment.get(index).add(term);
+        });
+    });
+    const phraseSegments = new Set(phraseStarts.map(start => segmentAtPosition(record.segmentOffsets, start)));
+    const candidates = query.phrases.length > 0 ? [...phraseSegments] : [...termsBySegment.keys()];
+
+    const matchTerms = new Set(terms);
+    const hits = candidates
+        .map(index => ({ index: index, strength: (phraseSegments.has(index) ? terms.length : 0) + (termsBySegment.get(index)?.size || 0) }))
+        .sort((a, b) => b.strength - a.strength || a.index - b.index)
+        .slice(0, MAX_HITS_PER_VIDEO)
+        .sort((a, b) => a.index - b.index)
+        .map(({ index }) => ({ start: record.segments[index].start, ...buildSnippet(record.segments, index, matchTerms) }));
+    return { hits: hits, matchCount: candidates.length };
+}
+
+// Videos containing every query word and phrase, ranked by BM25 (phrase matches boosted).
+// Returns { query, totalVideos, indexedVideos, results: [{ videoId, title, language, score, matchCount, hits: [{ start, text, highlights }] }] }
+async function searchTranscripts(queryText) {
+    const query = parseSearchQuery(queryText);
+    const allTerms = [...new Set([...query.terms, ...query.phrases.flat()])];
+    if (allTerms.length === 0) throw new Error("Enter at least one word to search for.");
+
+    const db = await openLibraryDb();
+    const readTransaction = db.transaction(['videos', 'postings']);
+    const termIndex = readTransaction.objectStore('postings').index('term');
+    const [videos, ...postingLists] = await Promise.all([
+        requestToPromise(readTransaction.objectStore('videos').getAll()),
+        ...allTerms.map(term => requestToPromise(termIndex.getAll(IDBKeyRange.only(term))))
+    ]);
+    const summary = { query: queryText, totalVideos: 0, indexedVideos: videos.length, results: [] };
+    if (videos.length === 0) return summary;
+
+    // term -> Map(videoId -> posting); a video must contain every term
+    const postings = new Map(allTerms.map((term, i) => [term, new Map(postingLists[i].map(p => [p.videoId, p]))]));
+    const candidateIds = [...postings.get(allTerms[0]).keys()].filter(videoId => allTerms.every(term => postings.get(term).has(videoId)));
+    const videosById = new Map(videos.map(v => [v.videoId, v]));
+    const averageTokens = videos.reduce((total, v) => total + v.tokenCount, 0) / videos.length || 1;
+
+    const scored = [];
+    candidateIds.forEach(videoId => {
+        const video = videosById.get(videoId);
+        if (!video) return;
+        const postingsByTerm = new Map(allTerms.map(term => [term, postings.get(term).get(videoId)]));
+        const phraseStarts = query.phrases.map(phrase => findPhraseStarts(phrase, postingsByTerm));
+        if (phraseStarts.some(starts => starts.length === 0)) return;
+
+        let score = allTerms.reduce((total, term) =>
+            total + bm25(postingsByTerm.get(term).positions.length, postings.get(term).size, videos.length, video.tokenCount, averageTokens), 0);
+        phraseStarts.forEach((starts, i) => {
+            const phraseScore = query.phrases[i].reduce((total, term) =>
+                total + bm25(starts.length, postings.get(term).size, videos.length, video.tokenCount, averageTokens), 0);
+            score += PHRASE_BOOST * phraseScore;
+        });
+        scored.push({ video: video, postingsByTerm: postingsByTerm, phraseStarts: phraseStarts.flat(), score: score });
+    });
+    scored.sort((a, b) => b.score - a.score);
+    summary.totalVideos = scored.length;
+
+    const top = scored.slice(0, MAX_SEARCH_RESULTS);
+    const transcriptStore = db.transaction('transcripts').objectStore('transcripts');
+    const records = await Promise.all(top.map(entry => requestToPromise(transcriptStore.get(entry.video.videoId))));
+    summary.results = top.map((entry, i) => {
+        const { hits, matchCount } = records[i] ? collectHits(records[i], entry.postingsByTerm, query, entry.phraseStarts) : { hits: [], matchCount: 0 };
+        return {
+            videoId: entry.video.videoId,
+            title: entry.video.title,
+            language: entry.video.language,
+            score: Math.round(entry.score * 100) / 100,
+            matchCount: matchCount,
+            hits: hits
+        };
+    });
+    return summary;
+}
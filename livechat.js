@@ -0,0 +1,349 @@
+// --- Live Chat Analysis ---
+// For live streams and premieres, where the conversation happens in live chat rather than comments.
+// Messages come from one of three sources, all feeding the same analyzer:
+//   api     - liveChatMessages.list, using the activeLiveChatId from videos.list (5 quota units per poll)
+//   page    - content.js watching the chat panel iframe on the watch page (no API key needed)
+//   fixture - a recorded liveChatMessages.list session from fixtures/, replayed with its original timing
+// Messages are scored with the local lexicon (lexicon.js): chat moves too fast to send to a model.
+// The analyzer works on message timestamps only, so a replayed fixture gives the same numbers every run.
+// `node fixtures/check-live-chat.js` runs the sample recording through it and checks the spikes it finds.
+
+const LIVE_CHAT_WINDOW_MS = 60 * 1000; // Rolling window for the sentiment gauge and trending terms
+const LIVE_CHAT_HISTORY_MS = 10 * 60 * 1000; // Messages kept for rate history and as the trending baseline
+const LIVE_CHAT_BUCKET_MS = 10 * 1000; // Message rate resolution
+const LIVE_CHAT_UPDATE_MS = 2000; // How often the popup gets a fresh snapshot
+const LIVE_CHAT_PROGRESS_EVERY = 5; // Snapshots between job progress messages
+const LIVE_CHAT_MIN_POLL_MS = 2000; // Floor under the API's pollingIntervalMillis
+const LIVE_CHAT_REPLAY_SPEED = 4; // Fixtures replay this many times faster than recorded
+const LIVE_CHAT_REPLAY_MAX_GAP_MS = 3000; // Long silences in a recording are shortened to this
+const LIVE_CHAT_FIXTURE_PATH = 'fixtures/live-chat-sample.json';
+const SPIKE_BASELINE_BUCKETS = 6; // Buckets before a bucket that form its baseline
+const SPIKE_MIN_MESSAGES = 8; // A bucket needs at least this many messages to count as a spike
+const SPIKE_Z_SCORE = 3;
+const MAX_RECORDED_SPIKES = 10;
+const TRENDING_MIN_COUNT = 3; // Messages in the window that must use a term
+const MAX_TRENDING_TERMS = 8;
+const RECENT_CHAT_MESSAGES = 6;
+
+const LIVE_CHAT_SOURCES = {
+    api: 'YouTube API',
+    page: 'Chat panel on the page',
+    fixture: 'Recorded sample'
+};
+
+// Too common to say anything about what chat is talking about
+const CHAT_STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'is', 'are', 'was', 'be', 'to', 'of', 'in', 'on', 'at', 'for', 'it',
+    'this', 'that', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'my', 'your', 'so', 'just', 'im', 'its', 'do', 'not', 'no', 'yes',
+    'with', 'what', 'who', 'how', 'have', 'has', 'from', 'all', 'but', 'u', 'ur', 'can', 'will', 'if', 'lol', 'hi', 'hello',
+    'bro', 'da', 'di', 'na', 'than', 'then', 'there', 'here', 'up', 'out', 'now', 'one', 'like', 'very', 'again', 'too',
+    'ஒரு', 'இது', 'அது', 'நான்', 'நீ', 'என்', 'உன்', 'இந்த', 'அந்த', 'தான்', 'எல்லாம்', 'enna', 'intha', 'antha', 'naan', 'nee', 'dhan']);
+
+// liveChatMessages.list item -> { id, author, text, time }; events without text (memberships, polls...) are skipped
+function mapLiveChatItem(item) {
+    const snippet = item?.snippet || {};
+    const text = snippet.textMessageDetails?.messageText || snippet.superChatDetails?.userComment || snippet.displayMessage || '';
+    const time = Date.parse(snippet.publishedAt);
+    if (!text.trim() || !Number.isFinite(time)) return null;
+    return {
+        id: item.id,
+        author: item.authorDetails?.displayName || '',
+        text: text,
+        time: time
+    };
+}
+
+function chatTerms(text) {
+    const terms = tokenizeForSentiment(text)
+        .map(t => t.token)
+        .filter(term => !CHAT_STOPWORDS.has(term) && !/^\d+$/.test(term) && (term.length > 1 || /\p{Extended_Pictographic}/u.test(term)));
+    return [...new Set(terms)];
+}
+
+function countTerms(messages) {
+    const counts = new Map();
+    messages.forEach(m => m.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1)));
+    return counts;
+}
+
+// Rolling-window analysis of a chat. addMessages() takes { id, author, text, time } in any order (duplicates
+// are dropped); snapshot() describes the chat as of its latest message.
+function createLiveChatAnalyzer() {
+    const messages = []; // Sorted by time, trimmed to LIVE_CHAT_HISTORY_MS
+    const seenIds = new Set();
+    const spikes = new Map(); // bucket start -> spike, kept after its messages are trimmed
+    let totalMessages = 0;
+    let firstTime = null;
+    const totals = { positive: 0, negative: 0, neutral: 0 };
+
+    function addMessages(batch) {
+        batch.forEach(message => {
+            if (message.id) {
+                if (seenIds.has(message.id)) return;
+                seenIds.add(message.id);
+            }
+            const { sentiment, score } = scoreSentiment(message.text);
+            const entry = { ...message, sentiment: sentiment, score: score, terms: chatTerms(message.text) };
+            let index = messages.length;
+            while (index > 0 && messages[index - 1].time > entry.time) index--;
+            messages.splice(index, 0, entry);
+            totalMessages++;
+            totals[sentiment]++;
+            firstTime = firstTime === null ? entry.time : Math.min(firstTime, entry.time);
+        });
+        const latest = messages.length > 0 ? messages[messages.length - 1].time : 0;
+        while (messages.length > 0 && messages[0].time < latest - LIVE_CHAT_HISTORY_MS) messages.shift();
+    }
+
+    function rateBuckets(now) {
+        const first = Math.floor(Math.max(firstTime, now - LIVE_CHAT_HISTORY_MS) / LIVE_CHAT_BUCKET_MS) * LIVE_CHAT_BUCKET_MS;
+        const buckets = [];
+        for (let start = first; start <= now; start += LIVE_CHAT_BUCKET_MS) {
+            buckets.push({ start: start, count: 0, positive: 0, negative: 0, neutral: 0, messages: [] });
+        }
+        messages.forEach(m => {
+            const bucket = buckets[Math.floor((m.time - first) / LIVE_CHAT_BUCKET_MS)];
+            if (!bucket) return;
+            bucket.count++;
+            bucket[m.sentiment]++;
+            bucket.messages.push(m);
+        });
+        return buckets;
+    }
+
+    // A finished bucket is a spike when it is well above the buckets just before it
+    function recordSpikes(buckets, now) {
+        buckets.forEach((bucket, i) => {
+            if (i < SPIKE_BASELINE_BUCKETS || bucket.start + LIVE_CHAT_BUCKET_MS > now || spikes.has(bucket.start)) return;
+            const baseline = buckets.slice(i - SPIKE_BASELINE_BUCKETS, i).map(b => b.count);
+            const mean = baseline.reduce((a, b) => a + b, 0) / baseline.length;
+            const deviation = Math.sqrt(baseline.reduce((total, count) => total + (count - mean) ** 2, 0) / baseline.length);
+            if (bucket.count < SPIKE_MIN_MESSAGES || bucket.count < mean + SPIKE_Z_SCORE * Math.max(deviation, 1)) return;
+            const terms = [...countTerms(bucket.messages).entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([term]) => term);
+            spikes.set(bucket.start, { start: new Date(bucket.start).toISOString(), count: bucket.count, baseline: Math.round(mean * 10) / 10, terms: terms });
+        });
+        [...spikes.keys()].sort((a, b) => a - b).slice(0, -MAX_RECORDED_SPIKES).forEach(start => spikes.delete(start));
+    }
+
+    // Terms used far more in the last window than over the history before it
+    function trendingTerms(windowMessages, now) {
+        const recent = countTerms(windowMessages);
+        const earlier = messages.filter(m => m.time <= now - LIVE_CHAT_WINDOW_MS);
+        const baseline = countTerms(earlier);
+        const baselineSpan = earlier.length > 0 ? Math.max(now - LIVE_CHAT_WINDOW_MS - earlier[0].time, LIVE_CHAT_WINDOW_MS) : LIVE_CHAT_WINDOW_MS;
+        return [...recent.entries()]
+            .filter(([, count]) => count >= TRENDING_MIN_COUNT)
+            .map(([term, count]) => {
+                const expected = (baseline.get(term) || 0) * LIVE_CHAT_WINDOW_MS / baselineSpan;
+                return { term: term, count: count, lift: Math.round(count / (expected + 1) * 10) / 10, trend: (count - expected) / Math.sqrt(expected + 1) };
+            })
+            .sort((a, b) => b.trend - a.trend)
+            .slice(0, MAX_TRENDING_TERMS)
+            .map(({ trend, ...term }) => term);
+    }
+
+    function snapshot() {
+        if (messages.length === 0) return { totalMessages: 0, messagesPerMinute: 0, gauge: null, rate: { bucketMs: LIVE_CHAT_BUCKET_MS, buckets: [] }, spikes: [], trendingTerms: [], recentMessages: [], totals: { ...totals } };
+        const now = messages[messages.length - 1].time;
+        const windowMessages = messages.filter(m => m.time > now - LIVE_CHAT_WINDOW_MS);
+        const counts = { positive: 0, negative: 0, neutral: 0 };
+        windowMessages.forEach(m => counts[m.sentiment]++);
+        // Messages without a single sentiment word would drag every reading towards neutral
+        const scored = windowMessages.filter(m => m.score !== 0);
+        const buckets = rateBuckets(now);
+        recordSpikes(buckets, now);
+        const windowSpan = Math.min(LIVE_CHAT_WINDOW_MS, Math.max(now - firstTime, LIVE_CHAT_BUCKET_MS));
+
+        return {
+            latestAt: new Date(now).toISOString(),
+            startedAt: new Date(firstTime).toISOString(),
+            totalMessages: totalMessages,
+            totals: { ...totals },
+            messagesPerMinute: Math.round(windowMessages.length * 60000 / windowSpan),
+            gauge: {
+                score: scored.length > 0 ? Math.round(scored.reduce((total, m) => total + m.score, 0) / scored.length * 100) / 100 : 0,
+                windowMs: LIVE_CHAT_WINDOW_MS,
+                messages: windowMessages.length,
+                ...counts
+            },
+            rate: { bucketMs: LIVE_CHAT_BUCKET_MS, buckets: buckets.map(({ messages: bucketMessages, ...bucket }) => ({ ...bucket, start: new Date(bucket.start).toISOString() })) },
+            spikes: [...spikes.values()].reverse(),
+            trendingTerms: trendingTerms(windowMessages, now),
+            recentMessages: messages.slice(-RECENT_CHAT_MESSAGES).reverse().map(m => ({ author: m.author, text: m.text, sentiment: m.sentiment }))
+        };
+    }
+
+    return { addMessages, snapshot };
+}
+
+// --- Sources ---
+
+async function fetchActiveLiveChatId(videoId, youtubeKey, signal = null) {
+    const url = `https://www.googleapis.com/youtube/v3/videos?part=liveStreamingDetails&id=${videoId}&key=${youtubeKey}`;
+    const response = await scheduledFetch(url, {}, { pool: 'youtube', signal: signal });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(`API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items?.[0]?.liveStreamingDetails?.activeLiveChatId || null;
+}
+
+// Poll until the chat ends or the job is stopped, at the interval the API asks for
+async function pollLiveChatApi(liveChatId, youtubeKey, onMessages, signal) {
+    let pageToken = null;
+    for (;;) {
+        const url = `https://www.googleapis.com/youtube/v3/liveChat/messages?liveChatId=${encodeURIComponent(liveChatId)}&part=snippet,authorDetails&maxResults=2000&key=${youtubeKey}${pageToken ? `&pageToken=${pageToken}` : ''}`;
+        const response = await scheduledFetch(url, {}, { pool: 'youtube', signal: signal });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => null);
+            const reason = errorData?.error?.errors?.[0]?.reason;
+            if (reason === 'liveChatEnded' || reason === 'liveChatNotFound') return;
+            throw new Error(`API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+        }
+        const data = await response.json();
+        onMessages((data.items || []).map(mapLiveChatItem).filter(Boolean));
+        if (data.offlineAt) return; // The broadcast is over
+        pageToken = data.nextPageToken;
+        await sleepUnlessAborted(Math.max(data.pollingIntervalMillis || 0, LIVE_CHAT_MIN_POLL_MS), signal);
+    }
+}
+
+// Rejects with the usual stopped error once the job is stopped
+function untilAborted(signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(stoppedError());
+        signal.addEventListener('abort', () => reject(stoppedError()), { once: true });
+    });
+}
+
+const liveChatReceivers = new Map(); // jobId -> { onMessages, end }, for messages sent by content.js
+
+// Runs until the job is stopped or content.js reports that the chat went away
+async function observePageLiveChat(job, onMessages) {
+    let end;
+    const ended = new Promise(resolve => { end = resolve; });
+    liveChatReceivers.set(job.id, { onMessages: onMessages, end: end });
+    try {
+        const response = await sendToContentScript(job.tabId, { action: "observeLiveChat", jobId: job.id });
+        if (!response?.success) throw new Error(response?.error || "The page did not start reading the chat.");
+        await Promise.race([ended, untilAborted(job.signal)]);
+    } finally {
+        liveChatReceivers.delete(job.id);
+        chrome.tabs.sendMessage(job.tabId, { action: "stopObservingLiveChat", jobId: job.id }).catch(() => {/* Tab closed */ });
+    }
+}
+
+// Recorded sessions are a list of liveChatMessages.list responses: { videoId, recordedAt, pages: [{ items }] }.
+// Returns the recording's messages in time order.
+function liveChatFixtureMessages(fixture) {
+    return (fixture.pages || []).flatMap(page => page.items || []).map(mapLiveChatItem).filter(Boolean).sort((a, b) => a.time - b.time);
+}
+
+async function loadLiveChatFixture(path, signal) {
+    const response = await fetch(chrome.runtime.getURL(path), { signal: signal });
+    if (!response.ok) throw new Error(`Could not load the recorded chat ${path} (${response.status}).`);
+    return response.json();
+}
+
+async function replayLiveChatMessages(messages, onMessages, signal) {
+    for (let i = 0; i < messages.length; i++) {
+        const gap = i > 0 ? messages[i].time - messages[i - 1].time : 0;
+        if (gap > 0) await sleepUnlessAborted(Math.min(gap, LIVE_CHAT_REPLAY_MAX_GAP_MS) / LIVE_CHAT_REPLAY_SPEED, signal);
+        onMessages([messages[i]]);
+    }
+}
+
+// Only files shipped in fixtures/ can be replayed
+function resolveFixturePath(fixture) {
+    if (!fixture) return LIVE_CHAT_FIXTURE_PATH;
+    if (!/^fixtures\/[\w-]+\.json$/.test(fixture)) throw new Error(`Not a recorded chat fixture: ${fixture}`);
+    return fixture;
+}
+
+// --- Job ---
+
+const latestLiveChat = new Map(); // tabId -> { jobId, snapshot }, so a reopened popup can show the gauge right away
+
+function describeMood(score) {
+    if (score >= 0.2) return 'positive';
+    if (score <= -0.2) return 'negative';
+    return 'mixed';
+}
+
+// options: { source: 'auto' | 'api' | 'page' | 'fixture', fixture }. 'auto' uses the API when there is a key
+// and an active chat, else the chat panel. Snapshots stream to the popup as "liveChatUpdate"; the final one
+// is returned when the chat ends or the job is stopped.
+async function analyzeLiveChat(videoId, options, job) {
+    const analyzer = createLiveChatAnalyzer();
+    let source = options.source || 'auto';
+    let pending = false;
+    let published = 0;
+    // A replayed recording is about its own video, not the one open in the tab, and is kept out of reports
+    let chatVideoId = videoId;
+
+    const describe = snapshot => ({ ...snapshot, videoId: chatVideoId, source: LIVE_CHAT_SOURCES[source] || source, sample: source === 'fixture' });
+    const publish = () => {
+        if (!pending) return;
+        pending = false;
+        const snapshot = describe(analyzer.snapshot());
+        latestLiveChat.set(job.tabId, { jobId: job.id, snapshot: snapshot });
+        sendDataToPopup("liveChatUpdate", snapshot, null, job);
+        if (++published % LIVE_CHAT_PROGRESS_EVERY === 1) {
+            reportProgress(job, `Live chat: ${snapshot.totalMessages} messages, ${snapshot.messagesPerMinute}/min, mood ${describeMood(snapshot.gauge.score)}.`);
+        }
+    };
+    const onMessages = batch => {
+        if (batch.length === 0) return;
+        analyzer.addMessages(batch);
+        pending = true;
+    };
+    const timer = setInterval(publish, LIVE_CHAT_UPDATE_MS);
+
+    try {
+        if (source === 'fixture') {
+            reportProgress(job, "Replaying a recorded live chat...");
+            const fixture = await loadLiveChatFixture(resolveFixturePath(options.fixture), job.signal);
+            chatVideoId = fixture.videoId || null;
+            await replayLiveChatMessages(liveChatFixtureMessages(fixture), onMessages, job.signal);
+        } else {
+            const { youtubeKey } = await loadAPIKeys();
+            if (source === 'api' && !youtubeKey) throw new Error("YouTube API Key not set in options.");
+            const liveChatId = source !== 'page' && youtubeKey ? await fetchActiveLiveChatId(videoId, youtubeKey, job.signal) : null;
+            if (source === 'api' && !liveChatId) throw new Error("This video has no active live chat (it is not live, or chat is turned off).");
+
+            if (liveChatId) {
+                source = 'api';
+                reportProgress(job, "Reading live chat through the YouTube API...");
+                await pollLiveChatApi(liveChatId, youtubeKey, onMessages, job.signal);
+            } else {
+                source = 'page';
+                reportProgress(job, "Reading live chat from the chat panel on the page...");
+                await observePageLiveChat(job, onMessages);
+            }
+        }
+    } catch (error) {
+        if (!isAbortError(error)) throw error; // Stopped: the chat so far is the result
+    } finally {
+        clearInterval(timer);
+    }
+
+    const result = { ...describe(analyzer.snapshot()), stopped: !!job.signal.aborted };
+    latestLiveChat.set(job.tabId, { jobId: job.id, snapshot: result });
+    reportProgress(job, `Live chat ${result.stopped ? 'stopped' : 'ended'}: ${result.totalMessages} messages analyzed.`);
+    return result;
+}
+
+function getLatestLiveChat(tabId) {
+    return latestLiveChat.get(tabId) || null;
+}
+
+// Messages and end-of-chat notices from the observer in content.js; answers whether the job still wants them
+function receiveLiveChatMessages(jobId, messages, ended = false) {
+    const receiver = liveChatReceivers.get(jobId);
+    if (!receiver) return false;
+    if (Array.isArray(messages)) receiver.onMessages(messages.filter(m => typeof m?.text === 'string' && Number.isFinite(m.time)));
+    if (ended) receiver.end();
+    return !ended;
+}
+
+chrome.tabs.onRemoved.addListener(tabId => latestLiveChat.delete(tabId));
@@ -0,0 +1,214 @@
+// --- LLM Providers ---
+// Every feature talks to the model through a provider object, so the same prompts run against Gemini
+// or any OpenAI-compatible chat completions server (Ollama, llama.cpp, LM Studio, vLLM, a test stub...).
+// Adapters only know how to send a prompt and pull the text out of the reply (requests go through
+// scheduledFetch, which handles concurrency, retries and cancellation); createLLMClient() adds
+// the structured-output pipeline on top: parse, validate against the feature's schema,
+// and re-prompt with the problems found.
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+const LLM_REQUEST_TIMEOUT_MS = 180000; // Local models on modest hardware can take a while
+const LLM_MAX_REPAIR_ATTEMPTS = 2; // Re-prompts when a reply doesn't parse or match its schema
+const LLM_MAX_REPORTED_PROBLEMS = 10;
+
+async function postLLMRequest(url, headers, body, label, signal) {
+    const response = await scheduledFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    }, { pool: 'llm', signal: signal, timeoutMs: LLM_REQUEST_TIMEOUT_MS });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`${label} API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    return response.json();
+}
+
+// Models occasionally wrap JSON in a markdown fence or add a sentence around it despite JSON mode
+function parseModelJSON(text) {
+    const trimmed = text.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        const start = trimmed.search(/[[{]/);
+        const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+        if (start === -1 || end <= start) throw new Error("Model response was not valid JSON.");
+        try {
+            return JSON.parse(trimmed.slice(start, end + 1));
+        } catch (innerError) {
+            throw new Error("Model response was not valid JSON.");
+        }
+    }
+}
+
+// --- Schema Validation ---
+// A small JSON Schema subset, enough to describe every feature's reply:
+// type (object/array/string/number/integer/boolean), properties, required, items, enum, minimum, maximum.
+
+function describeJSONType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function validateSchema(value, schema, path = '$', problems = []) {
+    if (problems.length >= LLM_MAX_REPORTED_PROBLEMS) return problems;
+    const actual = describeJSONType(value);
+    const typeMatches = schema.type === 'integer' ? Number.isInteger(value)
+        : schema.type === 'number' ? actual === 'number' && Number.isFinite(value)
+            : actual === schema.type;
+    if (!typeMatches) {
+        problems.push(`${path} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type} but is ${actual}`);
+        return problems;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${path} should be one of ${JSON.stringify(schema.enum)} but is ${JSON.stringify(value)}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} should be at most ${schema.maximum}`);
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) problems.push(`${path}.${key} is missing`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) validateSchema(value[key], propertySchema, `${path}.${key}`, problems);
+        });
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, problems));
+    }
+    return problems.slice(0, LLM_MAX_REPORTED_PROBLEMS);
+}
+
+// Items of a rejected array reply that are fine on their own, so one bad element doesn't sink a whole batch
+function salvageValidItems(value, itemSchema) {
+    if (!Array.isArray(value)) return [];
+    return value.filter(item => validateSchema(item, itemSchema).length === 0);
+}
+
+// For batch prompts: every input ID must come back exactly once, and no invented ones
+function checkReturnedIds(results, expectedIds, idKey = 'id') {
+    if (!Array.isArray(results)) return [];
+    const expected = new Set(expectedIds.map(String));
+    const seen = new Set();
+    const problems = [];
+    results.forEach(result => {
+        const id = String(result?.[idKey]);
+        if (!expected.has(id)) problems.push(`"${idKey}" ${JSON.stringify(result?.[idKey])} is not one of the input IDs`);
+        else if (seen.has(id)) problems.push(`"${idKey}" ${id} appears more than once`);
+        seen.add(id);
+    });
+    const missing = [...expected].filter(id => !seen.has(id));
+    if (missing.length > 0) problems.push(`missing results for "${idKey}" ${missing.slice(0, 20).join(', ')}`);
+    return problems.slice(0, LLM_MAX_REPORTED_PROBLEMS);
+}
+
+function buildRepairPrompt(promptText, replyText, problems) {
+    return `${promptText}
+
+Your previous reply was rejected because it did not match the required format:
+- ${problems.join('\n- ')}
+
+Previous reply:
+${replyText.slice(0, 4000)}
+
+Respond again with ONLY the corrected JSON, covering every input.`;
+}
+
+// --- Adapters ---
+
+// The key goes in a header rather than the query string so it doesn't end up in logs
+function createGeminiAdapter(apiKey, signal = null) {
+    return {
+        id: 'gemini',
+        label: 'Gemini',
+        async complete(model, promptText, json) {
+            const body = { contents: [{ parts: [{ text: promptText }] }] };
+            if (json) body.generationConfig = { responseMimeType: 'application/json' };
+            const result = await postLLMRequest(`${GEMINI_API_BASE}/models/${encodeURIComponent(model)}:generateContent`, { 'x-goog-api-key': apiKey }, body, 'Gemini', signal);
+            const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) throw new Error("Gemini returned no content.");
+            return text;
+        }
+    };
+}
+
+// A fixed model (local servers usually serve one) overrides the per-feature model names.
+// response_format is not sent: "json_object" only allows objects and several prompts ask for arrays.
+function createOpenAICompatibleAdapter(baseUrl, apiKey = '', fixedModel = '', signal = null) {
+    return {
+        id: 'openai',
+        label: fixedModel || 'OpenAI-compatible model',
+        async complete(model, promptText) {
+            const body = {
+                model: fixedModel || model,
+                messages: [{ role: 'user', content: promptText }],
+                temperature: 0.2,
+                stream: false
+            };
+            const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+            const result = await postLLMRequest(`${baseUrl}/chat/completions`, headers, body, 'LLM server', signal);
+            const text = result?.choices?.[0]?.message?.content;
+            if (!text) throw new Error("LLM server returned no content.");
+            return text;
+        }
+    };
+}
+
+// --- Client ---
+
+function createLLMClient(adapter) {
+    // Parse + validate, re-prompting with the problems found. options.validate(value) can add
+    // feature-specific checks (e.g. checkReturnedIds). If every attempt fails, the thrown error carries
+    // the last parsed reply as error.partial so callers can salvage what is usable.
+    async function generateStructured(model, promptText, schema, options = {}) {
+        let prompt = promptText;
+        let partial;
+        let problems = [];
+        for (let attempt = 0; attempt <= LLM_MAX_REPAIR_ATTEMPTS; attempt++) {
+            const replyText = await adapter.complete(model, prompt, true);
+            try {
+                partial = parseModelJSON(replyText);
+                problems = validateSchema(partial, schema);
+                if (problems.length === 0 && options.validate) problems = options.validate(partial) || [];
+            } catch (error) {
+                problems = [error.message];
+            }
+            if (problems.length === 0) return partial;
+            console.warn(`${adapter.label} reply rejected (attempt ${attempt + 1}):`, problems);
+            prompt = buildRepairPrompt(promptText, replyText, problems);
+        }
+        const error = new Error(`Model reply did not match the expected format: ${problems.slice(0, 3).join('; ')}`);
+        error.partial = partial;
+        error.problems = problems;
+        throw error;
+    }
+
+    return {
+        id: adapter.id,
+        label: adapter.label,
+        generateText: (model, promptText) => adapter.complete(model, promptText, false),
+        generateStructured: generateStructured
+    };
+}
+
+// The provider and model that answer for a feature (an OpenAI-compatible server's own model setting wins).
+// Part of the cache params of model-backed analyses, so switching either one doesn't reuse the old results.
+function modelCacheParams(settings, model) {
+    if (settings.llmProvider === 'openai') {
+        return { provider: 'openai', server: settings.openaiBaseUrl, model: settings.openaiModel || model };
+    }
+    return { provider: settings.llmProvider, model: model };
+}
+
+// Build the client for the provider chosen in options; throws if it isn't configured.
+// options.signal cancels every request made through the client.
+async function getLLMProvider(options = {}) {
+    const settings = await loadSettings();
+    if (settings.llmProvider === 'openai') {
+        if (!settings.openaiBaseUrl) throw new Error("LLM server URL not set in options.");
+        return createLLMClient(createOpenAICompatibleAdapter(settings.openaiBaseUrl, settings.openaiApiKey, settings.openaiModel, options.signal));
+    }
+    if (!settings.geminiApiKey) throw new Error("Gemini API Key not set in options.");
+    return createLLMClient(createGeminiAdapter(settings.geminiApiKey, options.signal));
+}
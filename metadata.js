@@ -0,0 +1,149 @@
+// --- Video Metadata ---
+// Title, channel, publish date, counts, tags, category and description for a video, from videos.list and
+// channels.list when a YouTube key is set (2 quota units), else from the videoDetails/microformat already
+// present in the watch page's ytInitialPlayerResponse. Shown as the popup's context panel and fed into
+// the summary, fact-check and comment prompts so the model knows who is speaking and when.
+
+const METADATA_TTL_MS = 30 * 60 * 1000; // Counts change, but not enough to matter within a session
+const METADATA_PROMPT_TAGS = 10;
+const METADATA_PROMPT_DESCRIPTION_CHARS = 600;
+
+// Standard YouTube category IDs; videos.list only returns the ID
+const YOUTUBE_CATEGORIES = {
+    1: 'Film & Animation', 2: 'Autos & Vehicles', 10: 'Music', 15: 'Pets & Animals', 17: 'Sports',
+    19: 'Travel & Events', 20: 'Gaming', 22: 'People & Blogs', 23: 'Comedy', 24: 'Entertainment',
+    25: 'News & Politics', 26: 'Howto & Style', 27: 'Education', 28: 'Science & Technology', 29: 'Nonprofits & Activism'
+};
+
+const videoMetadataCache = new Map(); // videoId -> { promise, fetchedAt }
+
+function toCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isFinite(count) ? count : null; // Hidden counts (likes, subscribers) stay null
+}
+
+// ISO 8601 duration (PT1H2M3S) to seconds
+function parseISODuration(duration) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(duration || '');
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(part => parseInt(part || '0', 10));
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+async function fetchMetadataFromAPI(videoId, youtubeKey, signal = null) {
+    const videoUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet,statistics,contentDetails&id=${encodeURIComponent(videoId)}&key=${youtubeKey}`;
+    const video = (await fetchYouTubeJSON(videoUrl, signal)).items?.[0];
+    if (!video) throw new Error("Video not found via API.");
+
+    const channelUrl = `https://www.googleapis.com/youtube/v3/channels?part=snippet,statistics&id=${encodeURIComponent(video.snippet.channelId)}&key=${youtubeKey}`;
+    const channel = (await fetchYouTubeJSON(channelUrl, signal)).items?.[0];
+
+    return {
+        videoId: videoId,
+        title: video.snippet.title,
+        description: video.snippet.description || '',
+        publishedAt: video.snippet.publishedAt,
+        tags: video.snippet.tags || [],
+        category: YOUTUBE_CATEGORIES[video.snippet.categoryId] || null,
+        duration: parseISODuration(video.contentDetails?.duration),
+        viewCount: toCount(video.statistics?.viewCount),
+        likeCount: toCount(video.statistics?.likeCount),
+        commentCount: toCount(video.statistics?.commentCount),
+        channel: {
+            id: video.snippet.channelId,
+            title: video.snippet.channelTitle,
+            handle: channel?.snippet?.customUrl || null,
+            description: channel?.snippet?.description || '',
+            country: channel?.snippet?.country || null,
+            createdAt: channel?.snippet?.publishedAt || null,
+            subscriberCount: channel?.statistics?.hiddenSubscriberCount ? null : toCount(channel?.statistics?.subscriberCount),
+            videoCount: toCount(channel?.statistics?.videoCount)
+        },
+        source: 'api'
+    };
+}
+
+// The watch page has no like/comment counts or channel statistics
+async function fetchMetadataFromPage(videoId, signal = null) {
+    const playerResponse = await fetchPlayerResponse(videoId, signal);
+    const details = playerResponse?.videoDetails;
+    if (!details) throw new Error("No video details found in page data.");
+    const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+
+    return {
+        videoId: videoId,
+        title: details.title,
+        description: details.shortDescription || '',
+        publishedAt: microformat.publishDate || microformat.uploadDate || null,
+        tags: details.keywords || [],
+        category: microformat.category || null,
+        duration: toCount(details.lengthSeconds),
+        viewCount: toCount(details.viewCount),
+        likeCount: null,
+        commentCount: null,
+        channel: {
+            id: details.channelId,
+            title: details.author,
+            handle: null,
+            description: '',
+            country: null,
+            createdAt: null,
+            subscriberCount: null,
+            videoCount: null
+        },
+        source: 'page'
+    };
+}
+
+// Shared by every feature in a run; throws only on abort or when neither source works. The shared fetch runs
+// without any one job's signal, so stopping a job only stops that job's wait for it.
+async function fetchVideoMetadata(videoId, signal = null) {
+    const cached = videoMetadataCache.get(videoId);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) return unlessAborted(cached.promise, signal);
+
+    const promise = (async () => {
+        const { youtubeApiKey } = await loadSettings();
+        if (youtubeApiKey) {
+            try {
+                return await fetchMetadataFromAPI(videoId, youtubeApiKey);
+            } catch (error) {
+                console.warn("Video metadata via API failed, using page data:", error);
+            }
+        }
+        return fetchMetadataFromPage(videoId);
+    })();
+    const entry = { promise: promise, fetchedAt: Date.now() };
+    videoMetadataCache.set(videoId, entry);
+    promise.catch(() => {
+        if (videoMetadataCache.get(videoId) === entry) videoMetadataCache.delete(videoId); // Try again next time
+    });
+    return unlessAborted(promise, signal);
+}
+
+// For prompts: metadata is nice to have, so a failure just means the prompt goes without it
+async function loadVideoMetadata(videoId, signal = null) {
+    try {
+        return await fetchVideoMetadata(videoId, signal);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error("Could not load video metadata:", error);
+        return null;
+    }
+}
+
+// A short "who and when" block for prompts; empty when there is no metadata
+function formatMetadataForPrompt(metadata) {
+    if (!metadata) return '';
+    const channel = metadata.channel;
+    const subscribers = channel.subscriberCount !== null ? `, ${channel.subscriberCount.toLocaleString('en-US')} subscribers` : '';
+    const lines = [
+        `Title: ${metadata.title}`,
+        `Channel: ${channel.title}${channel.handle ? ` (${channel.handle})` : ''}${subscribers}`,
+        metadata.publishedAt ? `Published: ${metadata.publishedAt.slice(0, 10)}` : null,
+        metadata.category ? `Category: ${metadata.category}` : null,
+        metadata.viewCount !== null ? `Views: ${metadata.viewCount.toLocaleString('en-US')}` : null,
+        metadata.tags.length > 0 ? `Tags: ${metadata.tags.slice(0, METADATA_PROMPT_TAGS).join(', ')}` : null,
+        metadata.description ? `Description: ${metadata.description.slice(0, METADATA_PROMPT_DESCRIPTION_CHARS).replace(/\s+/g, ' ')}` : null
+    ];
+    return `About the video (use this to know who is speaking and when):\n${lines.filter(Boolean).join('\n')}`;
+}
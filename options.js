@@ -0,0 +1,308 @@
+const settingsForm = document.getElementById('settingsForm');
+const youtubeKeyInput = document.getElementById('youtubeApiKey');
+const geminiKeyInput = document.getElementById('geminiApiKey');
+const llmProviderSelect = document.getElementById('llmProvider');
+const openaiSettingsDiv = document.getElementById('openaiSettings');
+const openaiBaseUrlInput = document.getElementById('openaiBaseUrl');
+const openaiApiKeyInput = document.getElementById('openaiApiKey');
+const openaiModelInput = document.getElementById('openaiModel');
+const openaiModelsList = document.getElementById('openaiModels');
+const testOpenaiBtn = document.getElementById('testOpenaiBtn');
+const openaiStatus = document.getElementById('openaiStatus');
+const sentimentEngineSelect = document.getElementById('sentimentEngine');
+const sentimentModelInput = document.getElementById('sentimentModel');
+const factCheckModelInput = document.getElementById('factCheckModel');
+const translationModelInput = document.getElementById('translationModel');
+const summaryModelInput = document.getElementById('summaryModel');
+const chatModelInput = document.getElementById('chatModel');
+const langPrefsInput = document.getElementById('langPrefs');
+const commentMaxResultsInput = document.getElementById('commentMaxResults');
+const playlistMaxVideosInput = document.getElementById('playlistMaxVideos');
+const youtubeDailyQuotaInput = document.getElementById('youtubeDailyQuota');
+const cacheTtlHoursInput = document.getElementById('cacheTtlHours');
+const evidenceSearchUrlInput = document.getElementById('evidenceSearchUrl');
+const showKeysCheckbox = document.getElementById('showKeys');
+const testYoutubeKeyBtn = document.getElementById('testYoutubeKeyBtn');
+const testGeminiKeyBtn = document.getElementById('testGeminiKeyBtn');
+const youtubeKeyStatus = document.getElementById('youtubeKeyStatus');
+const geminiKeyStatus = document.getElementById('geminiKeyStatus');
+const geminiModelsList = document.getElementById('geminiModels');
+const resetBtn = document.getElementById('resetBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFile');
+const statusDiv = document.getElementById('status');
+
+const SETTINGS_EXPORT_FORMAT = 'youtube-context-analyzer-settings';
+
+function updateStatus(message, isError = false) {
+    statusDiv.textContent = message;
+    statusDiv.style.color = isError ? 'red' : '#333';
+    console.log("Options status:", message);
+}
+
+function setKeyStatus(element, message, state) {
+    element.textContent = message;
+    element.className = `key-status ${state || ''}`.trim();
+}
+
+// --- Form <-> Settings ---
+
+function fillForm(settings) {
+    youtubeKeyInput.value = settings.youtubeApiKey;
+    geminiKeyInput.value = settings.geminiApiKey;
+    llmProviderSelect.value = settings.llmProvider;
+    openaiBaseUrlInput.value = settings.openaiBaseUrl;
+    openaiApiKeyInput.value = settings.openaiApiKey;
+    openaiModelInput.value = settings.openaiModel;
+    toggleProviderSettings();
+    sentimentEngineSelect.value = settings.sentimentEngine;
+    sentimentModelInput.value = settings.sentimentModel;
+    factCheckModelInput.value = settings.factCheckModel;
+    translationModelInput.value = settings.translationModel;
+    summaryModelInput.value = settings.summaryModel;
+    chatModelInput.value = settings.chatModel;
+    langPrefsInput.value = settings.langPrefs.join(', ');
+    commentMaxResultsInput.value = settings.commentMaxResults;
+    playlistMaxVideosInput.value = settings.playlistMaxVideos;
+    youtubeDailyQuotaInput.value = settings.youtubeDailyQuota;
+    evidenceSearchUrlInput.value = settings.evidenceSearchUrl;
+    cacheTtlHoursInput.value = settings.cacheTtlHours;
+}
+
+function readForm() {
+    return sanitizeSettings({
+        youtubeApiKey: youtubeKeyInput.value,
+        geminiApiKey: geminiKeyInput.value,
+        llmProvider: llmProviderSelect.value,
+        openaiBaseUrl: openaiBaseUrlInput.value,
+        openaiApiKey: openaiApiKeyInput.value,
+        openaiModel: openaiModelInput.value,
+        sentimentEngine: sentimentEngineSelect.value,
+        sentimentModel: sentimentModelInput.value,
+        factCheckModel: factCheckModelInput.value,
+        translationModel: translationModelInput.value,
+        summaryModel: summaryModelInput.value,
+        chatModel: chatModelInput.value,
+        langPrefs: langPrefsInput.value,
+        commentMaxResults: commentMaxResultsInput.value,
+        playlistMaxVideos: playlistMaxVideosInput.value,
+        youtubeDailyQuota: youtubeDailyQuotaInput.value,
+        evidenceSearchUrl: evidenceSearchUrlInput.value,
+        cacheTtlHours: cacheTtlHoursInput.value
+    });
+}
+
+async function saveSettings(settings) {
+    await chrome.storage.local.set(settings);
+    fillForm(await loadSettings()); // Show the normalized values actually stored
+}
+
+// --- Key Validation ---
+
+// A cheap read against a well-known public video; costs 1 quota unit
+async function testYoutubeKey(key) {
+    const url = `https://www.googleapis.com/youtube/v3/videos?part=id&id=dQw4w9WgXcQ&key=${encodeURIComponent(key)}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    return "YouTube key is valid.";
+}
+
+// Listing models doesn't consume generation quota and tells us which models the key can use
+async function testGeminiKey(key) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models?pageSize=100&key=${encodeURIComponent(key)}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Gemini API Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    const data = await response.json();
+    const models = (data.models || [])
+        .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+        .map(m => m.name.replace(/^models\//, ''));
+
+    if (models.length > 0) {
+        geminiModelsList.replaceChildren(...models.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            return option;
+        }));
+    }
+    return `Gemini key is valid (${models.length} models available).`;
+}
+
+function toggleProviderSettings() {
+    openaiSettingsDiv.hidden = llmProviderSelect.value !== 'openai';
+}
+
+// Servers at arbitrary URLs need a host permission; must be requested from the click itself,
+// so every server the settings use is asked for in a single request
+function requestServerPermission(...urls) {
+    let origins;
+    try {
+        origins = urls.map(url => `${new URL(url).origin}/*`);
+    } catch (e) {
+        return Promise.resolve(false);
+    }
+    if (origins.length === 0) return Promise.resolve(true);
+    return chrome.permissions.request({ origins: origins });
+}
+
+// The /models listing is part of the OpenAI API and supported by Ollama, llama.cpp, LM Studio and vLLM
+async function testOpenaiServer(baseUrl, apiKey) {
+    const response = await fetch(`${baseUrl}/models`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Server Error (${response.status}): ${errorData?.error?.message || response.statusText}`);
+    }
+    const data = await response.json();
+    const models = (data.data || []).map(m => m.id).filter(Boolean);
+    openaiModelsList.replaceChildren(...models.map(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        return option;
+    }));
+    return `Server reachable (${models.length} models available).`;
+}
+
+async function runKeyTest(input, statusElement, button, testFn) {
+    const key = input.value.trim();
+    if (!key) {
+        setKeyStatus(statusElement, "Enter a key first.", 'error');
+        return;
+    }
+    button.disabled = true;
+    setKeyStatus(statusElement, "Testing...", 'pending');
+    try {
+        setKeyStatus(statusElement, await testFn(key), 'ok');
+    } catch (error) {
+        console.error("Key test failed:", error);
+        setKeyStatus(statusElement, error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// --- Import / Export ---
+
+async function exportSettings() {
+    const settings = await loadSettings();
+    const payload = {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        settings: settings
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'youtube-analyzer-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    updateStatus("Settings exported.");
+}
+
+async function importSettings(file) {
+    const text = await file.text();
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error("File is not valid JSON.");
+    }
+    // Accept both our export envelope and a bare settings object
+    const raw = parsed?.format === SETTINGS_EXPORT_FORMAT ? parsed.settings : parsed;
+    const settings = sanitizeSettings(raw);
+    if (Object.keys(settings).length === 0) {
+        throw new Error("No recognizable settings found in file.");
+    }
+    await saveSettings(settings);
+    return Object.keys(settings).length;
+}
+
+// --- Event Listeners ---
+
+settingsForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const settings = readForm();
+    try {
+        const serverUrls = [];
+        if (settings.llmProvider === 'openai') serverUrls.push(settings.openaiBaseUrl);
+        if (settings.evidenceSearchUrl) serverUrls.push(settings.evidenceSearchUrl.replace('{query}', ''));
+        const serverAllowed = await requestServerPermission(...serverUrls);
+        await saveSettings(settings);
+        updateStatus(serverAllowed ? "Settings saved." : "Settings saved, but the extension was not allowed to reach the LLM server or search endpoint.", !serverAllowed);
+    } catch (error) {
+        console.error("Error saving settings:", error);
+        updateStatus(`Failed to save settings: ${error.message}`, true);
+    }
+});
+
+resetBtn.addEventListener('click', async () => {
+    if (!confirm("Reset provider, models, languages, limits and cache settings to defaults? API keys are kept.")) return;
+    const { youtubeApiKey, geminiApiKey, openaiApiKey, ...defaults } = DEFAULT_SETTINGS;
+    try {
+        await saveSettings(defaults);
+        updateStatus("Settings reset to defaults.");
+    } catch (error) {
+        updateStatus(`Failed to reset settings: ${error.message}`, true);
+    }
+});
+
+showKeysCheckbox.addEventListener('change', () => {
+    const type = showKeysCheckbox.checked ? 'text' : 'password';
+    youtubeKeyInput.type = type;
+    geminiKeyInput.type = type;
+    openaiApiKeyInput.type = type;
+});
+
+llmProviderSelect.addEventListener('change', toggleProviderSettings);
+
+testOpenaiBtn.addEventListener('click', async () => {
+    const { openaiBaseUrl, openaiApiKey } = readForm();
+    testOpenaiBtn.disabled = true;
+    setKeyStatus(openaiStatus, "Testing...", 'pending');
+    try {
+        if (!await requestServerPermission(openaiBaseUrl)) {
+            throw new Error("Permission to access the server was not granted.");
+        }
+        setKeyStatus(openaiStatus, await testOpenaiServer(openaiBaseUrl, openaiApiKey), 'ok');
+    } catch (error) {
+        console.error("Server test failed:", error);
+        setKeyStatus(openaiStatus, error.message, 'error');
+    } finally {
+        testOpenaiBtn.disabled = false;
+    }
+});
+
+testYoutubeKeyBtn.addEventListener('click', () => runKeyTest(youtubeKeyInput, youtubeKeyStatus, testYoutubeKeyBtn, testYoutubeKey));
+testGeminiKeyBtn.addEventListener('click', () => runKeyTest(geminiKeyInput, geminiKeyStatus, testGeminiKeyBtn, testGeminiKey));
+
+exportBtn.addEventListener('click', () => {
+    exportSettings().catch(error => updateStatus(`Export failed: ${error.message}`, true));
+});
+
+importBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+        const count = await importSettings(file);
+        updateStatus(`Imported ${count} setting(s) from ${file.name}.`);
+    } catch (error) {
+        console.error("Error importing settings:", error);
+        updateStatus(`Import failed: ${error.message}`, true);
+    }
+});
+
+// Initial load
+loadSettings().then(fillForm);
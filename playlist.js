@@ -0,0 +1,251 @@
+// --- Playlist Reports ---
+// Runs the per-video analyses (transcript, comment sentiment, claim fact-check) over the videos of a
+// playlist one after another and aggregates them into one report. Per-video results go through the
+// regular analysis cache, so videos analyzed before (alone or in another playlist) are not redone.
+
+const PLAYLIST_REPORTS_KEY = 'playlistReports';
+const MAX_SAVED_PLAYLIST_REPORTS = 10;
+const PLAYLIST_PAGE_SIZE = 50; // playlistItems.list maximum
+const PLAYLIST_TOP_THEMES = 10;
+const PLAYLIST_FLAGGED_CLAIMS = 15;
+const FLAGGED_VERDICTS = ["False", "Misleading"];
+
+async function fetchPlaylistFromAPI(playlistId, maxVideos, youtubeKey, signal) {
+    const infoUrl = `https://www.googleapis.com/youtube/v3/playlists?part=snippet,contentDetails&id=${encodeURIComponent(playlistId)}&key=${youtubeKey}`;
+    const info = (await fetchYouTubeJSON(infoUrl, signal)).items?.[0];
+    if (!info) throw new Error("Playlist not found via API (it may be private or auto-generated).");
+
+    const videos = [];
+    let pageToken = '';
+    do {
+        const itemsUrl = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,contentDetails&maxResults=${PLAYLIST_PAGE_SIZE}&playlistId=${encodeURIComponent(playlistId)}&key=${youtubeKey}${pageToken ? `&pageToken=${pageToken}` : ''}`;
+        const data = await fetchYouTubeJSON(itemsUrl, signal);
+        (data.items || []).forEach(item => {
+            // Deleted and private videos stay in the playlist without a channel
+            if (item.snippet?.videoOwnerChannelTitle) {
+                videos.push({ videoId: item.contentDetails.videoId, title: item.snippet.title, channelTitle: item.snippet.videoOwnerChannelTitle });
+            }
+        });
+        pageToken = data.nextPageToken || '';
+    } while (pageToken && videos.length < maxVideos);
+
+    return {
+        playlistId: playlistId,
+        title: info.snippet.title,
+        channelTitle: info.snippet.channelTitle,
+        totalVideos: info.contentDetails?.itemCount ?? videos.length,
+        videos: videos.slice(0, maxVideos)
+    };
+}
+
+function findRenderers(node, key, found = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => findRenderers(child, key, found));
+    } else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([name, child]) => {
+            if (name === key) found.push(child);
+            else findRenderers(child, key, found);
+        });
+    }
+    return found;
+}
+
+function rendererText(text) {
+    return text?.simpleText || (text?.runs || []).map(run => run.text).join('') || '';
+}
+
+// Without a key: the playlist page's ytInitialData, which lists the first 100 videos
+async function fetchPlaylistFromPage(playlistId, maxVideos, signal) {
+    const response = await scheduledFetch(`https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`, {
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    }, { pool: 'web', signal: signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch playlist page: ${response.statusText}`);
+    }
+    const html = await response.text();
+    // Like ytInitialPlayerResponse on the watch page, this is fragile and may need updating
+    const match = html.match(/ytInitialData\s*=\s*({.+?})\s*;\s*<\/script>/s);
+    if (!match) throw new Error("Could not find playlist data in page HTML.");
+    const data = JSON.parse(match[1]);
+
+    const videos = findRenderers(data, 'playlistVideoRenderer')
+        .filter(renderer => renderer.videoId && renderer.isPlayable !== false)
+        .map(renderer => ({ videoId: renderer.videoId, title: rendererText(renderer.title), channelTitle: rendererText(renderer.shortBylineText) }));
+    const metadata = data.metadata?.playlistMetadataRenderer;
+    return {
+        playlistId: playlistId,
+        title: metadata?.title || playlistId,
+        channelTitle: null,
+        totalVideos: videos.length,
+        videos: videos.slice(0, maxVideos)
+    };
+}
+
+async function fetchPlaylistVideos(playlistId, maxVideos, signal = null) {
+    const { youtubeKey } = await loadAPIKeys();
+    if (youtubeKey) {
+        try {
+            return await fetchPlaylistFromAPI(playlistId, maxVideos, youtubeKey, signal);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn("Listing the playlist via API failed, using the playlist page:", error);
+        }
+    }
+    return fetchPlaylistFromPage(playlistId, maxVideos, signal);
+}
+
+// Only what the report needs from each analysis, so saved reports stay small
+function summarizeCommentResults(results) {
+    return {
+        totalAnalyzed: results.totalAnalyzed,
+        sentiment: results.sentiment,
+        weightedSentiment: results.weightedSentiment,
+        themes: results.themes.slice(0, 3).map(t => ({ name: t.name, count: t.count })),
+        flags: results.flags
+    };
+}
+
+function summarizeClaimResults(report) {
+    return {
+        total: report.claims.length,
+        verdictCounts: report.verdictCounts,
+        flagged: report.claims
+            .filter(c => FLAGGED_VERDICTS.includes(c.verdict))
+            .map(c => ({ claim: c.claim, start: c.start, verdict: c.verdict, confidence: c.confidence, explanation: c.explanation }))
+    };
+}
+
+// One video's analyses, also used by comparison reports; a failed step is recorded on the entry and the others still run
+async function analyzeVideoForReport(video, settings, refresh, job) {
+    const { videoId } = video;
+    const { langPrefs, commentMaxResults, sentimentModel, sentimentEngine, factCheckModel, summaryModel, translationModel } = settings;
+    const entry = { ...video, transcript: null, comments: null, claims: null, errors: {} };
+    const step = async (name, work) => {
+        try {
+            entry[name] = await work();
+        } catch (error) {
+            entry.errors[name] = isAbortError(error) ? "Stopped." : error.message;
+        }
+    };
+
+    await step('transcript', async () => {
+        const params = { trackId: null, translateTo: null }; // Same params as the popup's default, so the cache is shared
+        const transcript = await runWithCache(videoId, 'transcript', params, job, refresh, () =>
+            loadTranscriptFromPage(videoId, langPrefs, { ...params, translationModel: translationModel, job: job }));
+        if (!transcript?.segments) throw new Error("No transcript is available for this video.");
+        return { language: transcript.language, segmentCount: transcript.segments.length, duration: transcriptDuration(transcript) };
+    });
+
+    await step('comments', async () => {
+        const results = await runWithCache(videoId, 'comments', commentCacheParams(settings), job, refresh, () =>
+            fetchAndAnalyzeComments(videoId, commentMaxResults, sentimentModel, job, sentimentEngine));
+        return summarizeCommentResults(results);
+    });
+
+    // Without a transcript there is nothing to extract claims from
+    if (entry.transcript) {
+        await step('claims', async () => {
+            const params = { trackId: null };
+            const report = await runWithCache(videoId, 'videoFactCheck', videoFactCheckCacheParams(settings, params.trackId), job, refresh, () =>
+                factCheckVideo(videoId, langPrefs, { ...params, model: factCheckModel, extractionModel: summaryModel, job: job }));
+            return summarizeClaimResults(report);
+        });
+    }
+    return entry;
+}
+
+// Pure aggregation across the analyzed videos
+function buildPlaylistReport(playlist, entries) {
+    const sentiment = { positive: 0, negative: 0, neutral: 0 };
+    const weightedSentiment = { positive: 0, negative: 0, neutral: 0 };
+    const verdictCounts = {};
+    const themes = new Map(); // lowercased name -> { name, count, videos }
+    let commentsAnalyzed = 0;
+
+    entries.forEach(entry => {
+        if (entry.comments?.totalAnalyzed > 0) {
+            const analyzed = entry.comments.totalAnalyzed;
+            commentsAnalyzed += analyzed;
+            SENTIMENTS.forEach(s => {
+                sentiment[s] += entry.comments.sentiment[s];
+                weightedSentiment[s] += entry.comments.weightedSentiment[s] * analyzed;
+            });
+            entry.comments.themes.forEach(t => {
+                const key = t.name.toLowerCase();
+                const theme = themes.get(key) || { name: t.name, count: 0, videos: 0 };
+                theme.count += t.count;
+                theme.videos++;
+                themes.set(key, theme);
+            });
+        }
+        Object.entries(entry.claims?.verdictCounts || {}).forEach(([verdict, count]) => {
+            verdictCounts[verdict] = (verdictCounts[verdict] || 0) + count;
+        });
+    });
+    // Each video counts by how many of its comments were analyzed
+    SENTIMENTS.forEach(s => { weightedSentiment[s] = commentsAnalyzed > 0 ? weightedSentiment[s] / commentsAnalyzed : 0; });
+
+    const flaggedClaims = entries
+        .flatMap(entry => (entry.claims?.flagged || []).map(c => ({ ...c, videoId: entry.videoId, videoTitle: entry.title })))
+        .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))
+        .slice(0, PLAYLIST_FLAGGED_CLAIMS);
+
+    const withTranscript = entries.filter(entry => entry.transcript);
+    return {
+        playlistId: playlist.playlistId,
+        title: playlist.title,
+        channelTitle: playlist.channelTitle,
+        totalVideos: playlist.totalVideos,
+        analyzedVideos: entries.length,
+        generatedAt: new Date().toISOString(),
+        transcriptsAvailable: withTranscript.length,
+        totalDuration: withTranscript.reduce((sum, entry) => sum + entry.transcript.duration, 0),
+        commentsAnalyzed: commentsAnalyzed,
+        sentiment: sentiment,
+        weightedSentiment: weightedSentiment,
+        themes: [...themes.values()].sort((a, b) => b.videos - a.videos || b.count - a.count).slice(0, PLAYLIST_TOP_THEMES),
+        claimsChecked: entries.reduce((sum, entry) => sum + (entry.claims?.total || 0), 0),
+        verdictCounts: verdictCounts,
+        flaggedClaims: flaggedClaims,
+        videos: entries
+    };
+}
+
+async function savePlaylistReport(report) {
+    const stored = (await chrome.storage.local.get(PLAYLIST_REPORTS_KEY))[PLAYLIST_REPORTS_KEY] || {};
+    stored[report.playlistId] = report;
+    const newest = Object.values(stored)
+        .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt))
+        .slice(0, MAX_SAVED_PLAYLIST_REPORTS);
+    await chrome.storage.local.set({ [PLAYLIST_REPORTS_KEY]: Object.fromEntries(newest.map(r => [r.playlistId, r])) });
+}
+
+async function getSavedPlaylistReport(playlistId) {
+    const stored = (await chrome.storage.local.get(PLAYLIST_REPORTS_KEY))[PLAYLIST_REPORTS_KEY] || {};
+    return stored[playlistId] || null;
+}
+
+// Videos are analyzed in playlist order; stopping keeps the videos finished so far in the report
+async function analyzePlaylist(playlistId, options = {}, job = null) {
+    const signal = job?.signal || null;
+    const settings = await loadSettings();
+    reportProgress(job, "Listing playlist videos...");
+    const playlist = await fetchPlaylistVideos(playlistId, settings.playlistMaxVideos, signal);
+    if (playlist.videos.length === 0) {
+        throw new Error("The playlist has no videos that can be analyzed.");
+    }
+
+    const entries = [];
+    for (let i = 0; i < playlist.videos.length && !signal?.aborted; i++) {
+        const video = playlist.videos[i];
+        // Progress from the per-video analyses, prefixed with where in the playlist they are
+        const videoJob = job && { ...job, progress: message => job.progress(`Video ${i + 1}/${playlist.videos.length}: ${message}`) };
+        reportProgress(videoJob, `Analyzing "${video.title}"...`);
+        entries.push(await analyzeVideoForReport(video, settings, options.refresh, videoJob));
+    }
+
+    const report = { ...buildPlaylistReport(playlist, entries), stopped: !!signal?.aborted };
+    await savePlaylistReport(report).catch(err => console.error("Failed to save playlist report:", err));
+    reportProgress(job, `Analyzed ${entries.length} of ${playlist.videos.length} videos in the playlist.`);
+    return report;
+}
@@ -1,134 +1,820 @@
 const transcriptBtn = document.getElementById('getTranscriptBtn');
 const commentsBtn = document.getElementById('analyzeCommentsBtn');
+const summarizeBtn = document.getElementById('summarizeBtn');
+const summaryResultDiv = document.getElementById('summaryResult');
+const factCheckVideoBtn = document.getElementById('factCheckVideoBtn');
+const claimsControlsDiv = document.getElementById('claimsControls');
+const claimsSortSelect = document.getElementById('claimsSort');
+const claimsResultDiv = document.getElementById('claimsResult');
+const playlistSectionDiv = document.getElementById('playlistSection');
+const playlistBtn = document.getElementById('analyzePlaylistBtn');
+const playlistResultDiv = document.getElementById('playlistResult');
+const liveChatBtn = document.getElementById('analyzeLiveChatBtn');
+const liveChatSourceSelect = document.getElementById('liveChatSource');
+const liveChatResultDiv = document.getElementById('liveChatResult');
+
+const chatLogDiv = document.getElementById('chatLog');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const chatAskBtn = document.getElementById('chatAskBtn');
+const chatClearBtn = document.getElementById('chatClearBtn');
+
+// Groups in the claims report, most actionable first
+const VERDICT_ORDER = ["False", "Misleading", "Partially True", "True", "Unverifiable", "Opinion", "Unknown", "Unanalyzed"];
 const transcriptResultDiv = document.getElementById('transcriptResult');
 const commentResultDiv = document.getElementById('commentResult');
 const factCheckResultDiv = document.getElementById('factCheckResult');
 const statusDiv = document.getElementById('status');
-const processingIndicator = document.getElementById('processing-indicator');
+const jobListDiv = document.getElementById('jobList');
+const quotaUsageDiv = document.getElementById('quotaUsage');
+const openOptionsLink = document.getElementById('openOptionsLink');
+const openCompareLink = document.getElementById('openCompareLink');
+const forceRefreshCheckbox = document.getElementById('forceRefresh');
+const transcriptExportDiv = document.getElementById('transcriptExport');
+const reportExportDiv = document.getElementById('reportExport');
+const trackSelect = document.getElementById('trackSelect');
+const videoContextDetails = document.getElementById('videoContext');
+const videoContextSummary = document.getElementById('videoContextSummary');
+const videoContextBody = document.getElementById('videoContextBody');
+const translateSelect = document.getElementById('translateSelect');
 
-let isProcessing = false;
+// Offered for LLM translation when YouTube reports no translation targets for the video
+const FALLBACK_TRANSLATION_LANGUAGES = [
+    { languageCode: 'en', name: 'English' },
+    { languageCode: 'ta', name: 'Tamil' },
+    { languageCode: 'hi', name: 'Hindi' },
+    { languageCode: 'es', name: 'Spanish' },
+    { languageCode: 'fr', name: 'French' },
+    { languageCode: 'de', name: 'German' },
+    { languageCode: 'pt', name: 'Portuguese' },
+    { languageCode: 'ja', name: 'Japanese' },
+    { languageCode: 'zh-Hans', name: 'Chinese (Simplified)' }
+];
 
-function setProcessing(processing) {
-    isProcessing = processing;
-    processingIndicator.style.display = processing ? 'block' : 'none';
-    transcriptBtn.disabled = processing;
-    commentsBtn.disabled = processing;
-}
+// Analyses run as background jobs tied to a tab and video; they keep going when the popup closes
+const JOB_LABELS = {
+    transcript: 'Transcript',
+    summary: 'Summary',
+    comments: 'Comments',
+    videoFactCheck: 'Video fact-check',
+    factCheck: 'Fact-check',
+    playlist: 'Playlist',
+    liveChat: 'Live chat'
+};
+const JOB_STATUS_LABELS = { running: 'Running', done: 'Done', error: 'Failed', stopped: 'Stopped' };
+const MAX_LISTED_FINISHED_JOBS = 4;
+
+let activeTabId = null; // Tab the current transcript was fetched from (used for seeking)
+let currentVideoId = null; // Video open in that tab; results for other videos are ignored
+const jobs = new Map(); // jobId -> latest job snapshot for this tab
+let currentTranscript = null; // Last structured transcript received (used for export)
+let currentClaimsReport = null; // Last video fact-check result (re-rendered when the sort changes)
+let isChatPending = false; // Chat runs alongside the other analyses, so it has its own busy flag
 
 function updateStatus(message, isError = false) {
     statusDiv.textContent = message;
     statusDiv.style.color = isError ? 'red' : '#333'; // Use a default dark color for non-errors
     console.log("Status:", message);
-    if (isError) {
-        setProcessing(false); // Stop processing on error
+}
+
+// --- Jobs ---
+
+const jobButtons = {
+    transcript: transcriptBtn,
+    summary: summarizeBtn,
+    comments: commentsBtn,
+    videoFactCheck: factCheckVideoBtn,
+    playlist: playlistBtn,
+    liveChat: liveChatBtn
+};
+
+function isRelevantJob(job) {
+    return job.tabId === activeTabId && (!job.videoId || !currentVideoId || job.videoId === currentVideoId);
+}
+
+function isJobRunning(type) {
+    return [...jobs.values()].some(job => job.type === type && job.status === 'running' && isRelevantJob(job));
+}
+
+// Messages from jobs carry the tab and video they belong to; anything else is for whoever is listening
+function isForThisPopup(request) {
+    if (request.tabId && request.tabId !== activeTabId) return false;
+    return !request.videoId || !currentVideoId || request.videoId === currentVideoId;
+}
+
+function createJobRow(job) {
+    const stopBtn = job.status === 'running' && el('button', {
+        type: 'button',
+        className: 'small-btn',
+        on: {
+            click: () => {
+                stopBtn.disabled = true; // The row is redrawn when the job reports back
+                chrome.runtime.sendMessage({ action: "stopJob", jobId: job.id }, (response) => {
+                    if (chrome.runtime.lastError || !response?.stopped) stopBtn.disabled = false;
+                });
+            }
+        }
+    }, 'Stop');
+
+    return el('div', { className: `job-row job-${job.status}` },
+        el('span', { className: 'job-label' }, `${JOB_LABELS[job.type] || job.type}: ${JOB_STATUS_LABELS[job.status] || job.status}`),
+        el('span', { className: 'job-message', title: job.message || '' }, job.message || ''),
+        stopBtn
+    );
+}
+
+// Running jobs plus the last few finished ones; a type's button stays disabled while its job runs
+function renderJobs() {
+    const relevant = [...jobs.values()].filter(isRelevantJob).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    const running = relevant.filter(job => job.status === 'running');
+    const finished = relevant.filter(job => job.status !== 'running').slice(0, MAX_LISTED_FINISHED_JOBS);
+    jobListDiv.replaceChildren(...running.concat(finished).map(createJobRow));
+    Object.entries(jobButtons).forEach(([type, button]) => {
+        button.disabled = isJobRunning(type);
+    });
+}
+
+function handleJobUpdate(job) {
+    if (job.tabId !== activeTabId) return;
+    jobs.set(job.id, job);
+    renderJobs();
+}
+
+// Ask the background to start an analysis job for the active tab's video (or, for target 'playlist', its playlist)
+function requestJob(action, resultDiv, extra = {}, target = 'video') {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const ids = parseYouTubeUrl(tabs[0]?.url);
+        if (!tabs[0]?.id || !(target === 'playlist' ? ids?.playlistId : ids?.videoId)) {
+            updateStatus(`Not a YouTube ${target} page or cannot access tab.`, true);
+            resultDiv.textContent = `Please navigate to a YouTube ${target} page.`;
+            return;
+        }
+        activeTabId = tabs[0].id;
+        resultDiv.textContent = 'Processing...';
+        chrome.runtime.sendMessage({ action: action, tabId: tabs[0].id, refresh: forceRefreshCheckbox.checked, ...extra }, (response) => {
+            if (response?.job) {
+                if (response.job.videoId) currentVideoId = response.job.videoId; // Playlist jobs aren't tied to a video
+                handleJobUpdate(response.job);
+            } else {
+                const error = response?.error || chrome.runtime.lastError?.message || "No response from the extension.";
+                resultDiv.textContent = `Error: ${error}`;
+                updateStatus(`Could not start: ${error}`, true);
+            }
+        });
+    });
+}
+
+// YouTube Data API units used today (quota resets at midnight Pacific time)
+function displayQuotaUsage(status) {
+    if (!status || typeof status.units !== 'number') return;
+    const share = status.units / status.limit;
+    quotaUsageDiv.textContent = `YouTube API quota today: ${status.units.toLocaleString()} / ${status.limit.toLocaleString()} units`;
+    quotaUsageDiv.classList.toggle('quota-warning', share >= 0.8);
+}
+
+function seekTo(seconds) {
+    if (!activeTabId) return;
+    chrome.runtime.sendMessage({ action: "seekVideo", tabId: activeTabId, seconds: seconds }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            updateStatus(`Could not seek video: ${response?.error || chrome.runtime.lastError?.message}`, true);
+        }
+    });
+}
+
+// A clickable "[m:ss] text" row that seeks the player
+function createTimestampLine(seconds, label) {
+    return el('div', { className: 'transcript-line', title: `Jump to ${formatTimestamp(seconds)}`, on: { click: () => seekTo(seconds) } },
+        el('span', { className: 'timestamp' }, formatTimestamp(seconds)),
+        el('span', {}, label)
+    );
+}
+
+function displayFormattedTranscript(transcript) {
+    // The API fallback only sends an informational string
+    if (typeof transcript === 'string') {
+        currentTranscript = null;
+        transcriptExportDiv.hidden = true;
+        transcriptResultDiv.textContent = transcript;
+        return;
     }
+    currentTranscript = transcript;
+    transcriptExportDiv.hidden = false;
+
+    const header = el('div', { className: 'transcript-header' },
+        `Transcript (${transcript.language}) - ${transcript.segments.length} lines. Click a line to jump to it.`);
+
+    const lines = transcript.segments.map(segment => createTimestampLine(segment.start, segment.text));
+
+    transcriptResultDiv.replaceChildren(header, ...lines);
 }
 
-function displayFormattedTranscript(transcriptText) {
-    // Simple text display for now
-    transcriptResultDiv.textContent = transcriptText;
+function createHeading(text) {
+    return el('strong', {}, text);
+}
+
+function displayFormattedSummary(summary) {
+    const children = [el('p', { className: 'summary-tldr' }, createHeading('TL;DR: '), summary.tldr)];
+
+    if (summary.keyPoints.length > 0) {
+        children.push(createHeading('Key points'), el('ul', {}, summary.keyPoints.map(point => el('li', {}, point))));
+    }
+
+    if (summary.chapters.length > 0) {
+        const chapters = summary.chapters.map(chapter => createTimestampLine(chapter.start, chapter.title));
+        children.push(createHeading('Chapters'), ...chapters);
+    }
+
+    if (summary.chunkCount > 1) {
+        children.push(el('div', { className: 'summary-note' }, `Long video: summarized in ${summary.chunkCount} parts and combined.`));
+    }
+
+    summaryResultDiv.replaceChildren(...children);
+}
+
+function verdictClass(verdict) {
+    return `verdict-${String(verdict).toLowerCase().replace(/[^a-z]+/g, '-')}`;
+}
+
+// Claims grouped by verdict; within a group sorted by time or by confidence
+function displayVideoFactCheck(report) {
+    currentClaimsReport = report;
+    claimsControlsDiv.hidden = report.claims.length <= 1;
+
+    if (report.claims.length === 0) {
+        claimsResultDiv.textContent = "No checkable factual claims were found in the transcript.";
+        return;
+    }
+
+    const checkedCount = report.claims.length - (report.totalUnanalyzed || 0);
+    const summary = el('div', { className: 'claims-summary' }, `Checked ${checkedCount} claim(s)` +
+        (report.totalExtracted > report.claims.length ? ` of ${report.totalExtracted} found.` : '.') +
+        (report.totalUnanalyzed ? ` ${report.totalUnanalyzed} ${report.stopped ? 'were not checked (stopped early)' : 'could not be analyzed'}.` : '') +
+        (report.unanalyzedParts ? ` ${report.unanalyzedParts} of ${report.totalParts} transcript parts could not be searched for claims.` : ''));
+
+    const compare = claimsSortSelect.value === 'confidence'
+        ? (a, b) => (b.confidence ?? -1) - (a.confidence ?? -1) || a.start - b.start
+        : (a, b) => a.start - b.start;
+
+    const verdicts = Object.keys(report.verdictCounts)
+        .sort((a, b) => (VERDICT_ORDER.indexOf(a) + 1 || 99) - (VERDICT_ORDER.indexOf(b) + 1 || 99));
+
+    const groups = verdicts.map(verdict => el('div', { className: 'claims-group' },
+        el('div', { className: `claims-group-heading ${verdictClass(verdict)}` }, `${verdict} (${report.verdictCounts[verdict]})`),
+        report.claims.filter(c => c.verdict === verdict).sort(compare).map(claim => {
+            const confidence = claim.confidence !== null && claim.confidence !== undefined ? ` (${(claim.confidence * 100).toFixed(0)}% confidence)` : '';
+            return el('div', { className: 'claim-item' },
+                createTimestampLine(claim.start, claim.claim),
+                el('div', { className: 'claim-details' }, `${claim.explanation}${confidence}`),
+                claim.sources.length > 0 && el('div', { className: 'claim-details' }, createSourceList(claim.sources))
+            );
+        })
+    ));
+
+    claimsResultDiv.replaceChildren(summary, ...groups);
+}
+
+// --- Playlist Report ---
+
+function createVideoLink(videoId, title, seconds = null) {
+    return createLink(videoWatchUrl(videoId, seconds), seconds !== null ? `${title} @ ${formatTimestamp(seconds)}` : title);
+}
+
+function describeSentiment(counts, weighted) {
+    return ['positive', 'negative', 'neutral']
+        .map(s => `${SENTIMENT_EMOJI[s]} ${counts[s]} (${formatPercent(weighted[s])} by likes)`)
+        .join('  ');
+}
+
+function describeVerdicts(verdictCounts) {
+    const verdicts = Object.keys(verdictCounts)
+        .sort((a, b) => (VERDICT_ORDER.indexOf(a) + 1 || 99) - (VERDICT_ORDER.indexOf(b) + 1 || 99));
+    return verdicts.map(verdict => `${verdict}: ${verdictCounts[verdict]}`).join(', ');
+}
+
+function createPlaylistVideo(video, index) {
+    const details = [];
+    if (video.transcript) {
+        details.push(`Transcript: ${video.transcript.language}, ${formatTimestamp(video.transcript.duration)}`);
+    }
+    if (video.comments) {
+        const themes = video.comments.themes.map(t => t.name).join(', ');
+        details.push(`Comments: ${video.comments.totalAnalyzed} analyzed${video.comments.totalAnalyzed > 0 ? ` - ${describeSentiment(video.comments.sentiment, video.comments.weightedSentiment)}` : ''}${themes ? ` - ${themes}` : ''}`);
+    }
+    if (video.claims) {
+        details.push(`Claims: ${video.claims.total}${video.claims.total > 0 ? ` (${describeVerdicts(video.claims.verdictCounts)})` : ''}`);
+    }
+    Object.entries(video.errors).forEach(([step, error]) => details.push(`${step[0].toUpperCase()}${step.slice(1)} unavailable: ${error}`));
+
+    return el('div', { className: 'playlist-video' },
+        `${index + 1}. `, createVideoLink(video.videoId, video.title || video.videoId),
+        details.map(text => el('div', { className: 'claim-details' }, text))
+    );
+}
+
+// Totals across the playlist first, then the claims worth a closer look, then each video
+function displayPlaylistReport(report) {
+    const overview = el('div', { className: 'claims-summary' }, createHeading(report.title), report.channelTitle ? ` by ${report.channelTitle}` : '');
+    const coverage = el('div', { className: 'playlist-note' }, `${report.analyzedVideos} of ${report.totalVideos} video(s) analyzed` +
+        (report.stopped ? ' (stopped early)' : '') +
+        `, ${report.transcriptsAvailable} with a transcript (${formatTimestamp(report.totalDuration)} in total). Generated ${new Date(report.generatedAt).toLocaleString()}.`);
+
+    const children = [overview, coverage];
+
+    if (report.commentsAnalyzed > 0) {
+        const sentiment = el('div', {}, describeSentiment(report.sentiment, report.weightedSentiment));
+        children.push(createSection(`Comment sentiment (${report.commentsAnalyzed} comments)`, [sentiment]));
+    }
+
+    if (report.themes.length > 0) {
+        const themes = report.themes.map(theme => el('div', {}, `${theme.name} - ${theme.count} comment(s) in ${theme.videos} video(s)`));
+        children.push(createSection('Recurring themes', themes));
+    }
+
+    if (report.claimsChecked > 0) {
+        const verdicts = el('div', {}, describeVerdicts(report.verdictCounts));
+        const flagged = report.flaggedClaims.map(claim => el('div', { className: 'playlist-claim' },
+            el('span', { className: `claims-group-heading ${verdictClass(claim.verdict)}` }, claim.verdict),
+            claim.claim,
+            el('div', { className: 'claim-details' },
+                createVideoLink(claim.videoId, claim.videoTitle || claim.videoId, claim.start), ` - ${claim.explanation}`)
+        ));
+        children.push(createSection(`Claims (${report.claimsChecked} checked)`, [verdicts, ...flagged]));
+    }
+
+    children.push(createSection('Videos', report.videos.map(createPlaylistVideo)));
+    playlistResultDiv.replaceChildren(...children);
+}
+
+function setChatPending(pending) {
+    isChatPending = pending;
+    chatAskBtn.disabled = pending;
+    chatInput.disabled = pending;
+}
+
+function createChatTurn(turn) {
+    const timestampChips = turn.timestamps.map(seconds => el('button', {
+        type: 'button',
+        className: 'timestamp-chip',
+        title: `Jump to ${formatTimestamp(seconds)}`,
+        on: { click: () => seekTo(seconds) }
+    }, formatTimestamp(seconds)));
+
+    return el('div', { className: 'chat-turn' },
+        el('div', { className: 'chat-question' }, createHeading('You: '), turn.question),
+        el('div', { className: 'chat-answer' }, turn.answer),
+        timestampChips.length > 0 && el('div', { className: 'chat-citations' }, 'At: ', timestampChips),
+        turn.comments.map(comment => el('div', { className: 'chat-citations' }, `Comment ${comment.id}: "${comment.text}"`)),
+        turn.timestamps.length === 0 && turn.comments.length === 0 && el('div', { className: 'chat-citations' }, 'No supporting timestamps or comments were cited.')
+    );
+}
+
+function displayChatHistory(turns) {
+    if (turns.length === 0) return;
+    chatLogDiv.replaceChildren(...turns.map(createChatTurn));
+    chatLogDiv.scrollTop = chatLogDiv.scrollHeight;
+}
+
+function appendChatTurn(turn) {
+    if (!chatLogDiv.querySelector('.chat-turn')) chatLogDiv.replaceChildren(); // Drop the placeholder text
+    chatLogDiv.appendChild(createChatTurn(turn));
+    chatLogDiv.scrollTop = chatLogDiv.scrollHeight;
+}
+
+const SENTIMENT_EMOJI = { positive: '😊', negative: '😞', neutral: '😐' };
+
+function formatPercent(share) {
+    return `${Math.round(share * 100)}%`;
+}
+
+function createCommentLine(comment) {
+    const text = comment.text.length > 100 ? `${comment.text.substring(0, 100)}...` : comment.text;
+    return el('div', { className: 'comment-line' },
+        `${SENTIMENT_EMOJI[comment.sentiment] || '❔'} 👍${comment.likeCount} ${comment.author ? `${comment.author}: ` : ''}${text}`,
+        comment.sentimentEngine && el('span', { className: 'engine-tag', title: `Sentiment labelled by ${comment.sentimentEngine}` }, comment.sentimentEngine));
+}
+
+// "48 by Gemini, 2 by Local lexicon"; results saved before engines were recorded have none
+function describeSentimentEngines(engines) {
+    const entries = Object.entries(engines || {});
+    if (entries.length === 0) return null;
+    return el('div', { className: 'summary-note' }, `Labels: ${entries.map(([engine, count]) => `${count} by ${engine}`).join(', ')}`);
+}
+
+function createSection(title, children) {
+    return el('div', { className: 'analysis-section' }, createHeading(title), children);
 }
 
 function displayFormattedCommentAnalysis(analysisData) {
-    let html = `<strong>Total Comments Analyzed:</strong> ${analysisData.totalAnalyzed}<br>`;
-    if (analysisData.totalFetched !== analysisData.totalAnalyzed) {
-        html += `(Fetched ${analysisData.totalFetched}, analyzed subset)<br>`;
-    }
-    html += `<strong>Sentiment:</strong><br>`;
-    html += `  Positive: ${analysisData.sentiment.positive}<br>`;
-    html += `  Negative: ${analysisData.sentiment.negative}<br>`;
-    html += `  Neutral: ${analysisData.sentiment.neutral}<br>`;
-
-    if (analysisData.sampleAnalyzedComments && analysisData.sampleAnalyzedComments.length > 0) {
-        html += `<br><strong>Sample Comments:</strong><br>`;
-        analysisData.sampleAnalyzedComments.slice(0, 5).forEach(c => { // Show first 5
-            let sentimentEmoji = '😐';
-            if (c.sentiment === 'positive') sentimentEmoji = '😊';
-            else if (c.sentiment === 'negative') sentimentEmoji = '😞';
-            html += `<div style="font-size: 0.9em; margin-bottom: 3px; border-bottom: 1px solid #eee; padding-bottom: 2px;">${sentimentEmoji} (${c.sentiment}): ${c.text.substring(0, 100)}${c.text.length > 100 ? '...' : ''}</div>`;
-        });
+    const totals = el('div', {},
+        createHeading('Total Comments Analyzed: '), String(analysisData.totalAnalyzed),
+        analysisData.totalReplies && ` (${analysisData.totalTopLevel} top-level, ${analysisData.totalReplies} replies)`,
+        analysisData.totalFetched !== analysisData.totalAnalyzed + (analysisData.totalUnanalyzed || 0) && ` - fetched ${analysisData.totalFetched}, analyzed subset`
+    );
+
+    const sentimentLines = ['positive', 'negative', 'neutral'].map(s => {
+        const weighted = analysisData.weightedSentiment ? ` (${formatPercent(analysisData.weightedSentiment[s])} by likes)` : '';
+        return el('div', {}, `${SENTIMENT_EMOJI[s]} ${s[0].toUpperCase()}${s.slice(1)}: ${analysisData.sentiment[s]}${weighted}`);
+    });
+    const children = [totals];
+
+    // Comments the model never returned a valid result for (or never got to, when stopped); left out of every number below
+    if (analysisData.totalUnanalyzed > 0) {
+        const note = el('div', { className: 'unanalyzed-note' }, analysisData.stopped
+            ? `⏹ Stopped early: ${analysisData.totalUnanalyzed} comment(s) were not analyzed and are not counted below.`
+            : `⚠️ ${analysisData.totalUnanalyzed} comment(s) could not be analyzed and are not counted below.`);
+        children.push(note, ...analysisData.unanalyzedComments.slice(0, 3).map(createCommentLine));
+    }
+
+    children.push(createSection('Sentiment', [sentimentLines, describeSentimentEngines(analysisData.sentimentEngines)]));
+
+    if (analysisData.flags) {
+        children.push(el('div', {}, `❓ ${analysisData.flags.question} questions, ⚠️ ${analysisData.flags.toxic} toxic, 🚫 ${analysisData.flags.spam} spam`));
     }
-    commentResultDiv.innerHTML = html;
+
+    if (analysisData.themes?.length > 0) {
+        const themeLines = analysisData.themes.slice(0, 5).map(theme => el('div', { className: 'comment-line', title: theme.description },
+            `${theme.name}: ${theme.count} comments, ${formatPercent(theme.weightedShare)} of engagement ` +
+            `(😊${theme.sentiment.positive} 😞${theme.sentiment.negative} 😐${theme.sentiment.neutral})`));
+        children.push(createSection('Top Themes', themeLines));
+    }
+
+    if (analysisData.topCommentsBySentiment) {
+        const topLines = ['positive', 'negative', 'neutral'].flatMap(s => analysisData.topCommentsBySentiment[s].map(createCommentLine));
+        if (topLines.length > 0) children.push(createSection('Most-Liked Comments', topLines));
+    } else if (analysisData.sampleAnalyzedComments?.length > 0) {
+        children.push(createSection('Sample Comments', analysisData.sampleAnalyzedComments.slice(0, 5).map(createCommentLine)));
+    }
+
+    if (analysisData.unansweredQuestions?.length > 0) {
+        const questions = analysisData.unansweredQuestions;
+        children.push(createSection('Unanswered Questions', [
+            questions.slice(0, 5).map(createCommentLine),
+            questions.length > 5 && el('div', { className: 'summary-note' }, `...and ${questions.length - 5} more.`)
+        ]));
+    }
+
+    commentResultDiv.replaceChildren(...children);
+    displayCommentCharts(analysisData);
 }
 
-function displayFormattedFactCheck(factCheckData) {
-    let html = `<strong>Verdict:</strong> ${factCheckData.verdict || 'Unknown'}<br>`;
-    if (factCheckData.confidence !== undefined && factCheckData.confidence !== null) {
-        html += `<strong>Confidence:</strong> ${(factCheckData.confidence * 100).toFixed(0)}%<br>`;
-    }
-    if (factCheckData.explanation) {
-        html += `<strong>Explanation:</strong> ${factCheckData.explanation}<br>`;
-    }
-    if (factCheckData.sources && factCheckData.sources.length > 0 && factCheckData.sources[0] !== "No specific sources provided") {
-        html += `<strong>Sources:</strong><ul>`;
-        factCheckData.sources.forEach(source => {
-            try {
-                // Try creating a clickable link
-                const url = new URL(source.startsWith('http') ? source : `http://${source}`);
-                html += `<li><a href="${url.href}" target="_blank">${url.hostname}</a></li>`;
-            } catch (_) {
-                // If it's not a valid URL, just display the text
-                html += `<li>${source}</li>`;
+// Segment being spoken at a given time, if the transcript for this video is loaded
+function transcriptTextAt(videoId, seconds) {
+    if (!currentTranscript || currentTranscript.videoId !== videoId) return null;
+    const segment = currentTranscript.segments.find(s => seconds >= s.start && seconds < s.start + Math.max(s.duration, 1));
+    return segment ? segment.text : null;
+}
+
+function createChartCanvas(className) {
+    return el('canvas', { className: className });
+}
+
+// Charts are drawn after the canvases are in the DOM so they have a measurable size
+function displayCommentCharts(analysisData) {
+    if (analysisData.sentimentTimeline?.buckets.length > 1) {
+        const canvas = createChartCanvas('chart-timeline');
+        const legend = el('div', { className: 'summary-note' }, 'Bars: 😊 positive (bottom), 😐 neutral, 😞 negative (top), by comment date.');
+        commentResultDiv.appendChild(createSection('Sentiment Over Time', [canvas, legend]));
+        drawSentimentTimeline(canvas, analysisData.sentimentTimeline);
+    }
+
+    if (!analysisData.momentMentions?.length) return;
+
+    const duration = currentTranscript?.videoId === analysisData.videoId ? transcriptDuration(currentTranscript) : 0;
+    const heatmap = binMomentMentions(analysisData.momentMentions, duration);
+    const canvas = createChartCanvas('chart-heatmap');
+    canvas.title = 'Most-discussed moments. Click to jump there.';
+    canvas.addEventListener('click', (event) => seekTo(heatmapTimeAt(canvas, heatmap, event.clientX)));
+
+    const topMoments = heatmap.bins
+        .filter(bin => bin.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5)
+        .map(bin => {
+            const spoken = transcriptTextAt(analysisData.videoId, bin.peak);
+            return createTimestampLine(bin.peak, `${bin.count} mention(s)${spoken ? ` - "${spoken}"` : ''}`);
+        });
+
+    const showOverlay = () => {
+        if (!activeTabId) return;
+        // The page rebins against the player's real duration
+        chrome.runtime.sendMessage({ action: "drawCommentHeatmap", tabId: activeTabId, momentMentions: analysisData.momentMentions }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                updateStatus(`Could not draw heatmap on the page: ${response?.error || chrome.runtime.lastError?.message}`, true);
+            } else {
+                updateStatus('Heatmap drawn on the progress bar.');
             }
         });
-        html += `</ul>`;
-    } else {
-        html += `<strong>Sources:</strong> Not provided or unable to extract.<br>`;
+    };
+    const overlayBtn = el('button', { className: 'small-btn', on: { click: showOverlay } }, 'Show on video progress bar');
+
+    commentResultDiv.appendChild(createSection('Most-Discussed Moments', [canvas, ...topMoments, overlayBtn]));
+    drawMomentHeatmap(canvas, heatmap);
+}
+
+// Cited evidence: the quoted snippet, where it came from, and a warning when the quote could not be
+// found in the retrieved passage. Results saved before evidence retrieval have plain-string sources.
+function createSourceList(sources) {
+    return el('ul', { className: 'source-list' }, sources.map(source => {
+        if (typeof source === 'string') return el('li', {}, source, createUnverifiedBadge());
+        return el('li', {},
+            el('div', { className: 'source-quote' }, `"${source.quote}"`),
+            el('div', { className: 'source-origin' },
+                `[${source.passage}] `,
+                source.url ? createLink(source.url, source.title) : source.title,
+                !source.verified && createUnverifiedBadge()
+            )
+        );
+    }));
+}
+
+function createUnverifiedBadge() {
+    return el('span', { className: 'source-unverified', title: 'This quote was not found in the retrieved evidence' }, ' ⚠ not verified');
+}
+
+function displayFormattedFactCheck(factCheckData) {
+    const hasConfidence = factCheckData.confidence !== undefined && factCheckData.confidence !== null;
+    const sources = factCheckData.sources || [];
+    const rows = [
+        el('div', {}, createHeading('Verdict: '), factCheckData.verdict || 'Unknown'),
+        hasConfidence && el('div', {}, createHeading('Confidence: '), `${(factCheckData.confidence * 100).toFixed(0)}%`),
+        factCheckData.explanation && el('div', {}, createHeading('Explanation: '), factCheckData.explanation),
+        sources.length > 0
+            ? el('div', {}, createHeading('Evidence cited:'), createSourceList(sources))
+            : el('div', {}, createHeading('Evidence cited: '), factCheckData.evidenceCount === 0 ? 'None could be retrieved.' : 'None of the retrieved passages were cited.')
+    ];
+    factCheckResultDiv.replaceChildren(...rows.filter(Boolean));
+}
+
+// --- Live Chat ---
+
+function describeChatMood(score) {
+    if (score >= 0.2) return '😊 Positive';
+    if (score <= -0.2) return '😞 Negative';
+    return '😐 Mixed';
+}
+
+function formatClock(iso) {
+    return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+// Redrawn on every update while the chat runs; the final snapshot stays when it ends
+function displayLiveChat(snapshot) {
+    if (snapshot.totalMessages === 0) {
+        liveChatResultDiv.textContent = `No chat messages yet (${snapshot.source}).`;
+        return;
+    }
+    const gauge = snapshot.gauge;
+    const windowMinutes = Math.round(gauge.windowMs / 60000);
+    const gaugeCanvas = createChartCanvas('chart-gauge');
+    gaugeCanvas.title = `Average sentiment of the last ${windowMinutes} min: ${gauge.score}`;
+    const rateCanvas = createChartCanvas('chart-rate');
+    rateCanvas.title = `Messages per ${snapshot.rate.bucketMs / 1000} s; spikes in orange`;
+
+    const children = [
+        el('div', { className: 'live-chat-head' }, gaugeCanvas, el('div', {},
+            el('div', {}, createHeading('Mood: '), `${describeChatMood(gauge.score)} (${gauge.score > 0 ? '+' : ''}${gauge.score})`),
+            el('div', {}, `${SENTIMENT_EMOJI.positive}${gauge.positive} ${SENTIMENT_EMOJI.negative}${gauge.negative} ${SENTIMENT_EMOJI.neutral}${gauge.neutral} in the last ${windowMinutes} min`),
+            el('div', {}, `${snapshot.messagesPerMinute} messages/min, ${snapshot.totalMessages} in total`),
+            el('div', { className: 'summary-note' }, `${snapshot.source}, labels by the local lexicon${snapshot.stopped ? ' - stopped' : ''}`)
+        )),
+        createSection('Message Rate', rateCanvas)
+    ];
+    if (snapshot.trendingTerms.length > 0) {
+        children.push(createSection('Trending Now', el('div', { className: 'trending-terms' },
+            snapshot.trendingTerms.map(t => el('span', { className: 'trending-term', title: `${t.count} messages in the last ${windowMinutes} min, ${t.lift}x the usual rate` }, `${t.term} ×${t.count}`)))));
+    }
+    if (snapshot.spikes.length > 0) {
+        children.push(createSection('Spikes', snapshot.spikes.map(spike => el('div', { className: 'comment-line' },
+            `${formatClock(spike.start)}: ${spike.count} messages in ${snapshot.rate.bucketMs / 1000} s (usually ~${spike.baseline})${spike.terms.length > 0 ? ` - ${spike.terms.join(', ')}` : ''}`))));
     }
-    factCheckResultDiv.innerHTML = html;
+    children.push(createSection('Latest Messages', snapshot.recentMessages.map(m =>
+        el('div', { className: 'comment-line' }, `${SENTIMENT_EMOJI[m.sentiment]} ${m.author ? `${m.author}: ` : ''}${m.text}`))));
+
+    liveChatResultDiv.replaceChildren(...children);
+    drawSentimentGauge(gaugeCanvas, gauge.score);
+    drawMessageRate(rateCanvas, snapshot.rate, snapshot.spikes);
+}
+
+// --- Video Context ---
+
+function formatCount(count, noun) {
+    return count === null ? null : `${count.toLocaleString()} ${noun}`;
 }
 
+function createContextRow(label, value) {
+    return el('div', { className: 'video-context-row' }, el('span', { className: 'video-context-label' }, `${label}: `), value);
+}
+
+// Who made the video and when, so the analyses below can be read in context
+function displayVideoContext(metadata) {
+    const channel = metadata.channel;
+    videoContextSummary.textContent = `${metadata.title} — ${channel.title}`;
+    videoContextSummary.title = videoContextSummary.textContent;
+    videoContextBody.textContent = '';
+
+    const channelDetails = [channel.handle, formatCount(channel.subscriberCount, 'subscribers'), channel.country].filter(Boolean);
+    videoContextBody.appendChild(createContextRow('Channel', [channel.title, ...channelDetails].join(' · ')));
+    if (metadata.publishedAt) {
+        const published = new Date(metadata.publishedAt);
+        const length = metadata.duration ? ` · ${formatTimestamp(metadata.duration)} long` : '';
+        videoContextBody.appendChild(createContextRow('Published', `${isNaN(published) ? metadata.publishedAt : published.toLocaleDateString()}${length}`));
+    }
+    const counts = [formatCount(metadata.viewCount, 'views'), formatCount(metadata.likeCount, 'likes'), formatCount(metadata.commentCount, 'comments')].filter(Boolean);
+    if (counts.length > 0) videoContextBody.appendChild(createContextRow('Stats', counts.join(' · ')));
+    if (metadata.category) videoContextBody.appendChild(createContextRow('Category', metadata.category));
+    if (metadata.tags.length > 0) videoContextBody.appendChild(createContextRow('Tags', metadata.tags.join(', ')));
+    if (metadata.description) {
+        videoContextBody.appendChild(el('div', { className: 'video-context-description' }, metadata.description));
+    }
+    if (metadata.source === 'page') {
+        videoContextBody.appendChild(createContextRow('Note', 'Likes, comment count and channel statistics need a YouTube API key.'));
+    }
+    videoContextDetails.hidden = false;
+}
+
+function createOption(value, label) {
+    return el('option', { value: value }, label);
+}
+
+function displayCaptionTracks(trackInfo) {
+    const tracks = trackInfo.tracks || [];
+    trackSelect.replaceChildren(
+        createOption('', tracks.length > 0 ? 'Auto (preferred languages)' : 'No caption tracks found'),
+        ...tracks.map(t => createOption(t.id, `${t.name}${t.isAuto ? ' (auto-generated)' : ''} [${t.languageCode}]`))
+    );
+
+    const targets = trackInfo.translationLanguages?.length > 0 ? trackInfo.translationLanguages : FALLBACK_TRANSLATION_LANGUAGES;
+    translateSelect.replaceChildren(
+        createOption('', 'No translation'),
+        ...targets.map(l => createOption(l.languageCode, `${l.name} [${l.languageCode}]`))
+    );
+}
+
+// Show whatever was saved for this video last time, so results survive the popup closing
+function restoreCachedResults(analyses) {
+    const restored = [];
+    if (analyses.transcript && !isJobRunning('transcript')) {
+        displayFormattedTranscript(analyses.transcript.data);
+        restored.push('transcript');
+    }
+    if (analyses.summary && !isJobRunning('summary')) {
+        displayFormattedSummary(analyses.summary.data);
+        restored.push('summary');
+    }
+    if (analyses.comments && !isJobRunning('comments')) {
+        displayFormattedCommentAnalysis(analyses.comments.data);
+        restored.push('comments');
+    }
+    if (analyses.videoFactCheck && !isJobRunning('videoFactCheck')) {
+        displayVideoFactCheck(analyses.videoFactCheck.data);
+        restored.push('video fact-check');
+    }
+    const factChecks = analyses.factChecks?.data || [];
+    if (factChecks.length > 0) {
+        displayFormattedFactCheck(factChecks[factChecks.length - 1]);
+        restored.push('last fact-check');
+    }
+    if (restored.length > 0) {
+        updateStatus(`Restored saved ${restored.join(', ')} for this video.`);
+    }
+}
 
 // --- Button Listeners ---
 
 transcriptBtn.addEventListener('click', () => {
-    if (isProcessing) return;
-    setProcessing(true);
     updateStatus('Requesting transcript...');
-    transcriptResultDiv.textContent = 'Processing...';
+    requestJob("getTranscript", transcriptResultDiv, { trackId: trackSelect.value || null, translateTo: translateSelect.value || null });
+});
+
+summarizeBtn.addEventListener('click', () => {
+    updateStatus('Requesting video summary...');
+    requestJob("summarizeVideo", summaryResultDiv, { trackId: trackSelect.value || null });
+});
+
+factCheckVideoBtn.addEventListener('click', () => {
+    updateStatus('Requesting video fact-check...');
+    claimsControlsDiv.hidden = true;
+    requestJob("factCheckVideo", claimsResultDiv, { trackId: trackSelect.value || null });
+});
+
+playlistBtn.addEventListener('click', () => {
+    updateStatus('Requesting playlist report...');
+    requestJob("analyzePlaylist", playlistResultDiv, {}, 'playlist');
+});
+
+chatForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const question = chatInput.value.trim();
+    if (!question || isChatPending) return;
 
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]?.id && tabs[0]?.url?.includes("youtube.com/watch")) {
-            chrome.runtime.sendMessage({ action: "getTranscript", tabId: tabs[0].id });
-            // Response handling is now done via the listener below
+        if (tabs[0]?.id && getVideoIdFromUrl(tabs[0].url)) {
+            activeTabId = tabs[0].id;
+            setChatPending(true);
+            updateStatus('Asking about this video...');
+            chrome.runtime.sendMessage({ action: "askVideoQuestion", tabId: tabs[0].id, question: question });
         } else {
             updateStatus("Not a YouTube video page or cannot access tab.", true);
-            transcriptResultDiv.textContent = "Please navigate to a YouTube video page.";
-            setProcessing(false);
         }
     });
 });
 
+chatClearBtn.addEventListener('click', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.id || !getVideoIdFromUrl(tabs[0].url)) return;
+        chrome.runtime.sendMessage({ action: "clearChatHistory", tabId: tabs[0].id }, (response) => {
+            if (response?.success) {
+                chatLogDiv.textContent = 'Chat history cleared for this video.';
+            } else {
+                updateStatus(`Could not clear chat: ${response?.error || chrome.runtime.lastError?.message}`, true);
+            }
+        });
+    });
+});
+
+claimsSortSelect.addEventListener('change', () => {
+    if (currentClaimsReport) displayVideoFactCheck(currentClaimsReport);
+});
+
+liveChatBtn.addEventListener('click', () => {
+    updateStatus('Starting live chat analysis...');
+    requestJob("analyzeLiveChat", liveChatResultDiv, { source: liveChatSourceSelect.value });
+});
+
 commentsBtn.addEventListener('click', () => {
-    if (isProcessing) return;
-    setProcessing(true);
     updateStatus('Requesting comment analysis...');
-    commentResultDiv.textContent = 'Processing...';
+    requestJob("analyzeComments", commentResultDiv);
+});
 
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]?.id && tabs[0]?.url?.includes("youtube.com/watch")) {
-            chrome.runtime.sendMessage({ action: "analyzeComments", tabId: tabs[0].id });
-            // Response handling is now done via the listener below
-        } else {
-            updateStatus("Not a YouTube video page or cannot access tab.", true);
-            commentResultDiv.textContent = "Please navigate to a YouTube video page.";
-            setProcessing(false);
+
+transcriptExportDiv.querySelectorAll('.export-btn').forEach(button => {
+    button.addEventListener('click', () => {
+        if (!currentTranscript) return;
+        try {
+            const filename = exportTranscript(currentTranscript, button.dataset.format);
+            updateStatus(`Exported ${filename}`);
+        } catch (error) {
+            console.error("Transcript export failed:", error);
+            updateStatus(`Export failed: ${error.message}`, true);
+        }
+    });
+});
+
+function sendMessageAsync(message) {
+    return new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+}
+
+// Everything saved for the tab's video, plus its metadata and the live chat snapshot if one is for it
+async function generateVideoReport(tabId) {
+    const [cached, metadataResponse, liveChatResponse] = await Promise.all([
+        sendMessageAsync({ action: "getCachedResults", tabId: tabId }),
+        sendMessageAsync({ action: "getVideoMetadata", tabId: tabId }),
+        sendMessageAsync({ action: "getLiveChat", tabId: tabId })
+    ]);
+    if (!cached?.videoId) throw new Error(cached?.error || "The tab is not showing a YouTube video.");
+    if (metadataResponse?.error) console.error("Report without metadata:", metadataResponse.error);
+    const manifest = chrome.runtime.getManifest();
+    const report = buildVideoReport({
+        videoId: cached.videoId,
+        metadata: metadataResponse?.metadata || null,
+        analyses: cached.analyses || {},
+        liveChat: liveChatResponse?.liveChat?.snapshot || null,
+        generator: { name: manifest.name, version: manifest.version }
+    });
+    if (!hasReportContent(report)) throw new Error("Nothing saved for this video yet. Run an analysis first.");
+    return report;
+}
+
+reportExportDiv.querySelectorAll('.export-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+        if (!activeTabId) return;
+        updateStatus('Generating report...');
+        try {
+            const filename = exportVideoReport(await generateVideoReport(activeTabId), button.dataset.format);
+            updateStatus(`Exported ${filename}`);
+        } catch (error) {
+            console.error("Report export failed:", error);
+            updateStatus(`Report failed: ${error.message}`, true);
         }
     });
 });
 
+openOptionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+
 
 // --- Listener for results/status from background script ---
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log("Popup received message:", request);
+    if (!isForThisPopup(request)) return; // Results for another tab or a video the tab has left
 
     if (request.action === "updateStatus") {
         updateStatus(request.message, request.isError || false);
-        if (request.isProcessing !== undefined) {
-            setProcessing(request.isProcessing);
-        }
+    } else if (request.action === "jobUpdate") {
+        handleJobUpdate(request.data);
     } else if (request.action === "displayTranscript") {
-        setProcessing(false); // Transcript process finished
         if (request.data) {
             displayFormattedTranscript(request.data);
             updateStatus('Transcript processed.');
@@ -136,8 +822,58 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             transcriptResultDiv.textContent = `Error: ${request.error}`;
             updateStatus(`Error fetching transcript: ${request.error}`, true);
         }
+    } else if (request.action === "displaySummary") {
+        if (request.data) {
+            displayFormattedSummary(request.data);
+            updateStatus('Summary complete.');
+        } else if (request.error) {
+            summaryResultDiv.textContent = `Error: ${request.error}`;
+            updateStatus(`Error summarizing video: ${request.error}`, true);
+        }
+    } else if (request.action === "displayVideoFactCheck") {
+        if (request.data) {
+            displayVideoFactCheck(request.data);
+            updateStatus('Video fact-check complete.');
+        } else if (request.error) {
+            claimsResultDiv.textContent = `Error: ${request.error}`;
+            updateStatus(`Error fact-checking video: ${request.error}`, true);
+        }
+    } else if (request.action === "displayPlaylistReport") {
+        if (request.data) {
+            displayPlaylistReport(request.data);
+            updateStatus('Playlist report complete.');
+        } else if (request.error) {
+            playlistResultDiv.textContent = `Error: ${request.error}`;
+            updateStatus(`Error analyzing playlist: ${request.error}`, true);
+        }
+    } else if (request.action === "liveChatUpdate" && request.data) {
+        displayLiveChat(request.data);
+    } else if (request.action === "displayLiveChat") {
+        if (request.data) {
+            displayLiveChat(request.data);
+            updateStatus(`Live chat analysis ${request.data.stopped ? 'stopped' : 'ended'}.`);
+        } else if (request.error) {
+            liveChatResultDiv.textContent = `Error: ${request.error}`;
+            updateStatus(`Error analyzing live chat: ${request.error}`, true);
+        }
+    } else if (request.action === "displayChatAnswer") {
+        setChatPending(false);
+        if (request.data) {
+            appendChatTurn(request.data.turn);
+            chatInput.value = '';
+            updateStatus('Answer ready.');
+        } else if (request.error) {
+            updateStatus(request.error, true);
+        }
+    } else if (request.action === "updateQuota") {
+        displayQuotaUsage(request.data);
+    } else if (request.action === "displayCaptionTracks") {
+        if (request.data) {
+            displayCaptionTracks(request.data);
+        } else if (request.error) {
+            console.warn("Could not list caption tracks:", request.error);
+        }
     } else if (request.action === "displayCommentAnalysis") {
-        setProcessing(false); // Comment analysis finished
         if (request.data) {
             displayFormattedCommentAnalysis(request.data);
             updateStatus('Comment analysis complete.');
@@ -146,7 +882,6 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             updateStatus(`Error analyzing comments: ${request.error}`, true);
         }
     } else if (request.action === "displayFactCheck") {
-        setProcessing(false); // Fact check finished (assuming it was triggered)
         if (request.data) {
             displayFormattedFactCheck(request.data);
             updateStatus('Fact-check complete.');
@@ -160,4 +895,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Initial status
 updateStatus("Ready. Ensure API keys are set in options.");
-setProcessing(false);
\ No newline at end of file
+
+chrome.runtime.sendMessage({ action: "getQuotaUsage" }, displayQuotaUsage);
+
+// Populate the track picker and restore saved results and chat history for the current video,
+// and the last report for the playlist it is part of
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const ids = parseYouTubeUrl(tabs[0]?.url);
+    if (!tabs[0]?.id || !(ids?.videoId || ids?.playlistId)) return;
+    activeTabId = tabs[0].id;
+    playlistSectionDiv.hidden = !ids.playlistId;
+
+    if (ids.videoId) {
+        reportExportDiv.hidden = false;
+        openCompareLink.href = `compare.html?videos=${encodeURIComponent(ids.videoId)}`; // Start the comparison from this video
+        chrome.runtime.sendMessage({ action: "listCaptionTracks", tabId: tabs[0].id });
+        chrome.runtime.sendMessage({ action: "getVideoMetadata", tabId: tabs[0].id }, (response) => {
+            if (response?.metadata) displayVideoContext(response.metadata);
+            else if (response?.error) console.error("Could not load video metadata:", response.error);
+        });
+        chrome.runtime.sendMessage({ action: "getChatHistory", tabId: tabs[0].id }, (response) => {
+            if (response?.turns) displayChatHistory(response.turns);
+        });
+    }
+    // Resubscribe to jobs started from an earlier popup, then restore what isn't still being worked on
+    chrome.runtime.sendMessage({ action: "getJobs", tabId: tabs[0].id }, (jobsResponse) => {
+        currentVideoId = jobsResponse?.videoId || null;
+        (jobsResponse?.jobs || []).forEach(job => jobs.set(job.id, job));
+        renderJobs();
+        if (ids.videoId) {
+            chrome.runtime.sendMessage({ action: "getCachedResults", tabId: tabs[0].id }, (response) => {
+                if (response?.analyses) restoreCachedResults(response.analyses);
+            });
+        }
+        chrome.runtime.sendMessage({ action: "getLiveChat", tabId: tabs[0].id }, (response) => {
+            const liveChat = response?.liveChat;
+            if (liveChat && (liveChat.snapshot.sample || !ids.videoId || liveChat.snapshot.videoId === ids.videoId)) displayLiveChat(liveChat.snapshot);
+        });
+        if (ids.playlistId && !isJobRunning('playlist')) {
+            chrome.runtime.sendMessage({ action: "getPlaylistReport", tabId: tabs[0].id }, (response) => {
+                if (response?.report) displayPlaylistReport(response.report);
+            });
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,440 @@
+// --- Video Reports ---
+// Combines everything saved for a video (metadata, transcript, summary, comment analysis, fact-checks and
+// the last live chat snapshot) into one report, exported as standalone HTML, Markdown or versioned JSON.
+// The JSON is the report object itself; consumers should check `schema` and `schemaVersion`.
+// Depends on urls.js, dom.js (parseHttpUrl), transcript.js and exporters.js. Loaded by popup.html.
+
+const REPORT_SCHEMA = 'yt-context-analyzer/video-report';
+// Bump when a field is renamed, removed or changes meaning; adding fields keeps the version
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_TRANSCRIPT_EXCERPT_CHARS = 2000;
+const REPORT_SAMPLE_COMMENTS_PER_SENTIMENT = 3;
+const REPORT_DESCRIPTION_CHARS = 1000; // In the HTML and Markdown; the JSON keeps the whole description
+
+const REPORT_EXPORT_FORMATS = {
+    html: { extension: 'html', mimeType: 'text/html', build: reportToHtml },
+    md: { extension: 'md', mimeType: 'text/markdown', build: reportToMarkdown },
+    json: { extension: 'json', mimeType: 'application/json', build: report => `${JSON.stringify(report, null, 2)}\n` }
+};
+
+// --- Report Model ---
+
+function reportVideo(videoId, metadata, fallbackTitle) {
+    if (!metadata) return { videoId: videoId, url: videoWatchUrl(videoId), title: fallbackTitle || videoId, channel: null };
+    return {
+        videoId: videoId,
+        url: videoWatchUrl(videoId),
+        title: metadata.title || fallbackTitle || videoId,
+        channel: metadata.channel ? { title: metadata.channel.title, handle: metadata.channel.handle || null, subscriberCount: metadata.channel.subscriberCount ?? null } : null,
+        publishedAt: metadata.publishedAt || null,
+        duration: metadata.duration ?? null,
+        viewCount: metadata.viewCount ?? null,
+        likeCount: metadata.likeCount ?? null,
+        commentCount: metadata.commentCount ?? null,
+        category: metadata.category || null,
+        tags: metadata.tags || [],
+        description: metadata.description || ''
+    };
+}
+
+// The opening of the transcript, cut at a line boundary
+function reportTranscript(entry) {
+    const transcript = entry?.data;
+    if (!transcript?.segments) return null; // The API fallback only saves a note about available tracks
+    const excerpt = [];
+    let chars = 0;
+    for (const segment of transcript.segments) {
+        if (chars + segment.text.length > REPORT_TRANSCRIPT_EXCERPT_CHARS && excerpt.length > 0) break;
+        excerpt.push({ start: segment.start, text: segment.text, url: videoWatchUrl(transcript.videoId, segment.start) });
+        chars += segment.text.length + 1;
+    }
+    return {
+        savedAt: entry.savedAt,
+        language: transcript.language,
+        languageCode: transcript.languageCode,
+        isAuto: !!transcript.isAuto,
+        translatedFrom: transcript.translatedFrom || null,
+        segmentCount: transcript.segments.length,
+        duration: transcriptDuration(transcript),
+        excerptTruncated: excerpt.length < transcript.segments.length,
+        excerpt: excerpt
+    };
+}
+
+function reportSummary(entry, videoId) {
+    const summary = entry?.data;
+    if (!summary) return null;
+    return {
+        savedAt: entry.savedAt,
+        tldr: summary.tldr,
+        keyPoints: summary.keyPoints || [],
+        chapters: (summary.chapters || []).map(c => ({ start: c.start, title: c.title, url: videoWatchUrl(videoId, c.start) }))
+    };
+}
+
+function reportComments(entry) {
+    const analysis = entry?.data;
+    if (!analysis) return null;
+    const top = analysis.topCommentsBySentiment || {};
+    return {
+        savedAt: entry.savedAt,
+        totalFetched: analysis.totalFetched,
+        totalAnalyzed: analysis.totalAnalyzed,
+        totalUnanalyzed: analysis.totalUnanalyzed || 0,
+        sentiment: analysis.sentiment,
+        weightedSentiment: analysis.weightedSentiment || null,
+        sentimentEngines: analysis.sentimentEngines || {},
+        flags: analysis.flags || null,
+        themes: (analysis.themes || []).map(t => ({ name: t.name, description: t.description, count: t.count, weightedShare: t.weightedShare, sentiment: t.sentiment })),
+        sampleComments: ['positive', 'negative', 'neutral'].flatMap(sentiment => (top[sentiment] || [])
+            .slice(0, REPORT_SAMPLE_COMMENTS_PER_SENTIMENT)
+            .map(c => ({ sentiment: sentiment, author: c.author, text: c.text, likeCount: c.likeCount, publishedAt: c.publishedAt || null, sentimentEngine: c.sentimentEngine || null })))
+    };
+}
+
+// Results saved before evidence retrieval have plain-string sources
+function reportSources(sources) {
+    return (sources || []).filter(Boolean).map(source => typeof source === 'string'
+        ? { title: source, url: null, quote: null, verified: false }
+        : { title: source.title, url: source.url || null, quote: source.quote, verified: !!source.verified });
+}
+
+function reportFactCheck(entry, videoId) {
+    const report = entry?.data;
+    if (!report) return null;
+    return {
+        savedAt: entry.savedAt,
+        totalExtracted: report.totalExtracted ?? report.claims.length,
+        verdictCounts: report.verdictCounts || report.claims.reduce((counts, c) => ({ ...counts, [c.verdict]: (counts[c.verdict] || 0) + 1 }), {}),
+        claims: [...report.claims].sort((a, b) => a.start - b.start).map(claim => ({
+            claim: claim.claim,
+            start: claim.start,
+            url: videoWatchUrl(videoId, claim.start),
+            verdict: claim.verdict,
+            confidence: claim.confidence ?? null,
+            explanation: claim.explanation,
+            sources: reportSources(claim.sources)
+        }))
+    };
+}
+
+function reportLiveChat(snapshot) {
+    if (!snapshot || snapshot.totalMessages === 0) return null;
+    return {
+        source: snapshot.source,
+        startedAt: snapshot.startedAt,
+        latestAt: snapshot.latestAt,
+        totalMessages: snapshot.totalMessages,
+        totals: snapshot.totals,
+        gauge: snapshot.gauge,
+        trendingTerms: snapshot.trendingTerms,
+        spikes: snapshot.spikes
+    };
+}
+
+// analyses as returned by getVideoAnalyses() (entries keyed by type); metadata and liveChat may be null.
+// A live chat snapshot only counts when it is from this video, not a replayed recording.
+function buildVideoReport({ videoId, metadata = null, analyses = {}, liveChat = null, generator = null }) {
+    const fallbackTitle = Object.values(analyses).map(entry => entry?.title).find(Boolean);
+    return {
+        schema: REPORT_SCHEMA,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        generator: generator,
+        video: reportVideo(videoId, metadata, fallbackTitle),
+        summary: reportSummary(analyses.summary, videoId),
+        transcript: reportTranscript(analyses.transcript),
+        comments: reportComments(analyses.comments),
+        factCheck: reportFactCheck(analyses.videoFactCheck, videoId),
+        selectionFactChecks: (analyses.factChecks?.data || []).map(check => ({
+            claim: check.claim,
+            checkedAt: check.checkedAt || null,
+            verdict: check.verdict,
+            confidence: check.confidence ?? null,
+            explanation: check.explanation,
+            sources: reportSources(check.sources)
+        })),
+        liveChat: reportLiveChat(liveChat?.videoId === videoId && !liveChat.sample ? liveChat : null)
+    };
+}
+
+function hasReportContent(report) {
+    return !!(report.summary || report.transcript || report.comments || report.factCheck || report.selectionFactChecks.length > 0 || report.liveChat);
+}
+
+// --- Shared Formatting ---
+
+function formatReportPercent(share) {
+    return `${Math.round((share || 0) * 100)}%`;
+}
+
+function formatReportDate(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? String(iso) : date.toLocaleString();
+}
+
+function formatReportConfidence(confidence) {
+    return confidence === null ? '' : ` (${Math.round(confidence * 100)}% confidence)`;
+}
+
+function truncateReportText(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, maxChars).trimEnd()}...` : text;
+}
+
+// "Channel · 12,345 views · ..." for the report header
+function describeReportVideo(video) {
+    const parts = [
+        video.channel?.title,
+        video.publishedAt && `published ${new Date(video.publishedAt).toLocaleDateString()}`,
+        video.duration && `${formatTimestamp(video.duration)} long`,
+        video.viewCount !== null && video.viewCount !== undefined && `${video.viewCount.toLocaleString()} views`,
+        video.likeCount !== null && video.likeCount !== undefined && `${video.likeCount.toLocaleString()} likes`,
+        video.commentCount !== null && video.commentCount !== undefined && `${video.commentCount.toLocaleString()} comments`
+    ];
+    return parts.filter(Boolean).join(' · ');
+}
+
+function describeSentimentCounts(comments) {
+    return ['positive', 'negative', 'neutral'].map(s => {
+        const weighted = comments.weightedSentiment ? `, ${formatReportPercent(comments.weightedSentiment[s])} by likes` : '';
+        return `${s[0].toUpperCase()}${s.slice(1)}: ${comments.sentiment[s]}${weighted}`;
+    });
+}
+
+function describeEngines(engines) {
+    const entries = Object.entries(engines);
+    return entries.length > 0 ? `Labels: ${entries.map(([engine, count]) => `${count} by ${engine}`).join(', ')}` : null;
+}
+
+// --- Markdown ---
+
+function markdownLink(text, url) {
+    const safeUrl = parseHttpUrl(url);
+    return safeUrl ? `[${escapeMarkdown(text)}](<${safeUrl.href}>)` : escapeMarkdown(text);
+}
+
+function markdownSources(sources) {
+    return sources.map(source => {
+        const quote = source.quote ? `"${escapeMarkdown(source.quote)}" - ` : '';
+        return `    - ${quote}${markdownLink(source.title, source.url)}${source.verified ? '' : ' (not verified)'}`;
+    });
+}
+
+function reportToMarkdown(report) {
+    const video = report.video;
+    const details = describeReportVideo(video);
+    const lines = [
+        `# ${escapeMarkdown(video.title)}`,
+        '',
+        `- Video: <${video.url}>`,
+        details ? `- ${escapeMarkdown(details)}` : null,
+        video.tags?.length > 0 && `- Tags: ${escapeMarkdown(video.tags.join(', '))}`,
+        `- Report generated ${formatReportDate(report.generatedAt)}`,
+        ''
+    ];
+    if (video.description) lines.push(...truncateReportText(video.description, REPORT_DESCRIPTION_CHARS).split('\n').map(line => `> ${escapeMarkdown(line)}`), '');
+
+    if (report.summary) {
+        lines.push('## Summary', '', escapeMarkdown(report.summary.tldr), '');
+        report.summary.keyPoints.forEach(point => lines.push(`- ${escapeMarkdown(point)}`));
+        if (report.summary.keyPoints.length > 0) lines.push('');
+        if (report.summary.chapters.length > 0) {
+            lines.push('### Chapters', '');
+            report.summary.chapters.forEach(c => lines.push(`- [${formatTimestamp(c.start)}](<${c.url}>) ${escapeMarkdown(c.title)}`));
+            lines.push('');
+        }
+    }
+
+    if (report.transcript) {
+        const t = report.transcript;
+        lines.push('## Transcript excerpt', '', `${escapeMarkdown(t.language)}, ${t.segmentCount} lines, ${formatTimestamp(t.duration)}${t.excerptTruncated ? ' (opening shown)' : ''}.`, '');
+        t.excerpt.forEach(s => lines.push(`- [${formatTimestamp(s.start)}](<${s.url}>) ${escapeMarkdown(s.text)}`));
+        lines.push('');
+    }
+
+    if (report.comments) {
+        const c = report.comments;
+        lines.push('## Comment sentiment', '', `${c.totalAnalyzed} comments analyzed${c.totalUnanalyzed ? `, ${c.totalUnanalyzed} could not be analyzed` : ''}.`, '');
+        describeSentimentCounts(c).forEach(line => lines.push(`- ${line}`));
+        if (c.flags) lines.push(`- Questions: ${c.flags.question}, toxic: ${c.flags.toxic}, spam: ${c.flags.spam}`);
+        const engines = describeEngines(c.sentimentEngines);
+        if (engines) lines.push(`- ${escapeMarkdown(engines)}`);
+        lines.push('');
+        if (c.themes.length > 0) {
+            lines.push('### Themes', '', '| Theme | Comments | Engagement |', '| --- | --- | --- |');
+            c.themes.forEach(t => lines.push(`| ${escapeMarkdown(t.name).replace(/\|/g, '\\|')} | ${t.count} | ${formatReportPercent(t.weightedShare)} |`));
+            lines.push('');
+        }
+        if (c.sampleComments.length > 0) {
+            lines.push('### Sample comments', '');
+            c.sampleComments.forEach(comment => lines.push(`- **${comment.sentiment}**, ${comment.likeCount} likes, ${escapeMarkdown(comment.author)}: ${escapeMarkdown(comment.text.replace(/\s+/g, ' '))}`));
+            lines.push('');
+        }
+    }
+
+    if (report.factCheck) {
+        const f = report.factCheck;
+        const counts = Object.entries(f.verdictCounts).map(([verdict, count]) => `${verdict}: ${count}`).join(', ');
+        lines.push('## Fact-check', '', `Claims checked: ${f.claims.length}${f.totalExtracted > f.claims.length ? ` of ${f.totalExtracted} found` : ''}. ${counts}`, '');
+        f.claims.forEach(claim => {
+            lines.push(`- [${formatTimestamp(claim.start)}](<${claim.url}>) **${escapeMarkdown(claim.verdict)}**${formatReportConfidence(claim.confidence)}: ${escapeMarkdown(claim.claim)}`);
+            lines.push(`  ${escapeMarkdown(claim.explanation)}`);
+            lines.push(...markdownSources(claim.sources));
+        });
+        lines.push('');
+    }
+
+    if (report.selectionFactChecks.length > 0) {
+        lines.push('## Selection fact-checks', '');
+        report.selectionFactChecks.forEach(check => {
+            lines.push(`- **${escapeMarkdown(check.verdict)}**${formatReportConfidence(check.confidence)}: ${escapeMarkdown(check.claim)}`);
+            lines.push(`  ${escapeMarkdown(check.explanation)}`);
+            lines.push(...markdownSources(check.sources));
+        });
+        lines.push('');
+    }
+
+    if (report.liveChat) {
+        const chat = report.liveChat;
+        lines.push('## Live chat', '', `${chat.totalMessages} messages (${escapeMarkdown(chat.source)}), ${formatReportDate(chat.startedAt)} to ${formatReportDate(chat.latestAt)}. Positive ${chat.totals.positive}, negative ${chat.totals.negative}, neutral ${chat.totals.neutral}.`, '');
+        if (chat.trendingTerms.length > 0) lines.push(`- Trending at the end: ${escapeMarkdown(chat.trendingTerms.map(t => `${t.term} (${t.count})`).join(', '))}`);
+        chat.spikes.forEach(spike => lines.push(`- Spike at ${formatReportDate(spike.start)}: ${spike.count} messages (usually ~${spike.baseline})${spike.terms.length > 0 ? ` - ${escapeMarkdown(spike.terms.join(', '))}` : ''}`));
+        lines.push('');
+    }
+
+    lines.push('---', '', `Schema ${report.schema} v${report.schemaVersion}.`);
+    return lines.filter(line => typeof line === 'string').join('\n') + '\n';
+}
+
+// --- HTML ---
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function htmlLink(text, url) {
+    const safeUrl = parseHttpUrl(url);
+    return safeUrl ? `<a href="${escapeHtml(safeUrl.href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function htmlTimestamp(seconds, url) {
+    return `<a class="ts" href="${escapeHtml(url)}">${formatTimestamp(seconds)}</a>`;
+}
+
+function htmlSources(sources) {
+    if (sources.length === 0) return '';
+    return `<ul class="sources">${sources.map(source =>
+        `<li>${source.quote ? `<q>${escapeHtml(source.quote)}</q> - ` : ''}${htmlLink(source.title, source.url)}${source.verified ? '' : ' <span class="warn">(not verified)</span>'}</li>`).join('')}</ul>`;
+}
+
+function htmlVerdict(verdict) {
+    return `<span class="verdict verdict-${escapeHtml(verdict.toLowerCase().replace(/\s+/g, '-'))}">${escapeHtml(verdict)}</span>`;
+}
+
+const REPORT_HTML_STYLES = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, "Noto Sans Tamil", sans-serif; color: #222; max-width: 860px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 17px; border-bottom: 1px solid #ddd; padding-bottom: 3px; margin-top: 28px; }
+h3 { font-size: 15px; }
+a { color: #065fd4; }
+.meta, .note { color: #666; font-size: 12px; }
+blockquote { margin: 8px 0; padding: 4px 12px; border-left: 3px solid #ddd; color: #555; white-space: pre-wrap; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: 3px 8px; text-align: left; }
+ul { padding-left: 20px; }
+.ts { font-family: monospace; margin-right: 6px; text-decoration: none; }
+.sources { font-size: 12px; color: #555; }
+.warn { color: #b35c00; }
+.verdict { display: inline-block; padding: 0 6px; border-radius: 3px; font-size: 12px; font-weight: bold; background: #e2e3e5; }
+.verdict-true { background: #d4edda; }
+.verdict-false { background: #f8d7da; }
+.verdict-misleading { background: #ffe5cc; }
+.verdict-partially-true { background: #fff3cd; }
+.bar { display: inline-block; height: 10px; vertical-align: middle; }
+.bar-positive { background: #28a745; } .bar-negative { background: #dc3545; } .bar-neutral { background: #adb5bd; }
+`;
+
+// A single file with its styles inline, no scripts and no remote resources
+function reportToHtml(report) {
+    const video = report.video;
+    const sections = [];
+
+    if (report.summary) {
+        const s = report.summary;
+        sections.push(`<h2>Summary</h2><p>${escapeHtml(s.tldr)}</p>` +
+            (s.keyPoints.length > 0 ? `<ul>${s.keyPoints.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : '') +
+            (s.chapters.length > 0 ? `<h3>Chapters</h3><ul>${s.chapters.map(c => `<li>${htmlTimestamp(c.start, c.url)}${escapeHtml(c.title)}</li>`).join('')}</ul>` : ''));
+    }
+
+    if (report.transcript) {
+        const t = report.transcript;
+        sections.push(`<h2>Transcript excerpt</h2><p class="note">${escapeHtml(t.language)}, ${t.segmentCount} lines, ${formatTimestamp(t.duration)}${t.excerptTruncated ? ' (opening shown)' : ''}.</p>` +
+            `<div>${t.excerpt.map(s => `<div>${htmlTimestamp(s.start, s.url)}${escapeHtml(s.text)}</div>`).join('')}</div>`);
+    }
+
+    if (report.comments) {
+        const c = report.comments;
+        const total = c.sentiment.positive + c.sentiment.negative + c.sentiment.neutral || 1;
+        const bars = ['positive', 'negative', 'neutral'].map(s => `<span class="bar bar-${s}" style="width:${Math.round(c.sentiment[s] / total * 300)}px"></span>`).join('');
+        const engines = describeEngines(c.sentimentEngines);
+        sections.push(`<h2>Comment sentiment</h2><p>${c.totalAnalyzed} comments analyzed${c.totalUnanalyzed ? `, ${c.totalUnanalyzed} could not be analyzed` : ''}.</p>` +
+            `<div>${bars}</div><ul>${describeSentimentCounts(c).map(line => `<li>${escapeHtml(line)}</li>`).join('')}` +
+            (c.flags ? `<li>Questions: ${c.flags.question}, toxic: ${c.flags.toxic}, spam: ${c.flags.spam}</li>` : '') + '</ul>' +
+            (engines ? `<p class="note">${escapeHtml(engines)}</p>` : '') +
+            (c.themes.length > 0 ? `<h3>Themes</h3><table><tr><th>Theme</th><th>Comments</th><th>Engagement</th></tr>${c.themes.map(t =>
+                `<tr><td title="${escapeHtml(t.description)}">${escapeHtml(t.name)}</td><td>${t.count}</td><td>${formatReportPercent(t.weightedShare)}</td></tr>`).join('')}</table>` : '') +
+            (c.sampleComments.length > 0 ? `<h3>Sample comments</h3><ul>${c.sampleComments.map(comment =>
+                `<li><b>${escapeHtml(comment.sentiment)}</b>, ${comment.likeCount} likes, ${escapeHtml(comment.author)}: ${escapeHtml(comment.text)}</li>`).join('')}</ul>` : ''));
+    }
+
+    if (report.factCheck) {
+        const f = report.factCheck;
+        const counts = Object.entries(f.verdictCounts).map(([verdict, count]) => `${htmlVerdict(verdict)} ${count}`).join(' ');
+        sections.push(`<h2>Fact-check</h2><p>Claims checked: ${f.claims.length}${f.totalExtracted > f.claims.length ? ` of ${f.totalExtracted} found` : ''}. ${counts}</p>` +
+            `<ul>${f.claims.map(claim => `<li>${htmlTimestamp(claim.start, claim.url)}${htmlVerdict(claim.verdict)}${escapeHtml(formatReportConfidence(claim.confidence))} ${escapeHtml(claim.claim)}` +
+                `<div class="note">${escapeHtml(claim.explanation)}</div>${htmlSources(claim.sources)}</li>`).join('')}</ul>`);
+    }
+
+    if (report.selectionFactChecks.length > 0) {
+        sections.push(`<h2>Selection fact-checks</h2><ul>${report.selectionFactChecks.map(check =>
+            `<li>${htmlVerdict(check.verdict)}${escapeHtml(formatReportConfidence(check.confidence))} ${escapeHtml(check.claim)}<div class="note">${escapeHtml(check.explanation)}</div>${htmlSources(check.sources)}</li>`).join('')}</ul>`);
+    }
+
+    if (report.liveChat) {
+        const chat = report.liveChat;
+        sections.push(`<h2>Live chat</h2><p>${chat.totalMessages} messages (${escapeHtml(chat.source)}), ${escapeHtml(formatReportDate(chat.startedAt))} to ${escapeHtml(formatReportDate(chat.latestAt))}. ` +
+            `Positive ${chat.totals.positive}, negative ${chat.totals.negative}, neutral ${chat.totals.neutral}.</p>` +
+            (chat.trendingTerms.length > 0 ? `<p>Trending at the end: ${escapeHtml(chat.trendingTerms.map(t => `${t.term} (${t.count})`).join(', '))}</p>` : '') +
+            (chat.spikes.length > 0 ? `<ul>${chat.spikes.map(spike => `<li>Spike at ${escapeHtml(formatReportDate(spike.start))}: ${spike.count} messages (usually ~${spike.baseline})${spike.terms.length > 0 ? ` - ${escapeHtml(spike.terms.join(', '))}` : ''}</li>`).join('')}</ul>` : ''));
+    }
+
+    const description = video.description ? `<blockquote>${escapeHtml(truncateReportText(video.description, REPORT_DESCRIPTION_CHARS))}</blockquote>` : '';
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta name="generator" content="${escapeHtml(REPORT_SCHEMA)} v${REPORT_SCHEMA_VERSION}">
+<title>${escapeHtml(video.title)} - Analysis report</title>
+<style>${REPORT_HTML_STYLES}</style>
+</head>
+<body>
+<h1>${htmlLink(video.title, video.url)}</h1>
+<div class="meta">${escapeHtml(describeReportVideo(video))}</div>
+${video.tags?.length > 0 ? `<div class="meta">Tags: ${escapeHtml(video.tags.join(', '))}</div>` : ''}
+${description}
+${sections.join('\n')}
+<p class="note">Report generated ${escapeHtml(formatReportDate(report.generatedAt))}. Schema ${escapeHtml(report.schema)} v${report.schemaVersion}.</p>
+</body>
+</html>
+`;
+}
+
+// --- Export ---
+
+function exportVideoReport(report, formatKey) {
+    const format = REPORT_EXPORT_FORMATS[formatKey];
+    if (!format) throw new Error(`Unknown report format: ${formatKey}`);
+    const filename = `${sanitizeFilename(report.video.title, report.video.videoId)} - report.${format.extension}`;
+    downloadTextFile(format.build(report), filename, format.mimeType);
+    return filename;
+}
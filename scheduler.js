@@ -0,0 +1,191 @@
+// --- Request Scheduler ---
+// Every outgoing request from the service worker goes through scheduledFetch(): bounded concurrency
+// per pool, exponential backoff on 429/5xx/network errors that honors Retry-After, YouTube Data API
+// quota accounting, and cancellation through an AbortSignal (the popup's Stop button).
+
+const REQUEST_POOL_LIMITS = {
+    youtube: 4, // YouTube Data API
+    web: 4,     // Watch pages and timedtext
+    llm: 3      // Model requests; local servers may want this lower
+};
+const REQUEST_MAX_RETRIES = 3;
+const REQUEST_RETRY_BASE_MS = 1000; // Doubled on every retry, plus jitter
+const REQUEST_RETRY_MAX_MS = 60000;
+
+// Units per call of each YouTube Data API method (https://developers.google.com/youtube/v3/determine_quota_cost)
+const YOUTUBE_QUOTA_COSTS = {
+    captions: 50,
+    channels: 1,
+    commentThreads: 1,
+    comments: 1,
+    messages: 5, // liveChat/messages
+    playlistItems: 1,
+    playlists: 1,
+    search: 100,
+    videos: 1
+};
+const YOUTUBE_QUOTA_KEY = 'youtubeQuotaUsage';
+
+const requestPools = {}; // pool -> { active, queue: [resolve] }
+
+function stoppedError() {
+    return new DOMException("Stopped by user.", 'AbortError');
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Wait for a free slot in the pool; queued callers give up when the signal aborts
+function acquireRequestSlot(pool, signal) {
+    const state = requestPools[pool] || (requestPools[pool] = { active: 0, queue: [] });
+    if (signal?.aborted) return Promise.reject(stoppedError());
+    if (state.active < (REQUEST_POOL_LIMITS[pool] || 1)) {
+        state.active++;
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const waiter = () => {
+            signal?.removeEventListener('abort', onAbort);
+            state.active++;
+            resolve();
+        };
+        const onAbort = () => {
+            state.queue.splice(state.queue.indexOf(waiter), 1);
+            reject(stoppedError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        state.queue.push(waiter);
+    });
+}
+
+function releaseRequestSlot(pool) {
+    const state = requestPools[pool];
+    state.active--;
+    const next = state.queue.shift();
+    if (next) next();
+}
+
+function sleepUnlessAborted(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(stoppedError());
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(stoppedError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Settles like the promise, or rejects as stopped when the signal aborts first. The work behind the promise
+// carries on, so one caller can stop waiting on a result other callers still want.
+function unlessAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(stoppedError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(stoppedError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(response) {
+    const header = response.headers.get('Retry-After');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+    const base = REQUEST_RETRY_BASE_MS * 2 ** attempt;
+    return Math.min(base + Math.random() * base * 0.5, REQUEST_RETRY_MAX_MS);
+}
+
+// 403s are not retried: for YouTube they mean quotaExceeded or a bad key, and waiting won't help
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// options: { pool, signal, timeoutMs, retries }. Resolves with the final Response (ok or not);
+// rejects on abort, timeout, or a network error that outlasted the retries.
+async function scheduledFetch(url, init = {}, options = {}) {
+    const pool = options.pool || 'web';
+    const signal = options.signal || null;
+    const maxRetries = options.retries ?? REQUEST_MAX_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireRequestSlot(pool, signal);
+        let response;
+        let networkError = null;
+        try {
+            const signals = [signal, options.timeoutMs ? AbortSignal.timeout(options.timeoutMs) : null].filter(Boolean);
+            if (pool === 'youtube') recordYouTubeQuota(youtubeQuotaCost(url)); // Google counts failed calls too
+            response = await fetch(url, { ...init, signal: signals.length > 0 ? AbortSignal.any(signals) : undefined });
+        } catch (error) {
+            if (signal?.aborted) throw stoppedError();
+            if (error.name === 'TimeoutError') throw new Error(`Request did not complete within ${options.timeoutMs / 1000} seconds.`);
+            networkError = error;
+        } finally {
+            releaseRequestSlot(pool);
+        }
+
+        if (response && (response.ok || !isRetryableStatus(response.status))) return response;
+        if (attempt >= maxRetries) {
+            if (networkError) throw networkError;
+            return response;
+        }
+
+        const delay = (response && retryAfterMs(response)) ?? backoffMs(attempt);
+        console.warn(`Request to ${new URL(url).host} failed (${networkError ? networkError.message : response.status}), retrying in ${Math.round(delay)} ms...`);
+        await sleepUnlessAborted(delay, signal);
+    }
+}
+
+// --- YouTube Quota Accounting ---
+// Quota resets at midnight Pacific time, so usage is tracked per Pacific calendar day.
+
+let youtubeQuotaUsage = null; // { day, units }, loaded lazily from storage
+
+function quotaDay() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' }); // YYYY-MM-DD
+}
+
+function youtubeQuotaCost(url) {
+    const method = new URL(url).pathname.split('/').pop();
+    return YOUTUBE_QUOTA_COSTS[method] ?? 1;
+}
+
+async function loadYouTubeQuotaUsage() {
+    if (!youtubeQuotaUsage) {
+        const stored = await chrome.storage.local.get(YOUTUBE_QUOTA_KEY);
+        // Another request may have recorded usage while storage was being read
+        youtubeQuotaUsage = youtubeQuotaUsage || stored[YOUTUBE_QUOTA_KEY] || { day: quotaDay(), units: 0 };
+    }
+    if (youtubeQuotaUsage.day !== quotaDay()) {
+        youtubeQuotaUsage = { day: quotaDay(), units: 0 };
+    }
+    return youtubeQuotaUsage;
+}
+
+async function getYouTubeQuotaStatus() {
+    const [usage, settings] = await Promise.all([loadYouTubeQuotaUsage(), loadSettings()]);
+    return { day: usage.day, units: usage.units, limit: settings.youtubeDailyQuota };
+}
+
+function recordYouTubeQuota(units) {
+    loadYouTubeQuotaUsage()
+        .then(usage => {
+            usage.units += units;
+            return chrome.storage.local.set({ [YOUTUBE_QUOTA_KEY]: usage });
+        })
+        .then(getYouTubeQuotaStatus)
+        .then(status => sendDataToPopup("updateQuota", status))
+        .catch(err => console.error("Failed to record YouTube quota usage:", err));
+}
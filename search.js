@@ -0,0 +1,113 @@
+const searchForm = document.getElementById('searchForm');
+const searchQueryInput = document.getElementById('searchQuery');
+const searchBtn = document.getElementById('searchBtn');
+const clearLibraryBtn = document.getElementById('clearLibraryBtn');
+const libraryStatsDiv = document.getElementById('libraryStats');
+const statusDiv = document.getElementById('status');
+const resultsDiv = document.getElementById('searchResults');
+
+function updateStatus(message, isError = false) {
+    statusDiv.textContent = message;
+    statusDiv.style.color = isError ? 'red' : '#333';
+    console.log("Search status:", message);
+}
+
+function loadLibraryStats() {
+    chrome.runtime.sendMessage({ action: "getTranscriptLibraryStats" }, (response) => {
+        if (!response?.stats) {
+            libraryStatsDiv.textContent = `Could not read the transcript library: ${response?.error || chrome.runtime.lastError?.message || "No response."}`;
+            return;
+        }
+        const { videoCount, segmentCount, lastSavedAt } = response.stats;
+        libraryStatsDiv.textContent = videoCount === 0
+            ? "The library is empty. Transcripts are added here whenever one is loaded for a video."
+            : `${videoCount} transcript(s), ${segmentCount.toLocaleString()} caption lines. Last added ${new Date(lastSavedAt).toLocaleString()}.`;
+        clearLibraryBtn.disabled = videoCount === 0;
+    });
+}
+
+// --- Results ---
+
+// Snippet text with the matched words wrapped in <mark>
+function createSnippet(text, highlights) {
+    const parts = [];
+    let last = 0;
+    highlights.forEach(([start, end]) => {
+        parts.push(text.slice(last, start), el('mark', {}, text.slice(start, end)));
+        last = end;
+    });
+    parts.push(text.slice(last));
+    return parts.filter(Boolean);
+}
+
+// The whole hit is a link that opens the video at that moment
+function createHit(videoId, hit) {
+    return el('div', { className: 'hit' },
+        createLink(videoWatchUrl(videoId, hit.start), formatTimestamp(hit.start), { className: 'timestamp' }),
+        createLink(videoWatchUrl(videoId, hit.start), createSnippet(hit.text, hit.highlights), { className: 'snippet' }));
+}
+
+function createResult(result) {
+    const more = result.matchCount > result.hits.length ? `, showing ${result.hits.length}` : '';
+    return el('div', { className: 'search-result' },
+        el('h2', {}, createLink(videoWatchUrl(result.videoId), result.title)),
+        el('div', { className: 'result-meta' }, `${result.matchCount} matching line(s)${more} - ${result.language}`),
+        result.hits.map(hit => createHit(result.videoId, hit)));
+}
+
+function renderResults(summary) {
+    if (summary.indexedVideos === 0) {
+        resultsDiv.replaceChildren();
+        updateStatus("No transcripts in the library yet.");
+        return;
+    }
+    resultsDiv.replaceChildren(...summary.results.map(createResult));
+    const shown = summary.totalVideos > summary.results.length ? ` (showing the top ${summary.results.length})` : '';
+    updateStatus(summary.totalVideos === 0
+        ? `No matches in ${summary.indexedVideos} transcript(s).`
+        : `Found in ${summary.totalVideos} of ${summary.indexedVideos} transcript(s)${shown}.`);
+}
+
+function runSearch(query) {
+    searchBtn.disabled = true;
+    updateStatus('Searching...');
+    chrome.runtime.sendMessage({ action: "searchTranscripts", query: query }, (response) => {
+        searchBtn.disabled = false;
+        if (response?.results) {
+            renderResults(response.results);
+        } else {
+            updateStatus(`Search failed: ${response?.error || chrome.runtime.lastError?.message || "No response from the extension."}`, true);
+        }
+    });
+}
+
+// --- Events ---
+
+searchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const query = searchQueryInput.value.trim();
+    if (!query) return;
+    history.replaceState(null, '', `?q=${encodeURIComponent(query)}`); // Reloads and bookmarks repeat the search
+    runSearch(query);
+});
+
+clearLibraryBtn.addEventListener('click', () => {
+    if (!confirm("Delete every stored transcript from the search library? Saved analyses in History are kept.")) return;
+    chrome.runtime.sendMessage({ action: "clearTranscriptLibrary" }, (response) => {
+        if (response?.success) {
+            resultsDiv.replaceChildren();
+            updateStatus('Transcript library cleared.');
+        } else {
+            updateStatus(`Failed to clear the library: ${response?.error || "No response."}`, true);
+        }
+        loadLibraryStats();
+    });
+});
+
+// Initial load: library size, and the query passed in the URL (?q=...)
+loadLibraryStats();
+const initialQuery = new URLSearchParams(location.search).get('q');
+if (initialQuery) {
+    searchQueryInput.value = initialQuery;
+    runSearch(initialQuery);
+}
@@ -0,0 +1,115 @@
+// --- Shared Settings ---
+// Loaded by the background service worker (via importScripts) and by options.html.
+// Everything lives flat in chrome.storage.local so existing keys (youtubeApiKey, geminiApiKey) keep working.
+
+const DEFAULT_SETTINGS = {
+    youtubeApiKey: '',
+    geminiApiKey: '',
+    llmProvider: 'gemini', // 'gemini' or 'openai' (any OpenAI-compatible server, e.g. a local Ollama)
+    openaiBaseUrl: 'http://localhost:11434/v1',
+    openaiApiKey: '',
+    openaiModel: '', // When set, used for every feature instead of the per-feature models
+    sentimentModel: 'gemini-1.5-flash-latest', // Flash for speed/cost
+    sentimentEngine: 'auto', // 'auto' (model, local lexicon for what it can't label), 'llm' or 'lexicon'
+    factCheckModel: 'gemini-1.5-pro-latest',   // Pro for better reasoning
+    translationModel: 'gemini-1.5-flash-latest',
+    summaryModel: 'gemini-1.5-flash-latest',    // Long context at low cost
+    chatModel: 'gemini-1.5-flash-latest',
+    langPrefs: ['ta', 'en'],
+    commentMaxResults: 50,
+    playlistMaxVideos: 20, // Videos analyzed per playlist report, from the top of the playlist
+    youtubeDailyQuota: 10000, // Units per day for the YouTube Data API project behind the key
+    evidenceSearchUrl: '', // Search endpoint for fact-check evidence, with a {query} placeholder; empty = video evidence only
+    cacheTtlHours: 24 // 0 disables reuse of saved results
+};
+
+const LLM_PROVIDER_IDS = ['gemini', 'openai'];
+const SENTIMENT_ENGINE_IDS = ['auto', 'llm', 'lexicon'];
+const COMMENT_MAX_RESULTS_LIMIT = 1000;
+const PLAYLIST_MAX_VIDEOS_LIMIT = 200;
+const CACHE_TTL_HOURS_LIMIT = 24 * 30;
+const YOUTUBE_DAILY_QUOTA_LIMIT = 10000000;
+
+// Coerce a raw settings object (form values, imported JSON) into the stored shape.
+// Unknown keys are dropped; invalid values fall back to defaults.
+function sanitizeSettings(raw) {
+    const clean = {};
+    if (!raw || typeof raw !== 'object') return clean;
+
+    ['youtubeApiKey', 'geminiApiKey', 'openaiApiKey', 'openaiModel', 'sentimentModel', 'factCheckModel', 'translationModel', 'summaryModel', 'chatModel'].forEach(key => {
+        if (typeof raw[key] === 'string') {
+            clean[key] = raw[key].trim();
+        }
+    });
+    if (clean.sentimentModel === '') clean.sentimentModel = DEFAULT_SETTINGS.sentimentModel;
+    if (clean.factCheckModel === '') clean.factCheckModel = DEFAULT_SETTINGS.factCheckModel;
+    if (clean.translationModel === '') clean.translationModel = DEFAULT_SETTINGS.translationModel;
+    if (clean.summaryModel === '') clean.summaryModel = DEFAULT_SETTINGS.summaryModel;
+    if (clean.chatModel === '') clean.chatModel = DEFAULT_SETTINGS.chatModel;
+
+    if (raw.llmProvider !== undefined) {
+        clean.llmProvider = LLM_PROVIDER_IDS.includes(raw.llmProvider) ? raw.llmProvider : DEFAULT_SETTINGS.llmProvider;
+    }
+    if (raw.sentimentEngine !== undefined) {
+        clean.sentimentEngine = SENTIMENT_ENGINE_IDS.includes(raw.sentimentEngine) ? raw.sentimentEngine : DEFAULT_SETTINGS.sentimentEngine;
+    }
+
+    // Only http(s) server URLs; a trailing slash would double up with the /chat/completions path
+    if (typeof raw.openaiBaseUrl === 'string') {
+        const url = raw.openaiBaseUrl.trim().replace(/\/+$/, '');
+        clean.openaiBaseUrl = /^https?:\/\/[^\s/]+/i.test(url) ? url : DEFAULT_SETTINGS.openaiBaseUrl;
+    }
+
+    // The search endpoint must be http(s) and say where the query goes
+    if (typeof raw.evidenceSearchUrl === 'string') {
+        const url = raw.evidenceSearchUrl.trim();
+        clean.evidenceSearchUrl = /^https?:\/\/[^\s/]+\S*\{query\}/i.test(url) ? url : DEFAULT_SETTINGS.evidenceSearchUrl;
+    }
+
+    if (raw.langPrefs !== undefined) {
+        const list = Array.isArray(raw.langPrefs) ? raw.langPrefs : String(raw.langPrefs).split(',');
+        const langs = list.map(l => String(l).trim()).filter(l => /^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$/.test(l));
+        clean.langPrefs = langs.length > 0 ? langs : [...DEFAULT_SETTINGS.langPrefs];
+    }
+
+    if (raw.commentMaxResults !== undefined) {
+        const max = parseInt(raw.commentMaxResults, 10);
+        clean.commentMaxResults = Number.isFinite(max) && max > 0
+            ? Math.min(max, COMMENT_MAX_RESULTS_LIMIT)
+            : DEFAULT_SETTINGS.commentMaxResults;
+    }
+
+    if (raw.playlistMaxVideos !== undefined) {
+        const max = parseInt(raw.playlistMaxVideos, 10);
+        clean.playlistMaxVideos = Number.isFinite(max) && max > 0
+            ? Math.min(max, PLAYLIST_MAX_VIDEOS_LIMIT)
+            : DEFAULT_SETTINGS.playlistMaxVideos;
+    }
+
+    if (raw.youtubeDailyQuota !== undefined) {
+        const quota = parseInt(raw.youtubeDailyQuota, 10);
+        clean.youtubeDailyQuota = Number.isFinite(quota) && quota > 0
+            ? Math.min(quota, YOUTUBE_DAILY_QUOTA_LIMIT)
+            : DEFAULT_SETTINGS.youtubeDailyQuota;
+    }
+
+    if (raw.cacheTtlHours !== undefined) {
+        const ttl = parseFloat(raw.cacheTtlHours);
+        clean.cacheTtlHours = Number.isFinite(ttl) && ttl >= 0
+            ? Math.min(ttl, CACHE_TTL_HOURS_LIMIT)
+            : DEFAULT_SETTINGS.cacheTtlHours;
+    }
+
+    return clean;
+}
+
+// Read all settings, filling in defaults for anything not stored yet
+async function loadSettings() {
+    try {
+        const stored = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
+        return { ...DEFAULT_SETTINGS, ...sanitizeSettings(stored) };
+    } catch (err) {
+        console.error("Error loading settings:", err);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
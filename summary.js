@@ -0,0 +1,158 @@
+// --- Video Summary ---
+// Map-reduce summarization of a timestamped transcript into a TL;DR, key points and chapters.
+// Prompts go through the provider layer (llm.js); transcripts are chunked with chunkSegments() from transcript.js.
+
+const CHARS_PER_TOKEN = 4; // Rough estimate, good enough for budgeting prompt sizes
+const SUMMARY_CHUNK_TOKENS = 24000; // Transcript tokens per request; longer videos go through map-reduce
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+const SUMMARY_JSON_SPEC = `Respond ONLY with a single, valid JSON object containing the following fields:
+- "tldr": A 1-3 sentence summary of the whole video.
+- "keyPoints": An array of 3-8 short strings with the most important points.
+- "chapters": An array of objects { "start": number, "title": string } where "start" is the time in seconds (taken from the [seconds] markers) at which the chapter begins, ordered by time. Use 3-12 chapters depending on length.
+Write in the same language as the transcript. Do not include any other text or markdown formatting.`;
+
+// Reply schemas for llm.generateStructured()
+const CHAPTERS_SCHEMA = {
+    type: 'array',
+    items: { type: 'object', properties: { start: { type: 'number', minimum: 0 }, title: { type: 'string' } }, required: ['start', 'title'] }
+};
+const SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: { tldr: { type: 'string' }, keyPoints: { type: 'array', items: { type: 'string' } }, chapters: CHAPTERS_SCHEMA },
+    required: ['tldr', 'keyPoints', 'chapters']
+};
+const PARTIAL_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: { summary: { type: 'string' }, keyPoints: { type: 'array', items: { type: 'string' } }, chapters: CHAPTERS_SCHEMA },
+    required: ['summary', 'keyPoints', 'chapters']
+};
+
+// videoContext (formatMetadataForPrompt) tells the model who is speaking and when; may be empty
+function withVideoContext(videoContext) {
+    return videoContext ? `\n\n${videoContext}` : '';
+}
+
+function buildSummaryPrompt(title, segments, videoContext = '') {
+    return `Summarize the following YouTube video transcript. The video is titled "${title}". Each line starts with its start time in seconds in square brackets.${withVideoContext(videoContext)}
+
+${SUMMARY_JSON_SPEC}
+
+Transcript:
+${formatSegmentsForPrompt(segments)}`;
+}
+
+// Map step: summarize one part of a long transcript
+function buildPartialSummaryPrompt(title, segments, partNumber, partCount, videoContext = '') {
+    return `This is part ${partNumber} of ${partCount} of the transcript of the YouTube video "${title}". Each line starts with its start time in seconds in square brackets.${withVideoContext(videoContext)}
+
+Respond ONLY with a single, valid JSON object containing the following fields:
+- "summary": A concise paragraph summarizing this part.
+- "keyPoints": An array of short strings with the important points made in this part.
+- "chapters": An array of objects { "start": number, "title": string } marking topic changes within this part, with "start" in seconds taken from the [seconds] markers.
+Write in the same language as the transcript. Do not include any other text or markdown formatting.
+
+Transcript part:
+${formatSegmentsForPrompt(segments)}`;
+}
+
+// Reduce step: merge the partial summaries into the final result
+function buildReduceSummaryPrompt(title, partials, videoContext = '') {
+    return `Below are summaries of consecutive parts of the YouTube video "${title}", in order, each with candidate chapters (start times in seconds). Combine them into a summary of the whole video. Merge or drop candidate chapters so the result reads as one coherent chapter list, keeping the original start times.${withVideoContext(videoContext)}
+
+${SUMMARY_JSON_SPEC}
+
+Part summaries:
+${JSON.stringify(partials)}`;
+}
+
+// Clamp/sort chapters into something the player can link to; YouTube-style chapters start at 0
+function normalizeChapters(rawChapters, duration) {
+    if (!Array.isArray(rawChapters)) return [];
+    const seen = new Set();
+    const chapters = rawChapters
+        .map(c => ({ start: Math.floor(Number(c?.start)), title: String(c?.title || '').trim() }))
+        .filter(c => Number.isFinite(c.start) && c.start >= 0 && (!duration || c.start <= duration) && c.title)
+        .sort((a, b) => a.start - b.start)
+        .filter(c => {
+            if (seen.has(c.start)) return false;
+            seen.add(c.start);
+            return true;
+        });
+    if (chapters.length > 0) chapters[0].start = 0;
+    return chapters;
+}
+
+function normalizeSummary(raw, duration) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error("Summary response was not a JSON object.");
+    }
+    return {
+        tldr: String(raw.tldr || '').trim() || "No summary provided.",
+        keyPoints: Array.isArray(raw.keyPoints) ? raw.keyPoints.map(p => String(p).trim()).filter(Boolean) : [],
+        chapters: normalizeChapters(raw.chapters, duration)
+    };
+}
+
+async function summarizeTranscript(transcript, model, llm, job = null, videoContext = '') {
+    const title = transcript.title || transcript.videoId;
+    const duration = transcriptDuration(transcript);
+    const chunks = chunkSegments(transcript.segments, SUMMARY_CHUNK_TOKENS * CHARS_PER_TOKEN);
+
+    if (chunks.length === 1) {
+        reportProgress(job, `Summarizing transcript (~${estimateTokens(transcriptToPlainText(transcript))} tokens)...`);
+        const result = await llm.generateStructured(model, buildSummaryPrompt(title, transcript.segments, videoContext), SUMMARY_SCHEMA);
+        return { ...normalizeSummary(result, duration), chunkCount: 1 };
+    }
+
+    const partials = [];
+    for (let c = 0; c < chunks.length; c++) {
+        reportProgress(job, `Summarizing part ${c + 1} of ${chunks.length}...`);
+        const segments = chunks[c].map(({ segment }) => segment);
+        const partial = await llm.generateStructured(model, buildPartialSummaryPrompt(title, segments, c + 1, chunks.length, videoContext), PARTIAL_SUMMARY_SCHEMA);
+        partials.push({
+            part: c + 1,
+            from: Math.floor(segments[0].start),
+            summary: partial.summary,
+            keyPoints: partial.keyPoints,
+            chapters: normalizeChapters(partial.chapters, duration)
+        });
+    }
+
+    reportProgress(job, `Combining ${partials.length} partial summaries...`);
+    const result = await llm.generateStructured(model, buildReduceSummaryPrompt(title, partials, videoContext), SUMMARY_SCHEMA);
+    return { ...normalizeSummary(result, duration), chunkCount: chunks.length };
+}
+
+// options.job (optional) reports progress and stops the run; the job runner sends the result to the popup
+async function summarizeVideo(videoId, langPrefs = DEFAULT_SETTINGS.langPrefs, options = {}) {
+    const job = options.job || null;
+    reportProgress(job, "Fetching transcript for summary...");
+    const llm = await getLLMProvider({ signal: job?.signal });
+
+    try {
+        const transcript = await loadTranscriptFromPage(videoId, langPrefs, { trackId: options.trackId, job: job });
+        if (!transcript) {
+            throw new Error("No transcript is available for this video, so it cannot be summarized.");
+        }
+
+        const metadata = await loadVideoMetadata(videoId, job?.signal);
+        const summary = await summarizeTranscript(transcript, options.model || DEFAULT_SETTINGS.summaryModel, llm, job, formatMetadataForPrompt(metadata));
+        const result = {
+            videoId: videoId,
+            title: transcript.title,
+            language: transcript.language,
+            ...summary
+        };
+
+        reportProgress(job, 'Summary complete.');
+        return result;
+
+    } catch (error) {
+        if (!isAbortError(error)) console.error("Error summarizing video:", error);
+        throw error;
+    }
+}
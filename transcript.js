@@ -0,0 +1,151 @@
+// --- Transcript Model & Parsing ---
+// Pure helpers shared by the background service worker (via importScripts) and the popup.
+// A transcript is { videoId, language, languageCode, isAuto, segments: [{ start, duration, text }] }
+// with start/duration in seconds.
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+function decodeEntitiesOnce(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (_) {
+                return match; // Out of range code point, leave as-is
+            }
+        }
+        return NAMED_ENTITIES[entity] ?? match;
+    });
+}
+
+// timedtext is frequently double-escaped (e.g. "&amp;#39;"), so decode until stable
+function decodeHtmlEntities(text) {
+    let decoded = text;
+    for (let i = 0; i < 3; i++) {
+        const next = decodeEntitiesOnce(decoded);
+        if (next === decoded) break;
+        decoded = next;
+    }
+    return decoded;
+}
+
+function normalizeSegmentText(text) {
+    return text.replace(/\s+/g, ' ').trim(); // \s also covers non-breaking spaces
+}
+
+function readXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+// Legacy/srv1 format: <transcript><text start="1.23" dur="4.5">...</text></transcript>
+function parseSrv1Xml(xml) {
+    const segments = [];
+    const textRegex = /<text\b([^>]*)>([\s\S]*?)<\/text>/g;
+    let match;
+    while ((match = textRegex.exec(xml)) !== null) {
+        const start = parseFloat(readXmlAttribute(match[1], 'start'));
+        const duration = parseFloat(readXmlAttribute(match[1], 'dur'));
+        const text = normalizeSegmentText(decodeHtmlEntities(match[2].replace(/<[^>]+>/g, '')));
+        if (!text || !Number.isFinite(start)) continue;
+        segments.push({ start: start, duration: Number.isFinite(duration) ? duration : 0, text: text });
+    }
+    return segments;
+}
+
+// srv3 format: <timedtext format="3"><body><p t="1230" d="4500"><s>word</s>...</p></body></timedtext>
+function parseSrv3Xml(xml) {
+    const segments = [];
+    const paragraphRegex = /<p\b([^>]*)>([\s\S]*?)<\/p>/g;
+    let match;
+    while ((match = paragraphRegex.exec(xml)) !== null) {
+        const startMs = parseInt(readXmlAttribute(match[1], 't'), 10);
+        const durationMs = parseInt(readXmlAttribute(match[1], 'd'), 10);
+        const text = normalizeSegmentText(decodeHtmlEntities(match[2].replace(/<[^>]+>/g, '')));
+        if (!text || !Number.isFinite(startMs)) continue;
+        segments.push({
+            start: startMs / 1000,
+            duration: Number.isFinite(durationMs) ? durationMs / 1000 : 0,
+            text: text
+        });
+    }
+    return segments;
+}
+
+// json3 format: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+function parseJson3(data) {
+    const segments = [];
+    (data.events || []).forEach(event => {
+        if (!event.segs) return; // Window/style events carry no text
+        const text = normalizeSegmentText(event.segs.map(seg => seg.utf8 || '').join(''));
+        if (!text) return;
+        segments.push({
+            start: (event.tStartMs || 0) / 1000,
+            duration: (event.dDurationMs || 0) / 1000,
+            text: text
+        });
+    });
+    return segments;
+}
+
+// Detects the timedtext flavour from the body and returns segments sorted by start time
+function parseTimedText(body) {
+    const trimmed = (body || '').trim();
+    let segments;
+    if (trimmed.startsWith('{')) {
+        segments = parseJson3(JSON.parse(trimmed));
+    } else if (/<timedtext\b[^>]*format="3"/.test(trimmed) || /<p\b[^>]*\bt="\d+"/.test(trimmed)) {
+        segments = parseSrv3Xml(trimmed);
+    } else {
+        segments = parseSrv1Xml(trimmed);
+    }
+    return segments.sort((a, b) => a.start - b.start);
+}
+
+// 75.4 -> "1:15", 3725 -> "1:02:05"
+function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function transcriptToPlainText(transcript) {
+    return transcript.segments.map(seg => seg.text).join('\n');
+}
+
+// Split segments into consecutive chunks of roughly maxChars of text, remembering each segment's index
+function chunkSegments(segments, maxChars) {
+    const chunks = [];
+    let current = [];
+    let currentChars = 0;
+    segments.forEach((segment, index) => {
+        if (current.length > 0 && currentChars + segment.text.length > maxChars) {
+            chunks.push(current);
+            current = [];
+            currentChars = 0;
+        }
+        current.push({ index: index, segment: segment });
+        currentChars += segment.text.length;
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+// One "[seconds] text" line per segment; compact and easy for a model to cite back
+function formatSegmentsForPrompt(segments) {
+    return segments.map(segment => `[${Math.floor(segment.start)}] ${segment.text}`).join('\n');
+}
+
+function transcriptDuration(transcript) {
+    const last = transcript.segments[transcript.segments.length - 1];
+    return last ? last.start + last.duration : 0;
+}
@@ -0,0 +1,91 @@
+// --- YouTube URLs ---
+// The one place that knows which URLs point at a video, playlist or channel: watch pages (www, m., music.),
+// youtu.be links, Shorts, live streams, embeds (also on youtube-nocookie.com), playlist and channel pages.
+// Loaded by the background service worker (via importScripts), the popup and the content script.
+
+const YOUTUBE_VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+const YOUTUBE_CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const YOUTUBE_HOST_PATTERN = /^((www|m|music)\.)?youtube\.com$|^(www\.)?youtube-nocookie\.com$/;
+const VIDEO_ID_PATH_PREFIXES = ['shorts', 'live', 'embed', 'v', 'e']; // /<prefix>/<videoId>
+
+// "90", "90s", "1h2m3s" -> seconds; null when absent or unreadable
+function parseStartTime(value) {
+    if (!value) return null;
+    if (/^\d+s?$/.test(value)) return parseInt(value, 10);
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+    if (!match || !match[0]) return null;
+    const [, hours, minutes, seconds] = match.map(part => parseInt(part || '0', 10));
+    return (hours * 60 + minutes) * 60 + seconds;
+}
+
+// { videoId, playlistId, start } with null for whatever the URL doesn't have, or null for non-YouTube URLs.
+// A playlist page (/playlist?list=...) has a playlistId but no videoId.
+function parseYouTubeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    const host = parsed.hostname.toLowerCase();
+    const [first, second] = parsed.pathname.split('/').filter(Boolean);
+    let videoId = null;
+
+    if (host === 'youtu.be' || host === 'www.youtu.be') {
+        videoId = first;
+    } else if (YOUTUBE_HOST_PATTERN.test(host)) {
+        if (first === 'watch') {
+            videoId = parsed.searchParams.get('v');
+        } else if (VIDEO_ID_PATH_PREFIXES.includes(first) && second !== 'videoseries') {
+            videoId = second; // /embed/videoseries?list=... embeds a playlist, and "videoseries" looks like an ID
+        }
+    } else {
+        return null;
+    }
+
+    const playlistId = parsed.searchParams.get('list');
+    return {
+        videoId: YOUTUBE_VIDEO_ID_PATTERN.test(videoId || '') ? videoId : null,
+        playlistId: YOUTUBE_PLAYLIST_ID_PATTERN.test(playlistId || '') ? playlistId : null,
+        start: parseStartTime(parsed.searchParams.get('t') || parsed.searchParams.get('start'))
+    };
+}
+
+// A channel as typed or pasted: a UC... channel ID, an @handle, or a /channel/, /@handle or /user/ URL.
+// Returns { channelId } | { handle } | { username }, or null when it isn't recognizable as a channel.
+function parseChannelInput(input) {
+    const value = String(input || '').trim();
+    if (YOUTUBE_CHANNEL_ID_PATTERN.test(value)) return { channelId: value };
+    if (/^@[\w.-]{3,30}$/.test(value)) return { handle: value };
+
+    let parsed;
+    let first, second;
+    try {
+        parsed = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        // Malformed escapes (%E0 on its own) throw a URIError
+        [first, second] = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return null;
+    }
+    if (!YOUTUBE_HOST_PATTERN.test(parsed.hostname.toLowerCase())) return null;
+    if (first === 'channel' && YOUTUBE_CHANNEL_ID_PATTERN.test(second || '')) return { channelId: second };
+    if (first === 'user' && second) return { username: second };
+    if (/^@[\w.-]{3,30}$/.test(first || '')) return { handle: first };
+    return null;
+}
+
+// A bare 11-character ID or any video URL parseYouTubeUrl() understands
+function parseVideoInput(input) {
+    const value = String(input || '').trim();
+    if (YOUTUBE_VIDEO_ID_PATTERN.test(value)) return value;
+    return getVideoIdFromUrl(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+}
+
+function getVideoIdFromUrl(url) {
+    return parseYouTubeUrl(url)?.videoId || null;
+}
+
+function videoWatchUrl(videoId, seconds = null) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}${seconds !== null ? `&t=${Math.floor(seconds)}s` : ''}`;
+}